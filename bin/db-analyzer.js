@@ -1,4 +1,5 @@
 // bin/db-analyzer.js
+const fs = require('fs');
 const inquirer = require('inquirer');
 const figlet = require('figlet');
 const chalk = require('chalk');
@@ -7,15 +8,44 @@ const mysql = require('mysql2/promise');
 const { Pool } = require('pg');
 const MySQLAnalyzer = require('../lib/analyzers/mysqlAnalyzer');
 const PostgreSQLAnalyzer = require('../lib/analyzers/postgreAnalyzer');
+const BatchAnalyzer = require('../lib/analyzers/batchAnalyzer');
 const TerminalVisualizer = require('../lib/visualizers/terminalVisualizer');
+const JsonVisualizer = require('../lib/visualizers/jsonVisualizer');
+const HtmlVisualizer = require('../lib/visualizers/htmlVisualizer');
+const MarkdownVisualizer = require('../lib/visualizers/markdownVisualizer');
+const SarifVisualizer = require('../lib/visualizers/sarifVisualizer');
+const JunitVisualizer = require('../lib/visualizers/junitVisualizer');
 const logger = require('../lib/utils/logger');
+const ExitCodes = require('../lib/utils/exitCodes');
+const { parseArgs, usage, UsageError } = require('../lib/utils/args');
+const { loadConfig, resolveProfile } = require('../lib/utils/config');
+const { parseConnectionUrl, toDriverConfig } = require('../lib/utils/connection');
+const { splitStatements } = require('../lib/utils/sqlSplitter');
+const { classifyStatement } = require('../lib/utils/sqlStatement');
 const { I18n } = require('../lib/i18n/translations');
+const { findingsAtOrAbove } = require('../lib/analyzers/severity');
+const { parseSavedPlan } = require('../lib/analyzers/savedPlan');
+const { normalizeSnapshot } = require('../lib/analyzers/catalogNormalizer');
+const { comparePlans } = require('../lib/analyzers/planDiff');
+const { trackHistory } = require('../lib/analyzers/regression');
+const { HistoryStore, OFFLINE_TARGET } = require('../lib/utils/history');
+const { PostgreDiscovery } = require('../lib/analyzers/postgreDiscovery');
+const { MySQLDiscovery } = require('../lib/analyzers/mysqlDiscovery');
+const { detectLogFormat, parseSlowLog, rankStatements, statementWorkload } = require('../lib/analyzers/slowLog');
 
 // Initialize i18n
 const i18n = new I18n('en');
 
+// Machine-readable reports own stdout: no banner or spinners, and prompts go to stderr
+let quiet = false;
+let prompt = inquirer.prompt;
+
+function startSpinner(text) {
+  return ora({ text, isSilent: quiet }).start();
+}
+
 async function selectLanguage() {
-  const { language } = await inquirer.prompt([
+  const { language } = await prompt([
     {
       type: 'list',
       name: 'language',
@@ -32,22 +62,17 @@ async function selectLanguage() {
 
 async function testConnection(type, config) {
   let connection;
-  const spinner = ora(i18n.t('connection.testing')).start();
+  const spinner = startSpinner(i18n.t('connection.testing'));
 
   try {
-    const hostToUse = config.host === 'localhost' ? '127.0.0.1' : config.host;
-    
     if (type === 'MySQL') {
-      connection = await mysql.createConnection({
-        host: hostToUse,
-        port: config.port,
-        user: config.username,
-        password: config.password,
+      connection = await mysql.createConnection(toDriverConfig(type, config, {
+        database: undefined,
         authPlugins: {
           mysql_native_password: () => () => mysql.auth.mysql_native_password({password: config.password}),
           mysql_clear_password: () => () => mysql.auth.mysql_clear_password({password: config.password}),
         }
-      });
+      }));
       await connection.connect();
 
       const [databases] = await connection.query('SHOW DATABASES');
@@ -55,22 +80,15 @@ async function testConnection(type, config) {
         db => !['information_schema', 'mysql', 'performance_schema', 'sys'].includes(db)
       );
 
-      await connection.end();
       spinner.succeed(i18n.t('connection.success.mysql'));
       return dbList;
 
     } else if (type === 'PostgreSQL') {
-      const pgConfig = {
-        host: hostToUse,
-        port: config.port,
-        user: config.username,
-        password: config.password,
-        database: 'postgres', // Connect to default postgres database initially
+      connection = new Pool(toDriverConfig(type, config, {
+        // Connect to the requested database, or the default postgres database to list the others
+        database: config.database || 'postgres',
         connectionTimeoutMillis: 5000
-      };
-
-      connection = new Pool(pgConfig);
-      await connection.connect();
+      }));
 
       // Get list of databases excluding system databases
       const result = await connection.query(`
@@ -80,7 +98,6 @@ async function testConnection(type, config) {
       `);
       const dbList = result.rows.map(row => row.datname);
 
-      await connection.end();
       spinner.succeed(i18n.t('connection.success.postgresql'));
       return dbList;
     }
@@ -98,21 +115,15 @@ async function testConnection(type, config) {
     throw new Error(`${i18n.t('connection.failed')}${error.message}`);
   } finally {
     if (connection) {
-      if (type === 'MySQL') await connection.end();
-      else await connection.end();
+      await connection.end();
     }
   }
 }
 
 async function getSchemas(config) {
-  const connection = new Pool({
-    host: config.host === 'localhost' ? '127.0.0.1' : config.host,
-    port: config.port,
-    user: config.username,
-    password: config.password,
-    database: config.database,
+  const connection = new Pool(toDriverConfig('PostgreSQL', config, {
     connectionTimeoutMillis: 5000
-  });
+  }));
 
   try {
     const result = await connection.query(`
@@ -127,133 +138,801 @@ async function getSchemas(config) {
   }
 }
 
-async function main() {
-  // First, select language
-  await selectLanguage();
+function withExitCode(error, exitCode) {
+  if (error.exitCode === undefined) error.exitCode = exitCode;
+  return error;
+}
+
+// Answers every question that has no preset value: through inquirer when a
+// terminal is available, otherwise from the question defaults.
+async function ask(questions, answers, interactive) {
+  if (interactive) {
+    return prompt(questions, answers);
+  }
+
+  const resolved = { ...answers };
+  for (const question of questions) {
+    if (resolved[question.name] !== undefined) continue;
+
+    const value = typeof question.default === 'function' ? question.default(resolved) : question.default;
+    if (value === undefined) {
+      throw new UsageError(i18n.t('errors.missingOption', { option: question.option }));
+    }
+    resolved[question.name] = value;
+  }
+  return resolved;
+}
+
+async function resolveLanguage(options, interactive) {
+  if (options.lang) {
+    i18n.setLanguage(options.lang);
+    return options.lang;
+  }
+  return interactive ? selectLanguage() : i18n.currentLang;
+}
 
-  console.log(chalk.cyan(figlet.textSync(i18n.t('title'), { horizontalLayout: 'full' })));
-  console.log(chalk.yellow(i18n.t('subtitle') + '\n'));
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readPassword(options, dbType, presetPassword) {
+  if (options.passwordStdin) {
+    return (await readStdin()).replace(/\r?\n$/, '');
+  }
 
+  if (presetPassword !== undefined) return presetPassword;
+
+  const envPassword = process.env.QUERYIST_PASSWORD ??
+    (dbType === 'MySQL' ? process.env.MYSQL_PWD : process.env.PGPASSWORD);
+  return envPassword;
+}
+
+// Connection settings known before prompting: profile < connection URL < explicit flags
+function resolveConnectionPreset(options) {
+  let preset;
   try {
-    const initialAnswers = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'dbType',
-        message: i18n.t('dbSelection.type'),
-        choices: ['MySQL', 'PostgreSQL']
-      },
-      {
-        type: 'input',
-        name: 'host',
-        message: i18n.t('dbSelection.host'),
-        default: 'localhost'
-      },
-      {
-        type: 'input',
-        name: 'port',
-        message: i18n.t('dbSelection.port'),
-        default: answers => answers.dbType === 'MySQL' ? '3306' : '5432'
-      },
-      {
-        type: 'input',
-        name: 'username',
-        message: i18n.t('dbSelection.username'),
-        default: answers => answers.dbType === 'MySQL' ? 'root' : 'postgres'
-      },
-      {
-        type: 'password',
-        name: 'password',
-        message: i18n.t('dbSelection.password'),
-        mask: '*'
-      }
-    ]);
+    const config = loadConfig();
+    // A connection URL replaces the default profile unless one is named explicitly
+    const profileName = options.profile || (options.url ? null : config.defaultProfile);
+    preset = {
+      ...resolveProfile(config, profileName),
+      ...(options.url ? parseConnectionUrl(options.url) : {}),
+      // Recorded with each run in the history
+      profile: profileName ?? null
+    };
+  } catch (error) {
+    throw withExitCode(error, ExitCodes.USAGE);
+  }
+
+  const flags = {
+    dbType: options.db,
+    host: options.host,
+    port: options.port,
+    username: options.user,
+    database: options.database,
+    schema: options.schema
+  };
+  Object.entries(flags).forEach(([key, value]) => {
+    if (value !== undefined) preset[key] = value;
+  });
+
+  return preset;
+}
 
-    let databases;
+async function readQuery(options) {
+  let query = options.query;
+
+  if (options.file) {
     try {
-      databases = await testConnection(initialAnswers.dbType, initialAnswers);
+      query = await fs.promises.readFile(options.file, 'utf8');
     } catch (error) {
-      logger.error(error.message);
-      process.exit(1);
+      throw withExitCode(
+        new Error(i18n.t('errors.readFile', { file: options.file, message: error.message })),
+        ExitCodes.INPUT_ERROR
+      );
     }
+  }
+
+  if (query !== undefined && !query.trim()) {
+    throw withExitCode(new Error(i18n.t('errors.emptyQuery')), ExitCodes.INPUT_ERROR);
+  }
+  return query;
+}
+
+// Asks for whatever the preset leaves open and checks that the server is reachable
+async function promptConnection(preset, options, interactive) {
+  const { dbType } = await ask([
+    {
+      type: 'list',
+      name: 'dbType',
+      option: 'db',
+      message: i18n.t('dbSelection.type'),
+      choices: ['MySQL', 'PostgreSQL']
+    }
+  ], { dbType: preset.dbType }, interactive);
+
+  const password = await readPassword(options, dbType, preset.password);
+
+  const initialAnswers = await ask([
+    {
+      type: 'input',
+      name: 'host',
+      option: 'host',
+      message: i18n.t('dbSelection.host'),
+      default: 'localhost'
+    },
+    {
+      type: 'input',
+      name: 'port',
+      option: 'port',
+      message: i18n.t('dbSelection.port'),
+      default: answers => answers.dbType === 'MySQL' ? '3306' : '5432'
+    },
+    {
+      type: 'input',
+      name: 'username',
+      option: 'user',
+      message: i18n.t('dbSelection.username'),
+      default: answers => answers.dbType === 'MySQL' ? 'root' : 'postgres'
+    },
+    {
+      type: 'password',
+      name: 'password',
+      option: 'password-stdin',
+      message: i18n.t('dbSelection.password'),
+      mask: '*',
+      // Without a terminal an unset password means "no password"
+      default: interactive ? undefined : ''
+    }
+  ], {
+    dbType,
+    host: preset.host,
+    port: preset.port,
+    username: preset.username,
+    password
+  }, interactive);
+
+  let databases;
+  try {
+    databases = await testConnection(initialAnswers.dbType, initialAnswers);
+  } catch (error) {
+    throw withExitCode(error, ExitCodes.CONNECTION_FAILED);
+  }
+
+  if (!preset.database && (!databases || databases.length === 0)) {
+    throw withExitCode(new Error(i18n.t('connection.noDb')), ExitCodes.CONNECTION_FAILED);
+  }
 
-    if (!databases || databases.length === 0) {
-      logger.error(i18n.t('connection.noDb'));
-      process.exit(1);
+  const dbAnswer = await ask([
+    {
+      type: 'list',
+      name: 'database',
+      option: 'database',
+      message: i18n.t('dbSelection.database'),
+      choices: databases
     }
+  ], { database: preset.database }, interactive);
 
-    const dbAnswer = await inquirer.prompt([
+  let schemaAnswer = {};
+  if (initialAnswers.dbType === 'PostgreSQL') {
+    const questions = [
       {
         type: 'list',
-        name: 'database',
-        message: i18n.t('dbSelection.database'),
-        choices: databases
+        name: 'schema',
+        option: 'schema',
+        message: i18n.t('dbSelection.schema'),
+        default: 'public'
+      }
+    ];
+    if (preset.schema === undefined && interactive) {
+      questions[0].choices = await getSchemas({ ...initialAnswers, ...dbAnswer });
+    }
+    schemaAnswer = await ask(questions, { schema: preset.schema }, interactive);
+  }
+
+  return {
+    ...initialAnswers,
+    ...dbAnswer,
+    ...schemaAnswer
+  };
+}
+
+function createAnalyzer(config, options) {
+  return config.dbType === 'MySQL'
+    ? new MySQLAnalyzer(toDriverConfig(config.dbType, config), i18n, {
+      mode: options.mode,
+      allTables: options.allTables,
+      verifyIndexes: options.verifyIndexes
+    })
+    : new PostgreSQLAnalyzer(toDriverConfig(config.dbType, config, { schema: config.schema }), i18n, {
+      mode: options.mode,
+      allTables: options.allTables,
+      verifyIndexes: options.verifyIndexes
+    });
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    logger.error(error.message);
+    console.error(`\n${usage()}`);
+    process.exit(ExitCodes.USAGE);
+  }
+
+  if (options.help) {
+    console.log(usage());
+    process.exit(ExitCodes.SUCCESS);
+  }
+
+  if (options.format && options.format !== 'terminal') {
+    quiet = true;
+    logger.useStderr();
+    prompt = inquirer.createPromptModule({ output: process.stderr });
+  }
+
+  // Prompts need a terminal, and stdin is already taken when it carries the password
+  const interactive = !options.noInteractive && !options.passwordStdin && Boolean(process.stdin.isTTY);
+
+  await resolveLanguage(options, interactive);
+
+  if (!quiet) {
+    console.log(chalk.cyan(figlet.textSync(i18n.t('title'), { horizontalLayout: 'full' })));
+    console.log(chalk.yellow(i18n.t('subtitle') + '\n'));
+  }
+
+  if (options.plan) {
+    return analyzeSavedPlan(options);
+  }
+
+  if (options.command === 'compare') {
+    return compareAnalyses(options, interactive);
+  }
+
+  if (options.command === 'history') {
+    return showHistory(options);
+  }
+
+  if (options.command === 'discover') {
+    return discoverQueries(options, interactive);
+  }
+
+  if (options.command === 'slowlog') {
+    return reportSlowLogs(options, interactive);
+  }
+
+  const preset = resolveConnectionPreset(options);
+  const presetQuery = await readQuery(options);
+  const connection = await promptConnection(preset, options, interactive);
+
+  const queryAnswer = await ask([
+    {
+      type: 'editor',
+      name: 'query',
+      option: 'query',
+      message: i18n.t('dbSelection.query'),
+      validate: input => input.trim().length > 0 ? true : i18n.t('errors.emptyQuery')
+    }
+  ], { query: presetQuery }, interactive);
+
+  const config = {
+    ...connection,
+    ...queryAnswer
+  };
+
+  const analyzer = createAnalyzer(config, options);
+
+  const statements = splitStatements(config.query, {
+    dialect: config.dbType === 'MySQL' ? 'mysql' : 'postgresql'
+  });
+
+  const visualizer = createVisualizer(options);
+  const source = historySource(preset, config);
+
+  if (statements.length > 1) {
+    return analyzeBatch(analyzer, statements, visualizer, options, source);
+  }
+  // Analyze the statement without its leading comments when the splitter found one
+  const [statement = { sql: config.query, line: 1 }] = statements;
+  return analyzeSingle(analyzer, statement, visualizer, options, source);
+}
+
+async function readSavedPlan(options, dbType) {
+  const file = options.plan === '-' ? 'stdin' : options.plan;
+  try {
+    const text = options.plan === '-' ? await readStdin() : await fs.promises.readFile(options.plan, 'utf8');
+    return parseSavedPlan(text, { dialect: dbType && (dbType === 'MySQL' ? 'mysql' : 'postgresql') });
+  } catch (error) {
+    throw withExitCode(new Error(i18n.t('errors.readPlan', { file, message: error.message })), ExitCodes.INPUT_ERROR);
+  }
+}
+
+async function readSnapshot(file) {
+  try {
+    return normalizeSnapshot(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+  } catch (error) {
+    throw withExitCode(new Error(i18n.t('errors.readSnapshot', { file, message: error.message })), ExitCodes.INPUT_ERROR);
+  }
+}
+
+// --plan: run the rules on saved EXPLAIN output, with no connection and no prompts
+async function analyzeSavedPlan(options) {
+  const preset = resolveConnectionPreset(options);
+  const presetQuery = await readQuery(options);
+  const savedPlan = await readSavedPlan(options, preset.dbType);
+  const snapshot = options.snapshot ? await readSnapshot(options.snapshot) : null;
+
+  const analyzer = createSavedPlanAnalyzer(savedPlan, preset, options);
+
+  // analyzeSingle only needs analyze(sql)
+  const savedPlanAnalyzer = {
+    analyze: query => analyzer.analyzeSavedPlan(savedPlan, { query, snapshot })
+  };
+  const statement = { sql: presetQuery ?? savedPlan.query ?? '', line: 1 };
+  return analyzeSingle(savedPlanAnalyzer, statement, createVisualizer(options), options, {
+    profile: preset.profile,
+    target: OFFLINE_TARGET
+  });
+}
+
+function createSavedPlanAnalyzer(savedPlan, preset, options) {
+  return savedPlan.dialect === 'mysql'
+    ? new MySQLAnalyzer({ database: preset.database }, i18n, { allTables: options.allTables })
+    : new PostgreSQLAnalyzer({ schema: preset.schema }, i18n, { allTables: options.allTables });
+}
+
+// A compare input: a queryist JSON report, saved EXPLAIN output, or otherwise a query to run
+async function readComparisonInput(file, preset) {
+  let text;
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    throw withExitCode(new Error(i18n.t('errors.readInput', { file, message: error.message })), ExitCodes.INPUT_ERROR);
+  }
+
+  let document = null;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    // Not a JSON report
+  }
+
+  if (document?.kind === 'analysis') {
+    return { file, analysis: document.analysis };
+  }
+  if (document?.kind === 'batch') {
+    const analyses = (document.statements || []).map(entry => entry.analysis).filter(Boolean);
+    if (analyses.length !== 1) {
+      throw withExitCode(new Error(i18n.t('errors.compareBatch', { file, count: analyses.length })), ExitCodes.INPUT_ERROR);
+    }
+    return { file, analysis: analyses[0] };
+  }
+
+  const dialect = preset.dbType && (preset.dbType === 'MySQL' ? 'mysql' : 'postgresql');
+  const dialects = dialect ? [dialect] : ['mysql', 'postgresql'];
+
+  // With --db the PostgreSQL text parser takes any line for a plan node, so a
+  // file that starts with a statement is read as a query
+  if (!dialects.some(candidate => classifyStatement(text, { dialect: candidate }).type)) {
+    try {
+      return { file, savedPlan: parseSavedPlan(text, { dialect }) };
+    } catch (error) {
+      // Not EXPLAIN output either
+    }
+  }
+
+  if (!text.trim()) {
+    throw withExitCode(new Error(i18n.t('errors.emptyQuery')), ExitCodes.INPUT_ERROR);
+  }
+
+  // The whole file is sent to the server, which would run every statement in it.
+  // Without --db, a file that splits into one statement in either dialect passes
+  // here; the analyzer checks again once the engine is known.
+  const count = Math.min(...dialects.map(candidate => splitStatements(text, { dialect: candidate }).length));
+  if (count !== 1) {
+    throw withExitCode(new Error(i18n.t('errors.compareStatements', { file, count })), ExitCodes.INPUT_ERROR);
+  }
+  return { file, query: text.trim() };
+}
+
+async function compareAnalyses(options, interactive) {
+  const preset = resolveConnectionPreset(options);
+  const presetQuery = await readQuery(options);
+  const snapshot = options.snapshot ? await readSnapshot(options.snapshot) : null;
+
+  const inputs = [];
+  for (const file of options.inputs) {
+    inputs.push(await readComparisonInput(file, preset));
+  }
+
+  // Query files are analyzed over one shared connection
+  let analyzer = null;
+  if (inputs.some(input => input.query)) {
+    analyzer = createAnalyzer(await promptConnection(preset, options, interactive), options);
+  }
+
+  const spinner = startSpinner(i18n.t('analysis.analyzing'));
+  const analyses = [];
+  try {
+    if (analyzer) await analyzer.connect();
+
+    for (const input of inputs) {
+      spinner.text = i18n.t('comparison.analyzing', { file: input.file });
+      if (input.analysis) {
+        analyses.push(input.analysis);
+      } else if (input.savedPlan) {
+        analyses.push(await createSavedPlanAnalyzer(input.savedPlan, preset, options).analyzeSavedPlan(input.savedPlan, {
+          query: presetQuery ?? input.savedPlan.query ?? '',
+          snapshot
+        }));
+      } else {
+        analyses.push(await analyzer.analyze(input.query));
       }
-    ]);
-
-    let schemaAnswer = {};
-    if (initialAnswers.dbType === 'PostgreSQL') {
-      const schemas = await getSchemas({ ...initialAnswers, ...dbAnswer });
-      schemaAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'schema',
-          message: i18n.t('dbSelection.schema'),
-          choices: schemas,
-          default: 'public'
-        }
-      ]);
     }
+  } catch (error) {
+    spinner.fail(i18n.t('analysis.failed'));
+    throw withExitCode(error, ExitCodes.ANALYSIS_FAILED);
+  } finally {
+    if (analyzer) await analyzer.close();
+  }
+
+  let comparison;
+  try {
+    comparison = comparePlans(analyses[0], analyses[1], { labels: options.inputs });
+  } catch (error) {
+    spinner.fail(i18n.t('analysis.failed'));
+    throw withExitCode(error, ExitCodes.INPUT_ERROR);
+  }
+  spinner.succeed(i18n.t('analysis.complete'));
 
-    const queryAnswer = await inquirer.prompt([
+  await createVisualizer(options).displayComparison(comparison);
+  // --fail-on only looks at what the second analysis added
+  return findingsExitCode([{ recommendations: comparison.recommendations.appeared }], options.failOn);
+}
+
+// history [query]: the recorded runs, optionally marking the latest ones as baseline
+async function showHistory(options) {
+  const query = await readQuery(options);
+  const store = new HistoryStore(options.historyFile);
+
+  let entries;
+  try {
+    entries = await store.read();
+  } catch (error) {
+    throw withExitCode(new Error(i18n.t('errors.readHistory', { file: store.file, message: error.message })), ExitCodes.INPUT_ERROR);
+  }
+
+  // Each statement of a query file is tracked on its own
+  const statements = query === undefined
+    ? [undefined]
+    : splitStatements(query, { dialect: options.db === 'MySQL' ? 'mysql' : 'postgresql' }).map(statement => statement.sql);
+  const track = () => statements.flatMap(sql => trackHistory(entries, { query: sql, profile: options.profile }));
+
+  let queries = track();
+  if (options.baseline) {
+    if (queries.length === 0) {
+      throw withExitCode(new Error(i18n.t('history.noRuns')), ExitCodes.INPUT_ERROR);
+    }
+    const latest = queries.map(group => group.runs[group.runs.length - 1]);
+    await store.markBaselines(latest);
+    logger.success(i18n.t('history.baselineMarked', { count: latest.length }));
+
+    entries = await store.read();
+    queries = track();
+  }
+
+  await createVisualizer(options).displayHistory({ file: store.file, query: query ?? null, queries });
+  return ExitCodes.SUCCESS;
+}
+
+// discover: pick statements from pg_stat_statements, performance_schema or a
+// slow query log and analyze them along with their workload statistics
+async function discoverQueries(options, interactive) {
+  const preset = resolveConnectionPreset(options);
+  const connection = await promptConnection(preset, options, interactive);
+  const discovery = await createDiscovery(connection, options);
+
+  if (options.sort !== undefined && !discovery.sorts.includes(options.sort)) {
+    throw withExitCode(new Error(i18n.t('discovery.unsupportedSort', {
+      sort: options.sort,
+      source: discovery.source,
+      expected: discovery.sorts.join(', ')
+    })), ExitCodes.USAGE);
+  }
+
+  const sampled = [];
+  try {
+    let statements;
+    const spinner = startSpinner(i18n.t('discovery.reading', { source: discovery.source }));
+    try {
+      statements = await discovery.topStatements({ sort: options.sort, limit: options.limit });
+    } catch (error) {
+      spinner.fail(i18n.t('analysis.failed'));
+      throw withExitCode(error, ExitCodes.ANALYSIS_FAILED);
+    }
+    spinner.succeed(i18n.t('discovery.read', { count: statements.length }));
+
+    if (statements.length === 0) {
+      logger.info(i18n.t('discovery.none', { source: discovery.source }));
+      return ExitCodes.SUCCESS;
+    }
+
+    const unknownRank = (options.pick || []).find(rank => !statements.some(statement => statement.rank === rank));
+    if (unknownRank !== undefined) {
+      throw withExitCode(new Error(i18n.t('discovery.unknownRank', { rank: unknownRank })), ExitCodes.USAGE);
+    }
+
+    const { picks } = await ask([
       {
-        type: 'editor',
-        name: 'query',
-        message: i18n.t('dbSelection.query'),
-        validate: input => input.trim().length > 0 ? true : i18n.t('errors.emptyQuery')
+        type: 'checkbox',
+        name: 'picks',
+        option: 'pick',
+        message: i18n.t('discovery.pick'),
+        choices: statements.map(statement => ({
+          name: i18n.t('discovery.choice', {
+            ...statement.workload,
+            rank: statement.rank,
+            query: statement.query.replace(/\s+/g, ' ').slice(0, 80)
+          }),
+          value: statement.rank
+        })),
+        validate: answer => answer.length > 0 ? true : i18n.t('discovery.pickRequired')
       }
-    ]);
+    ], { picks: options.pick }, interactive);
 
-    const config = {
-      ...initialAnswers,
-      ...dbAnswer,
-      ...schemaAnswer,
-      ...queryAnswer
-    };
+    const sampleSpinner = startSpinner(i18n.t('discovery.sampling'));
+    for (const statement of statements.filter(candidate => picks.includes(candidate.rank))) {
+      const { sql, unresolved } = await discovery.sampleStatement(statement);
+      if (unresolved.length > 0) {
+        logger.warn(i18n.t('discovery.unresolved', { rank: statement.rank, parameters: unresolved.join(', ') }));
+      }
+      sampled.push({ sql, line: 1, workload: statement.workload });
+    }
+    sampleSpinner.stop();
+  } finally {
+    await discovery.close();
+  }
 
-    const spinner = ora(i18n.t('analysis.analyzing')).start();
+  const analyzer = createWorkloadAnalyzer(createAnalyzer(connection, options), sampled);
+  const visualizer = createVisualizer(options);
+  const source = historySource(preset, connection);
+  return sampled.length > 1
+    ? analyzeBatch(analyzer, sampled, visualizer, options, source)
+    : analyzeSingle(analyzer, sampled[0], visualizer, options, source);
+}
 
-    const hostToUse = config.host === 'localhost' ? '127.0.0.1' : config.host;
-    let analyzer;
-    
-    if (config.dbType === 'MySQL') {
-      analyzer = new MySQLAnalyzer({
-        host: hostToUse,
-        port: config.port,
-        user: config.username,
-        password: config.password,
-        database: config.database
-      }, i18n);
+async function createDiscovery(connection, options) {
+  if (connection.dbType !== 'MySQL') {
+    if (options.slowLog !== undefined) {
+      throw withExitCode(new Error(i18n.t('discovery.slowLogEngine')), ExitCodes.USAGE);
+    }
+    return new PostgreDiscovery(toDriverConfig(connection.dbType, connection, { schema: connection.schema }), i18n);
+  }
+
+  const config = toDriverConfig(connection.dbType, connection);
+  if (options.slowLog === undefined) return new MySQLDiscovery(config, i18n);
+  try {
+    const text = await fs.promises.readFile(options.slowLog, 'utf8');
+    return new MySQLDiscovery(config, i18n, { slowLog: { file: options.slowLog, text } });
+  } catch (error) {
+    throw withExitCode(new Error(i18n.t('errors.readSlowLog', { file: options.slowLog, message: error.message })), ExitCodes.INPUT_ERROR);
+  }
+}
+
+// Attaches the workload statistics discover read to the analysis of each sample
+function createWorkloadAnalyzer(analyzer, statements) {
+  const workloadOf = sql => statements.find(statement => statement.sql === sql)?.workload ?? null;
+  return {
+    connect: () => analyzer.connect(),
+    close: () => analyzer.close(),
+    analyze: async sql => ({ ...(await analyzer.analyze(sql)), workload: workloadOf(sql) })
+  };
+}
+
+// slowlog: rank the statements of slow query logs offline, and analyze the top ones when asked
+async function reportSlowLogs(options, interactive) {
+  const dialect = options.db && (options.db === 'MySQL' ? 'mysql' : 'postgresql');
+  const logs = [];
+  for (const file of options.inputs) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      throw withExitCode(new Error(i18n.t('errors.readSlowLog', { file, message: error.message })), ExitCodes.INPUT_ERROR);
+    }
+
+    const format = dialect || detectLogFormat(text);
+    if (!format) {
+      throw withExitCode(new Error(i18n.t('slowLog.unknownFormat', { file })), ExitCodes.INPUT_ERROR);
+    }
+    try {
+      logs.push({ file, format, entries: parseSlowLog(text, { dialect: format }) });
+    } catch (error) {
+      throw withExitCode(new Error(i18n.t('errors.readSlowLog', { file, message: error.message })), ExitCodes.INPUT_ERROR);
+    }
+  }
+
+  const format = logs[0].format;
+  if (logs.some(log => log.format !== format)) {
+    throw withExitCode(new Error(i18n.t('slowLog.mixedFormats')), ExitCodes.INPUT_ERROR);
+  }
+  if (format === 'postgresql' && options.sort === 'examined') {
+    throw withExitCode(new Error(i18n.t('slowLog.noRowsExamined')), ExitCodes.USAGE);
+  }
+
+  const report = {
+    files: options.inputs,
+    ...rankStatements(logs.flatMap(log => log.entries), { dialect: format, sort: options.sort, limit: options.limit })
+  };
+
+  const exitCode = options.analyzeTop
+    ? await analyzeTopStatements(report, options, interactive)
+    : ExitCodes.SUCCESS;
+
+  await createVisualizer(options).displaySlowLog(report);
+  return exitCode;
+}
+
+// Analyzes the samples of the top statements of a slow log report on a live
+// connection; each statement keeps its analysis or the error
+async function analyzeTopStatements(report, options, interactive) {
+  const preset = resolveConnectionPreset(options);
+  preset.dbType = preset.dbType || (report.format === 'mysql' ? 'MySQL' : 'PostgreSQL');
+  const connection = await promptConnection(preset, options, interactive);
+  if ((connection.dbType === 'MySQL' ? 'mysql' : 'postgresql') !== report.format) {
+    throw withExitCode(new Error(i18n.t('slowLog.engineMismatch', { engine: connection.dbType })), ExitCodes.USAGE);
+  }
+
+  // Statements logged in another database would not find their tables
+  const candidates = report.statements
+    .filter(statement => !statement.database || statement.database === connection.database)
+    .filter(statement => classifyStatement(statement.sample, { dialect: report.format }).supported);
+
+  // A simple query string is logged whole; the server would run every statement in it
+  const picked = [];
+  for (const statement of candidates) {
+    if (picked.length === options.analyzeTop) break;
+    const count = splitStatements(statement.sample, { dialect: report.format }).length;
+    if (count > 1) {
+      statement.skipped = i18n.t('slowLog.multipleStatements', { count });
     } else {
-      analyzer = new PostgreSQLAnalyzer({
-        host: hostToUse,
-        port: config.port,
-        user: config.username,
-        password: config.password,
-        database: config.database,
-        schema: config.schema
-      }, i18n);
+      picked.push(statement);
     }
+  }
+  if (picked.length === 0) {
+    logger.warn(i18n.t('slowLog.nothingToAnalyze'));
+    return ExitCodes.SUCCESS;
+  }
 
-    const result = await analyzer.analyze(config.query);
-    spinner.succeed(i18n.t('analysis.complete'));
+  const statements = picked.map(statement => ({
+    sql: statement.sample,
+    line: 1,
+    workload: statementWorkload(statement, report.format)
+  }));
+  const analyzer = createWorkloadAnalyzer(createAnalyzer(connection, options), statements);
 
-    const visualizer = new TerminalVisualizer(i18n);
-    await visualizer.display(result);
+  const spinner = startSpinner(i18n.t('analysis.analyzing'));
+  let batch;
+  try {
+    batch = await new BatchAnalyzer(analyzer, i18n).analyze(statements, {
+      onStatement: (index, total) => {
+        spinner.text = i18n.t('batch.analyzing', { index, total });
+      }
+    });
+  } catch (error) {
+    spinner.fail(i18n.t('analysis.failed'));
+    throw withExitCode(error, ExitCodes.ANALYSIS_FAILED);
+  }
+  spinner.succeed(i18n.t('analysis.complete'));
+
+  batch.statements.forEach((entry, index) => {
+    picked[index].analysis = entry.result ?? null;
+    picked[index].error = entry.error ?? null;
+  });
+  const results = batch.statements.filter(entry => entry.result).map(entry => entry.result);
+  await recordHistory(options, results, historySource(preset, connection));
+
+  if (batch.summary.failed > 0) return ExitCodes.ANALYSIS_FAILED;
+  return findingsExitCode(results, options.failOn);
+}
 
+// Where the runs of a live analysis are recorded as coming from
+function historySource(preset, connection) {
+  return {
+    profile: preset.profile,
+    target: `${connection.host}:${connection.port}/${connection.database}`
+  };
+}
+
+// A history that cannot be written never fails the analysis
+async function recordHistory(options, results, source) {
+  if (options.noHistory || results.length === 0) return;
+  try {
+    await new HistoryStore(options.historyFile).record(results, source);
   } catch (error) {
-    logger.error(i18n.t('errors.analysis'), error.message);
-    process.exit(1);
+    logger.warn(i18n.t('history.recordFailed'), error.message);
   }
 }
 
-main();
\ No newline at end of file
+function createVisualizer(options) {
+  switch (options.format) {
+    case 'json':
+      return new JsonVisualizer(i18n, { output: options.output });
+    case 'html':
+      return new HtmlVisualizer(i18n, { output: options.output });
+    case 'markdown':
+      return new MarkdownVisualizer(i18n, { output: options.output });
+    case 'sarif':
+      return new SarifVisualizer(i18n, { output: options.output, queryFile: options.file });
+    case 'junit':
+      return new JunitVisualizer(i18n, { output: options.output, queryFile: options.file, failOn: options.failOn });
+    default:
+      return new TerminalVisualizer(i18n);
+  }
+}
+
+// With --fail-on, findings at or above the threshold turn a completed analysis into a failure
+function findingsExitCode(results, failOn) {
+  if (!failOn) return ExitCodes.SUCCESS;
+  return results.some(result => findingsAtOrAbove(result, failOn).length > 0)
+    ? ExitCodes.FINDINGS
+    : ExitCodes.SUCCESS;
+}
+
+async function analyzeSingle(analyzer, statement, visualizer, options, source) {
+  const spinner = startSpinner(i18n.t('analysis.analyzing'));
+
+  let result;
+  try {
+    result = await analyzer.analyze(statement.sql);
+  } catch (error) {
+    spinner.fail(i18n.t('analysis.failed'));
+    throw withExitCode(error, ExitCodes.ANALYSIS_FAILED);
+  }
+  spinner.succeed(i18n.t('analysis.complete'));
+  await recordHistory(options, [result], source);
+
+  await visualizer.display(result, { line: statement.line });
+  return findingsExitCode([result], options.failOn);
+}
+
+async function analyzeBatch(analyzer, statements, visualizer, options, source) {
+  const spinner = startSpinner(i18n.t('analysis.analyzing'));
+
+  let batch;
+  try {
+    batch = await new BatchAnalyzer(analyzer, i18n).analyze(statements, {
+      onStatement: (index, total) => {
+        spinner.text = i18n.t('batch.analyzing', { index, total });
+      }
+    });
+  } catch (error) {
+    spinner.fail(i18n.t('analysis.failed'));
+    throw withExitCode(error, ExitCodes.ANALYSIS_FAILED);
+  }
+  spinner.succeed(i18n.t('analysis.complete'));
+  await recordHistory(options, batch.statements.filter(entry => entry.result).map(entry => entry.result), source);
+
+  await visualizer.displayBatch(batch);
+  if (batch.summary.failed > 0) return ExitCodes.ANALYSIS_FAILED;
+  return findingsExitCode(batch.statements.map(entry => entry.result), options.failOn);
+}
+
+process.on('SIGINT', () => process.exit(ExitCodes.INTERRUPTED));
+
+main().then(
+  exitCode => process.exit(exitCode),
+  error => {
+    if (error.exitCode === ExitCodes.ANALYSIS_FAILED) {
+      logger.error(i18n.t('errors.analysis'), error.message);
+    } else {
+      logger.error(error.message);
+    }
+    process.exit(error.exitCode ?? ExitCodes.ANALYSIS_FAILED);
+  }
+);
@@ -0,0 +1,20 @@
+// lib/analyzers/analysisModes.js
+
+// How far an analyzer may go to obtain a plan:
+//   plan    - plain EXPLAIN, the statement is never executed
+//   analyze - EXPLAIN ANALYZE inside a transaction that is always rolled back
+//   execute - EXPLAIN ANALYZE without a transaction, except for statements that
+//             change data, which are still rolled back
+const AnalysisModes = {
+    PLAN: 'plan',
+    ANALYZE: 'analyze',
+    EXECUTE: 'execute'
+};
+
+const DEFAULT_MODE = AnalysisModes.PLAN;
+
+function isAnalysisMode(mode) {
+    return Object.values(AnalysisModes).includes(mode);
+}
+
+module.exports = { AnalysisModes, DEFAULT_MODE, isAnalysisMode };
@@ -0,0 +1,84 @@
+// lib/analyzers/batchAnalyzer.js
+const logger = require('../utils/logger');
+const { SEVERITY_RANK } = require('./severity');
+
+/**
+ * Runs a MySQLAnalyzer or PostgreAnalyzer over several statements using a
+ * single shared connection and ranks the statements by how bad they look.
+ */
+class BatchAnalyzer {
+    constructor(analyzer, i18n) {
+        this.analyzer = analyzer;
+        this.i18n = i18n;
+    }
+
+    /**
+     * @param {{ sql: string, line: number }[]} statements - as returned by splitStatements()
+     * @param {{ onStatement?: (index: number, total: number) => void }} [options]
+     */
+    async analyze(statements, { onStatement } = {}) {
+        const entries = [];
+
+        await this.analyzer.connect();
+        try {
+            for (const [index, statement] of statements.entries()) {
+                const entry = {
+                    index: index + 1,
+                    line: statement.line,
+                    query: statement.sql
+                };
+
+                if (onStatement) onStatement(entry.index, statements.length);
+
+                try {
+                    entry.result = await this.analyzer.analyze(statement.sql);
+                } catch (error) {
+                    logger.warn(this.i18n.t('batch.statementFailed', { index: entry.index, line: entry.line }), error.message);
+                    entry.error = error.message;
+                }
+
+                entries.push(entry);
+            }
+        } finally {
+            await this.analyzer.close();
+        }
+
+        return {
+            statements: entries,
+            summary: this.summarize(entries)
+        };
+    }
+
+    summarize(entries) {
+        const ranking = entries
+            .filter(entry => entry.result)
+            .map(entry => {
+                const recommendations = entry.result.recommendations || [];
+                const worstSeverity = recommendations.reduce((worst, rec) =>
+                    (SEVERITY_RANK[rec.severity] || 0) > (SEVERITY_RANK[worst] || 0) ? rec.severity : worst, null);
+
+                return {
+                    index: entry.index,
+                    line: entry.line,
+                    query: entry.query,
+                    worstSeverity,
+                    estimatedCost: entry.result.estimatedCost ?? null,
+                    recommendationCount: recommendations.length
+                };
+            })
+            .sort((a, b) => {
+                const severityDiff = (SEVERITY_RANK[b.worstSeverity] || 0) - (SEVERITY_RANK[a.worstSeverity] || 0);
+                if (severityDiff !== 0) return severityDiff;
+                return (b.estimatedCost ?? -1) - (a.estimatedCost ?? -1);
+            });
+
+        return {
+            total: entries.length,
+            analyzed: ranking.length,
+            failed: entries.length - ranking.length,
+            ranking
+        };
+    }
+}
+
+module.exports = BatchAnalyzer;
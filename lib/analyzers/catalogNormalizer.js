@@ -0,0 +1,223 @@
+// lib/analyzers/catalogNormalizer.js
+
+// Converts the catalog rows of both engines into one shape for table
+// statistics and indexes.
+//
+// Table statistics:
+// { schema, table, rows, dataBytes, indexBytes, totalBytes }
+//
+// Column:
+// { schema, table, name, dataType, nullable }
+//
+// Index:
+// {
+//   schema, table, name,
+//   columns: [ ... ],            // key columns in index order, expressions as written
+//   includedColumns: [ ... ],    // non-key columns (PostgreSQL INCLUDE)
+//   unique, primary,
+//   method,                      // btree, hash, gin, gist, brin, fulltext, spatial, ...
+//   predicate,                   // WHERE clause of a partial index, or null
+//   sizeBytes,                   // null when the server does not report it
+//   definition                   // CREATE INDEX statement, when the server provides one
+// }
+
+// MySQL 8 returns information_schema columns in upper case, 5.7 as aliased
+function column(row, name) {
+    return row[name] ?? row[name.toUpperCase()];
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+function createTableStatistics(fields) {
+    return {
+        schema: fields.schema ?? null,
+        table: fields.table,
+        rows: toNumber(fields.rows),
+        dataBytes: toNumber(fields.dataBytes),
+        indexBytes: toNumber(fields.indexBytes),
+        totalBytes: toNumber(fields.totalBytes)
+    };
+}
+
+function createIndex(fields) {
+    return {
+        schema: fields.schema ?? null,
+        table: fields.table,
+        name: fields.name,
+        columns: fields.columns || [],
+        includedColumns: fields.includedColumns || [],
+        unique: Boolean(fields.unique),
+        primary: Boolean(fields.primary),
+        method: fields.method ? String(fields.method).toLowerCase() : null,
+        predicate: fields.predicate ?? null,
+        sizeBytes: toNumber(fields.sizeBytes),
+        definition: fields.definition ?? null
+    };
+}
+
+/**
+ * Rows of information_schema.tables.
+ */
+function normalizeMySQLTableStatistics(rows) {
+    return (rows || []).map(row => {
+        const dataBytes = toNumber(column(row, 'data_length'));
+        const indexBytes = toNumber(column(row, 'index_length'));
+
+        return createTableStatistics({
+            schema: column(row, 'table_schema'),
+            table: column(row, 'table_name'),
+            rows: column(row, 'table_rows'),
+            dataBytes,
+            indexBytes,
+            totalBytes: dataBytes !== null || indexBytes !== null ? (dataBytes || 0) + (indexBytes || 0) : null
+        });
+    });
+}
+
+/**
+ * Rows of information_schema.statistics, one per index column, grouped into
+ * indexes. `sizes` maps `table.index` to a size in bytes where known.
+ */
+function normalizeMySQLIndexes(rows, sizes = new Map()) {
+    const indexes = new Map();
+
+    [...(rows || [])]
+        .sort((a, b) => Number(column(a, 'seq_in_index')) - Number(column(b, 'seq_in_index')))
+        .forEach(row => {
+            const table = column(row, 'table_name');
+            const name = column(row, 'index_name');
+            const key = `${table}.${name}`;
+
+            if (!indexes.has(key)) {
+                indexes.set(key, createIndex({
+                    schema: column(row, 'table_schema'),
+                    table,
+                    name,
+                    unique: Number(column(row, 'non_unique')) === 0,
+                    primary: name === 'PRIMARY',
+                    method: column(row, 'index_type'),
+                    sizeBytes: sizes.get(key)
+                }));
+            }
+
+            // Functional key parts (MySQL 8.0.13+) have no column name
+            const subPart = column(row, 'sub_part');
+            const columnName = column(row, 'column_name') ?? '(expression)';
+            indexes.get(key).columns.push(subPart ? `${columnName}(${subPart})` : columnName);
+        });
+
+    return [...indexes.values()];
+}
+
+/**
+ * Rows of the pg_stat_user_tables query in PostgreAnalyzer.
+ */
+function normalizePostgresTableStatistics(rows) {
+    return (rows || []).map(row => createTableStatistics({
+        schema: row.schemaname,
+        table: row.table_name,
+        rows: row.table_rows,
+        dataBytes: row.table_bytes,
+        indexBytes: row.index_bytes,
+        totalBytes: row.total_bytes
+    }));
+}
+
+/**
+ * Rows of the pg_index query in PostgreAnalyzer, one per index with its
+ * columns (key columns first) as an array.
+ */
+function normalizePostgresIndexes(rows) {
+    return (rows || []).map(row => {
+        const columns = row.column_names || [];
+        const keyColumns = toNumber(row.key_column_count) ?? columns.length;
+
+        return createIndex({
+            schema: row.schemaname,
+            table: row.table_name,
+            name: row.index_name,
+            columns: columns.slice(0, keyColumns),
+            includedColumns: columns.slice(keyColumns),
+            unique: row.is_unique,
+            primary: row.is_primary,
+            method: row.index_method,
+            predicate: row.predicate,
+            sizeBytes: row.size_bytes,
+            definition: row.index_definition
+        });
+    });
+}
+
+/**
+ * Rows of information_schema.columns, which both engines provide.
+ */
+function normalizeColumns(rows) {
+    return (rows || []).map(row => ({
+        schema: column(row, 'table_schema') ?? null,
+        table: column(row, 'table_name'),
+        name: column(row, 'column_name'),
+        dataType: column(row, 'data_type') ?? null,
+        nullable: column(row, 'is_nullable') === 'YES'
+    }));
+}
+
+function createColumn(fields) {
+    return {
+        schema: fields.schema ?? null,
+        table: fields.table,
+        name: fields.name,
+        dataType: fields.dataType ?? null,
+        nullable: fields.nullable !== false
+    };
+}
+
+// The analyses a queryist JSON report holds, or the document itself when it is a plain snapshot
+function snapshotSections(document) {
+    if (document?.kind === 'analysis' && document.analysis) return [document.analysis];
+    if (document?.kind === 'batch' && Array.isArray(document.statements)) {
+        return document.statements.map(entry => entry.analysis).filter(Boolean);
+    }
+    return [document || {}];
+}
+
+function uniqueBy(items, key) {
+    return [...new Map(items.map(item => [key(item), item])).values()];
+}
+
+/**
+ * A schema and statistics snapshot for offline analysis, in the shapes above:
+ * { tableStatistics, indexes, columns, views }. Accepts a file with those
+ * arrays or a queryist JSON report (analysis or batch), which has no columns or views.
+ * Views are { schema, name, definition }.
+ */
+function normalizeSnapshot(document) {
+    const sections = snapshotSections(document);
+    const collect = name => sections.flatMap(section => Array.isArray(section[name]) ? section[name] : []);
+
+    return {
+        tableStatistics: uniqueBy(collect('tableStatistics').map(createTableStatistics),
+            stat => `${stat.schema}.${stat.table}`),
+        indexes: uniqueBy(collect('indexes').map(createIndex),
+            index => `${index.schema}.${index.table}.${index.name}`),
+        columns: uniqueBy(collect('columns').map(createColumn),
+            item => `${item.schema}.${item.table}.${item.name}`),
+        views: collect('views').map(view => ({
+            schema: view.schema ?? null,
+            name: view.name,
+            definition: view.definition || ''
+        }))
+    };
+}
+
+module.exports = {
+    normalizeMySQLTableStatistics,
+    normalizeMySQLIndexes,
+    normalizePostgresTableStatistics,
+    normalizePostgresIndexes,
+    normalizeColumns,
+    normalizeSnapshot
+};
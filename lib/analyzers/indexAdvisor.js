@@ -0,0 +1,508 @@
+// lib/analyzers/indexAdvisor.js
+const { tokenize, isName, nameOf, classifyStatement, extractTableReferences } = require('../utils/sqlStatement');
+const { KEYWORDS, isColumnToken } = require('../utils/sqlParser');
+
+// Derives CREATE INDEX statements from the columns a query filters, joins,
+// sorts and groups on. Key columns follow equality -> range -> sort, so the
+// index can seek on the equalities, scan the range and return rows in order.
+
+const RANGE_OPERATORS = ['<', '>', '<=', '>='];
+
+// Where the column lists of ORDER BY / GROUP BY may end
+const LIST_ENDS = ['limit', 'offset', 'fetch', 'for', 'union', 'except', 'intersect', 'window', 'having', 'order'];
+
+const MAX_KEY_COLUMNS = 5;
+const MAX_COVERING_COLUMNS = 4;
+const MAX_NAME_LENGTH = { mysql: 64, postgresql: 63 };
+
+// PostgreSQL words that must be quoted as identifiers
+const POSTGRES_RESERVED = new Set([
+    'all', 'and', 'any', 'array', 'as', 'asc', 'case', 'check', 'column', 'constraint', 'create',
+    'default', 'desc', 'distinct', 'do', 'else', 'end', 'for', 'foreign', 'from', 'grant', 'group',
+    'having', 'in', 'into', 'is', 'join', 'limit', 'not', 'null', 'offset', 'on', 'or', 'order',
+    'primary', 'references', 'select', 'table', 'then', 'to', 'union', 'unique', 'user', 'using',
+    'when', 'where', 'window', 'with'
+]);
+
+/**
+ * The clause each token belongs to (select, from, filter, order, group,
+ * having or other), whether it sits inside a function call, and the group of
+ * conditions it is part of: a clause, or a parenthesis within one.
+ */
+function classifyTokens(tokens) {
+    const clauseAt = [];
+    const inCall = [];
+    const groupAt = [];
+    const clauses = [null];
+    const calls = [false];
+    const groups = [0];
+
+    tokens.forEach((token, index) => {
+        const depth = token.depth;
+        clauseAt[index] = clauses[depth] ?? null;
+        inCall[index] = calls[depth] === true;
+        groupAt[index] = groups[depth] ?? 0;
+
+        if (token.paren === 'open') {
+            const isQuery = ['select', 'with', 'values', 'table'].includes(tokens[index + 1]?.word);
+            const previous = tokens[index - 1];
+            const isCall = !isQuery && isName(previous) && !KEYWORDS.has(previous.word);
+            calls[depth + 1] = !isQuery && (isCall || calls[depth] === true);
+            clauses[depth + 1] = isQuery ? null : clauses[depth];
+            groups[depth + 1] = index;
+            return;
+        }
+        if (!token.word || inCall[index]) return;
+
+        const previous = tokens[index - 1]?.word;
+        const next = tokens[index + 1]?.word;
+        let clause;
+        switch (token.word) {
+            case 'select':
+                clause = 'select';
+                break;
+            case 'from':
+            case 'join':
+            case 'update':
+            case 'into':
+                clause = 'from';
+                break;
+            case 'where':
+                clause = 'filter';
+                break;
+            case 'on':
+                clause = ['duplicate', 'conflict'].includes(next) ? 'other' : 'filter';
+                break;
+            case 'by':
+                if (previous === 'order') clause = 'order';
+                if (previous === 'group') clause = 'group';
+                break;
+            case 'having':
+                clause = 'having';
+                break;
+            case 'set':
+            case 'returning':
+            case 'limit':
+            case 'offset':
+            case 'fetch':
+            case 'for':
+            case 'union':
+            case 'except':
+            case 'intersect':
+            case 'values':
+            case 'window':
+                clause = 'other';
+                break;
+            default:
+                return;
+        }
+        if (clause) {
+            clauses[depth] = clause;
+            groups[depth] = index;
+        }
+    });
+
+    return { clauseAt, inCall, groupAt };
+}
+
+/**
+ * Records which columns of which table a query uses and how.
+ */
+class QueryColumns {
+    constructor(query, dialect) {
+        this.dialect = dialect;
+        this.tokens = tokenize(String(query), dialect);
+        this.references = extractTableReferences(query, { dialect });
+        this.usage = new Map(this.references.map(reference => [reference, {
+            equality: [],
+            join: [],
+            range: [],
+            sort: null,
+            group: null,
+            columns: new Set(),
+            star: false
+        }]));
+        // A column that could not be tied to a table makes covering indexes guesswork
+        this.uncertain = false;
+        // Output names, which ORDER BY and GROUP BY may use instead of columns
+        this.outputNames = new Set();
+
+        this.collect();
+    }
+
+    resolve(qualifier) {
+        if (qualifier === null) {
+            return this.references.length === 1 ? this.references[0] : null;
+        }
+        return this.references.find(reference => reference.aliases.includes(qualifier)) ||
+            this.references.find(reference => reference.aliases.length === 0 && reference.table === qualifier) ||
+            null;
+    }
+
+    // A column reference ending at `end`: column, table.column or schema.table.column
+    columnEndingAt(end) {
+        const tokens = this.tokens;
+        if (!isColumnToken(tokens[end])) return null;
+        if (tokens[end + 1]?.paren === 'open' || tokens[end + 1]?.symbol === '.') return null;
+        // x::date names a type
+        if (tokens[end - 1]?.symbol === '::') return null;
+
+        const parts = [nameOf(tokens[end], this.dialect)];
+        let start = end;
+        while (tokens[start - 1]?.symbol === '.' && isName(tokens[start - 2])) {
+            parts.unshift(nameOf(tokens[start - 2], this.dialect));
+            start -= 2;
+        }
+
+        return {
+            start,
+            end,
+            column: parts[parts.length - 1],
+            qualifier: parts.length > 1 ? parts[parts.length - 2] : null
+        };
+    }
+
+    columnStartingAt(start) {
+        let end = start;
+        while (this.tokens[end + 1]?.symbol === '.' && isName(this.tokens[end + 2])) end += 2;
+        const column = this.columnEndingAt(end);
+        return column && column.start === start ? column : null;
+    }
+
+    isOutputName(column) {
+        return column.qualifier === null && this.outputNames.has(column.column);
+    }
+
+    addPredicate(column, kind) {
+        if (!column) return;
+        const reference = this.resolve(column.qualifier);
+        if (!reference) return;
+
+        const list = this.usage.get(reference)[kind];
+        if (!list.includes(column.column)) list.push(column.column);
+    }
+
+    addColumn(column) {
+        const reference = this.resolve(column.qualifier);
+        if (reference) {
+            this.usage.get(reference).columns.add(column.column);
+        } else {
+            this.uncertain = true;
+        }
+    }
+
+    // ORDER BY / GROUP BY: usable only when every item is a plain column of one table
+    readColumnList(start, depth) {
+        const items = [];
+        let i = start;
+
+        while (i < this.tokens.length) {
+            const column = this.columnStartingAt(i);
+            if (!column || this.isOutputName(column)) return null;
+
+            i = column.end + 1;
+            let descending = false;
+            if (['asc', 'desc'].includes(this.tokens[i]?.word)) {
+                descending = this.tokens[i].word === 'desc';
+                i++;
+            }
+            if (this.tokens[i]?.word === 'nulls') i += 2;
+            items.push({ ...column, descending });
+
+            const next = this.tokens[i];
+            if (next?.symbol === ',' && next.depth === depth) {
+                i++;
+                continue;
+            }
+            if (!next || next.paren === 'close' || LIST_ENDS.includes(next.word)) break;
+            return null;
+        }
+
+        const references = new Set(items.map(item => this.resolve(item.qualifier)));
+        if (references.size !== 1 || references.has(null)) return null;
+        return { reference: [...references][0], items };
+    }
+
+    collect() {
+        const tokens = this.tokens;
+        const { clauseAt, inCall, groupAt } = classifyTokens(tokens);
+
+        // Conditions joined by OR cannot all be served by one index
+        const alternatives = new Set();
+        tokens.forEach((token, index) => {
+            if (token.word === 'or' && clauseAt[index] === 'filter') alternatives.add(groupAt[index]);
+        });
+
+        tokens.forEach((token, index) => {
+            if (clauseAt[index] === 'select' && token.word === 'as' && isName(tokens[index + 1])) {
+                this.outputNames.add(nameOf(tokens[index + 1], this.dialect));
+            }
+        });
+
+        tokens.forEach((token, index) => {
+            const clause = clauseAt[index];
+            const previous = tokens[index - 1];
+
+            if (clause === 'filter' && !inCall[index] && !alternatives.has(groupAt[index])) {
+                if (token.symbol === '=') {
+                    // Join columns go after the columns compared with values
+                    const left = this.columnEndingAt(index - 1);
+                    const right = this.columnStartingAt(index + 1);
+                    const kind = left && right ? 'join' : 'equality';
+                    this.addPredicate(left, kind);
+                    this.addPredicate(right, kind);
+                } else if (RANGE_OPERATORS.includes(token.symbol)) {
+                    this.addPredicate(this.columnEndingAt(index - 1), 'range');
+                    this.addPredicate(this.columnStartingAt(index + 1), 'range');
+                } else if (token.word === 'in' || (token.word === 'is' && tokens[index + 1]?.word === 'null')) {
+                    this.addPredicate(this.columnEndingAt(index - 1), 'equality');
+                } else if (token.word === 'between') {
+                    this.addPredicate(this.columnEndingAt(index - 1), 'range');
+                } else if (['like', 'ilike'].includes(token.word)) {
+                    // Only a fixed prefix can use a btree index
+                    const pattern = tokens[index + 1];
+                    if (pattern?.literal === 'string' && !/^[%_]/.test(pattern.value)) {
+                        this.addPredicate(this.columnEndingAt(index - 1), 'range');
+                    }
+                }
+            }
+
+            if (token.word === 'by' && !inCall[index] && ['order', 'group'].includes(previous?.word)) {
+                const list = this.readColumnList(index + 1, token.depth);
+                const usage = list && this.usage.get(list.reference);
+                const kind = previous.word === 'order' ? 'sort' : 'group';
+                if (usage && !usage[kind]) usage[kind] = list.items;
+            }
+
+            if (clause === 'select' && token.symbol === '*' && !inCall[index]) {
+                if (previous?.symbol === '.') {
+                    const reference = this.resolve(nameOf(tokens[index - 2], this.dialect));
+                    if (reference) this.usage.get(reference).star = true;
+                    else this.uncertain = true;
+                } else if (['select', 'distinct', 'all'].includes(previous?.word) || previous?.symbol === ',') {
+                    this.usage.forEach(usage => { usage.star = true; });
+                }
+            }
+
+            // Every column the query reads, to tell whether an index can cover it
+            if (['select', 'filter', 'order', 'group', 'having'].includes(clause)) {
+                const column = this.columnEndingAt(index);
+                const before = tokens[column?.start - 1];
+                const isAlias = before && (before.word === 'as' || before.paren === 'close' ||
+                    before.literal !== undefined || (this.columnEndingAt(column.start - 1) !== null && clause === 'select'));
+                // DATE '2024-01-01', EXTRACT(YEAR FROM ...)
+                const isKeyword = tokens[index + 1]?.literal === 'string' ||
+                    (inCall[index] && tokens[index + 1]?.word === 'from');
+                if (column && !isAlias && !isKeyword && !(clause !== 'select' && this.isOutputName(column))) {
+                    this.addColumn(column);
+                }
+            }
+        });
+    }
+}
+
+function sameColumn(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+// Index columns as the catalogs return them: quoted, with MySQL prefix lengths
+function bareColumn(column) {
+    return column.replace(/\(\d+\)$/, '').replace(/^["`](.*)["`]$/, '$1').toLowerCase();
+}
+
+// Whether an existing index already serves these key (and included) columns.
+// The leading equality columns may come in any order; the rest keep theirs.
+function servedBy(index, keyColumns, includedColumns = [], equalityCount = 0) {
+    if (index.predicate) return false;
+    if (index.method && index.method !== 'btree') return false;
+
+    const existing = index.columns.map(bareColumn);
+    if (keyColumns.length > existing.length) return false;
+
+    const wanted = keyColumns.map(column => column.toLowerCase());
+    const equalityPrefix = new Set(existing.slice(0, equalityCount));
+    if (!wanted.slice(0, equalityCount).every(column => equalityPrefix.has(column))) return false;
+    if (!wanted.every((column, position) => position < equalityCount || existing[position] === column)) return false;
+
+    const available = new Set([...existing, ...index.includedColumns.map(bareColumn)]);
+    return includedColumns.every(column => available.has(column.toLowerCase()));
+}
+
+function quoteIdentifier(name, dialect) {
+    if (dialect === 'mysql') return `\`${name.replace(/`/g, '``')}\``;
+    if (/^[a-z_][a-z0-9_]*$/.test(name) && !POSTGRES_RESERVED.has(name)) return name;
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function indexName(table, columns, covering, dialect) {
+    const name = ['idx', table, ...columns, ...(covering ? ['covering'] : [])]
+        .join('_')
+        .toLowerCase()
+        .replace(/[^a-z0-9_]+/g, '_');
+    return name.slice(0, MAX_NAME_LENGTH[dialect]);
+}
+
+function qualifiedTable(suggestion, dialect) {
+    return [suggestion.schema, suggestion.table]
+        .filter(Boolean)
+        .map(part => quoteIdentifier(part, dialect))
+        .join('.');
+}
+
+function indexColumns(suggestion, dialect) {
+    return suggestion.columns
+        .map(column => quoteIdentifier(column.name, dialect) + (column.descending ? ' DESC' : ''))
+        .join(', ');
+}
+
+function createIndexStatement(suggestion, dialect) {
+    const table = qualifiedTable(suggestion, dialect);
+    const name = quoteIdentifier(suggestion.name, dialect);
+    const columns = indexColumns(suggestion, dialect);
+
+    if (dialect === 'mysql') {
+        return `CREATE INDEX ${name} ON ${table} (${columns});`;
+    }
+
+    // CONCURRENTLY keeps the table writable while the index is built
+    const include = suggestion.include.length > 0
+        ? ` INCLUDE (${suggestion.include.map(column => quoteIdentifier(column, dialect)).join(', ')})`
+        : '';
+    return `CREATE INDEX CONCURRENTLY ${name} ON ${table} (${columns})${include};`;
+}
+
+// Builds a MySQL suggestion as an index the optimizer ignores unless
+// use_invisible_indexes is on
+function invisibleIndexStatement(suggestion) {
+    const name = quoteIdentifier(suggestion.name, 'mysql');
+    return `CREATE INDEX ${name} ON ${qualifiedTable(suggestion, 'mysql')} (${indexColumns(suggestion, 'mysql')}) INVISIBLE;`;
+}
+
+// Removes a MySQL index built from a suggestion
+function dropIndexStatement(suggestion) {
+    return `DROP INDEX ${quoteIdentifier(suggestion.name, 'mysql')} ON ${qualifiedTable(suggestion, 'mysql')};`;
+}
+
+// equality -> join -> range -> sort; a mixed ORDER BY keeps its directions
+function keyColumns(usage) {
+    const columns = [];
+    const add = (name, descending = false) => {
+        if (!columns.some(column => sameColumn(column.name, name))) columns.push({ name, descending });
+    };
+
+    usage.equality.forEach(name => add(name));
+    usage.join.forEach(name => add(name));
+    const range = usage.range.find(name => !columns.some(column => sameColumn(column.name, name)));
+    if (range) add(range);
+
+    const sort = usage.sort || usage.group || [];
+    const mixed = new Set(sort.map(item => item.descending)).size > 1;
+    sort.forEach(item => add(item.column, mixed && item.descending));
+
+    return columns.slice(0, MAX_KEY_COLUMNS);
+}
+
+/**
+ * CREATE INDEX suggestions for the tables of a query, skipping those an
+ * existing index already serves. For SELECT statements whose columns are all
+ * known, a covering variant is suggested as well.
+ *
+ * @param {string} query
+ * @param {{ dialect: 'mysql' | 'postgresql', defaultSchema?: string, indexes?: object[] }} options
+ *        `indexes` in the shape of catalogNormalizer
+ * @returns {{ schema: string|null, table: string, aliases: string[], name: string, columns: { name: string, descending: boolean }[],
+ *             include: string[], covering: boolean, ddl: string }[]}
+ */
+function adviseIndexes(query, { dialect, defaultSchema = null, indexes = [] }) {
+    const queryColumns = new QueryColumns(query, dialect);
+    const isSelect = classifyStatement(query, { dialect }).type === 'SELECT';
+    const suggestions = [];
+
+    queryColumns.usage.forEach((usage, reference) => {
+        const schema = reference.schema || defaultSchema;
+        const tableIndexes = indexes.filter(index =>
+            index.table === reference.table && (!index.schema || !schema || index.schema === schema));
+        const suggest = (columns, include, covering) => {
+            const suggestion = {
+                schema: reference.schema,
+                table: reference.table,
+                aliases: reference.aliases,
+                name: indexName(reference.table, columns.map(column => column.name), covering, dialect),
+                columns,
+                include,
+                covering
+            };
+            suggestions.push({ ...suggestion, ddl: createIndexStatement(suggestion, dialect) });
+        };
+
+        const key = keyColumns(usage);
+        if (key.length === 0) return;
+
+        const keyNames = key.map(column => column.name);
+        const equalityCount = key.filter(column => usage.equality.some(name => sameColumn(name, column.name))).length;
+        if (!tableIndexes.some(index => servedBy(index, keyNames, [], equalityCount))) {
+            suggest(key, [], false);
+        }
+
+        if (!isSelect || usage.star || queryColumns.uncertain) return;
+
+        // InnoDB secondary indexes already carry the primary key columns
+        const primary = dialect === 'mysql' ? tableIndexes.find(index => index.primary) : null;
+        const extra = [...usage.columns].filter(name =>
+            !keyNames.some(column => sameColumn(column, name)) &&
+            !(primary && primary.columns.map(bareColumn).includes(name.toLowerCase())));
+        if (extra.length === 0 || extra.length > MAX_COVERING_COLUMNS) return;
+
+        if (dialect === 'mysql') {
+            const columns = [...key, ...extra.map(name => ({ name, descending: false }))];
+            if (!tableIndexes.some(index => servedBy(index, columns.map(column => column.name), [], equalityCount))) {
+                suggest(columns, [], true);
+            }
+        } else if (!tableIndexes.some(index => servedBy(index, keyNames, extra, equalityCount))) {
+            suggest(key, extra, true);
+        }
+    });
+
+    return suggestions;
+}
+
+/**
+ * The outcome of planning a statement with and without a suggested index.
+ * `improved` is false when the planner ignores the index or gains nothing.
+ *
+ * @param {'hypopg' | 'invisible-index'} method
+ * @param {number|null} costBefore
+ * @param {number|null} costAfter
+ * @param {boolean} usesIndex - whether the new plan reads the index
+ */
+function costVerification(method, costBefore, costAfter, usesIndex) {
+    const measured = costBefore !== null && costAfter !== null;
+    return {
+        method,
+        costBefore,
+        costAfter,
+        costDelta: measured ? costAfter - costBefore : null,
+        usesIndex,
+        improved: measured && usesIndex && costAfter < costBefore
+    };
+}
+
+/**
+ * Records a verification on an INDEX_SUGGESTION and states the measured
+ * change as its impact.
+ */
+function applyVerification(rec, verification, i18n) {
+    rec.verification = verification;
+    if (!verification.improved) return;
+
+    const percent = verification.costBefore > 0
+        ? Math.round((1 - verification.costAfter / verification.costBefore) * 100)
+        : 0;
+    rec.details.impact = i18n.t('analyzer.recommendations.indexSuggestion.measured', {
+        before: verification.costBefore.toFixed(2),
+        after: verification.costAfter.toFixed(2),
+        percent
+    });
+}
+
+module.exports = { adviseIndexes, invisibleIndexStatement, dropIndexStatement, costVerification, applyVerification };
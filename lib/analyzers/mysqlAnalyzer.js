@@ -1,24 +1,94 @@
 // lib/analyzers/mysqlAnalyzer.js
 const mysql = require('mysql2/promise');
 const logger = require('../utils/logger');
+const {
+    buildPlanFromJson, buildPlanFromRows, buildPlanFromIterators, collectTableNodes, parseTreeOutput, collectIterators
+} = require('./mysqlPlan');
+const { AnalysisModes, DEFAULT_MODE, isAnalysisMode } = require('./analysisModes');
+const { classifyStatement } = require('../utils/sqlStatement');
+const { splitStatements } = require('../utils/sqlSplitter');
+const { fingerprintQuery } = require('../utils/sqlFingerprint');
+const { normalizeMySQLTableStatistics, normalizeMySQLIndexes, normalizeColumns } = require('./catalogNormalizer');
+const { collectQueryTables, expandViews, scopeCatalog, snapshotViewLoader } = require('./tableScope');
+const {
+    adviseIndexes, invisibleIndexStatement, dropIndexStatement, costVerification, applyVerification
+} = require('./indexAdvisor');
+const { lintRecommendations } = require('./sqlLint');
+
+const INSERT_TARGETS = ['INSERT', 'REPLACE'];
+
+// Findings that make an index suggestion for the same table more urgent
+const SCAN_TYPES = ['TABLE_SCAN', 'ACCESS_TYPE', 'LARGE_TABLE_SCAN', 'DML_UNINDEXED_WHERE', 'DML_LOCKING_SCAN'];
+
+// Oldest server releases that understand EXPLAIN FORMAT=TREE and EXPLAIN ANALYZE
+const TREE_FORMAT_VERSION = [8, 0, 16];
+const EXPLAIN_ANALYZE_VERSION = [8, 0, 18];
+const INVISIBLE_INDEX_VERSION = [8, 0, 0];
+
+function parseServerVersion(versionString) {
+    const match = String(versionString).match(/^(\d+)\.(\d+)\.(\d+)/);
+    return {
+        text: String(versionString),
+        numbers: match ? match.slice(1).map(Number) : [0, 0, 0],
+        mariadb: /mariadb/i.test(versionString)
+    };
+}
+
+function versionAtLeast(version, minimum) {
+    if (version.mariadb) return false;
+
+    for (let i = 0; i < minimum.length; i++) {
+        if (version.numbers[i] !== minimum[i]) return version.numbers[i] > minimum[i];
+    }
+    return true;
+}
 
 class MySQLAnalyzer {
-    constructor(config, i18n) {
+    constructor(config, i18n, options = {}) {
         this.config = config;
         this.i18n = i18n;
+        this.mode = options.mode || DEFAULT_MODE;
+        // Report statistics and indexes for the whole database instead of the tables the query uses
+        this.allTables = Boolean(options.allTables);
+        // Measure each index suggestion by planning the statement with the index in place
+        this.verifyIndexes = Boolean(options.verifyIndexes);
+
+        if (!isAnalysisMode(this.mode)) {
+            throw new Error(`Unknown analysis mode '${this.mode}'`);
+        }
     }
 
-    async analyze(query) {
-        let connection;
-        try {
-            // Create connection
-            connection = await mysql.createConnection({
+    async connect() {
+        if (!this.connection) {
+            this.connection = await mysql.createConnection({
                 ...this.config,
                 // Add query timeout
                 connectTimeout: 10000,
                 // Support multiple statements
                 multipleStatements: true
             });
+        }
+        return this.connection;
+    }
+
+    async close() {
+        if (!this.connection) return;
+
+        const connection = this.connection;
+        this.connection = null;
+        this.serverVersion = null;
+        try {
+            await connection.end();
+        } catch (error) {
+            logger.warn('Error closing connection:', error.message);
+        }
+    }
+
+    async analyze(query) {
+        // Reuse a connection opened with connect(), e.g. for batch analysis
+        const ownsConnection = !this.connection;
+        try {
+            const connection = await this.connect();
 
             // Validate query
             if (!query || typeof query !== 'string') {
@@ -30,31 +100,51 @@ class MySQLAnalyzer {
                 throw new Error('Empty query provided');
             }
 
-            if (!trimmedQuery.toLowerCase().startsWith('select')) {
-                throw new Error('Only SELECT queries can be analyzed');
+            // Only the first statement is classified, but the driver would run them all, even in plan mode
+            if (splitStatements(trimmedQuery, { dialect: 'mysql' }).length > 1) {
+                throw new Error('Only one statement can be analyzed at a time');
+            }
+
+            const statement = classifyStatement(trimmedQuery, { dialect: 'mysql' });
+            if (!statement.supported) {
+                throw new Error('Only SELECT, UPDATE, DELETE, INSERT ... SELECT and REPLACE statements can be analyzed');
             }
 
             // Get execution plan
-            let explainResult;
+            let plan;
             try {
-                const [rows] = await connection.query(`EXPLAIN ${trimmedQuery}`);
-                explainResult = rows[0]; // EXPLAIN returns an array with one row
+                plan = await this.explain(connection, trimmedQuery);
             } catch (error) {
                 throw new Error(`Failed to get execution plan: ${error.message}`);
             }
 
+            // Get the iterator tree, with actual timings when the mode and server allow it
+            let iterators = null;
+            try {
+                iterators = await this.explainIterators(connection, trimmedQuery, statement);
+            } catch (error) {
+                logger.warn('Failed to get iterator plan:', error.message);
+            }
+
+            const tables = await this.queryTables(trimmedQuery, plan.tree, candidates => this.loadViews(connection, candidates));
+            const filter = this.catalogFilter(this.allTables ? null : tables);
+
             // Get table statistics
             let tableStats = [];
             try {
-                [tableStats] = await connection.query(`
+                if (filter) {
+                    const [rows] = await connection.query(`
           SELECT 
+            table_schema,
             table_name,
             table_rows,
             data_length,
             index_length
           FROM information_schema.tables 
-          WHERE table_schema = ?
-        `, [this.config.database]);
+          WHERE ${filter.condition}
+        `, filter.params);
+                    tableStats = normalizeMySQLTableStatistics(rows);
+                }
             } catch (error) {
                 logger.warn('Failed to get table statistics:', error.message);
             }
@@ -62,25 +152,69 @@ class MySQLAnalyzer {
             // Get existing indexes
             let indexes = [];
             try {
-                [indexes] = await connection.query(`
+                if (filter) {
+                    const [rows] = await connection.query(`
           SELECT 
+            table_schema,
             table_name,
             index_name,
+            seq_in_index,
             column_name,
-            non_unique
+            sub_part,
+            non_unique,
+            index_type
           FROM information_schema.statistics 
-          WHERE table_schema = ?
-        `, [this.config.database]);
+          WHERE ${filter.condition}
+        `, filter.params);
+                    indexes = normalizeMySQLIndexes(rows, await this.getIndexSizes(connection));
+                }
             } catch (error) {
                 logger.warn('Failed to get index information:', error.message);
             }
 
+            // Column types and nullability for the static checks, always for the query's own tables
+            let columns = [];
+            try {
+                const columnFilter = this.catalogFilter(tables);
+                if (columnFilter) {
+                    const [rows] = await connection.query(`
+          SELECT 
+            table_schema,
+            table_name,
+            column_name,
+            data_type,
+            is_nullable
+          FROM information_schema.columns 
+          WHERE ${columnFilter.condition}
+        `, columnFilter.params);
+                    columns = normalizeColumns(rows);
+                }
+            } catch (error) {
+                logger.warn('Failed to get column information:', error.message);
+            }
+
             // Generate recommendations
-            const recommendations = this.generateRecommendations(explainResult, tableStats, indexes);
+            let recommendations = this.generateRecommendations(plan.tree, tableStats, indexes, iterators?.tree, statement, trimmedQuery, columns);
+            if (this.verifyIndexes) {
+                try {
+                    recommendations = await this.verifyIndexSuggestions(connection, trimmedQuery, recommendations);
+                } catch (error) {
+                    logger.warn(this.i18n.t('analyzer.verification.failed'), error.message);
+                }
+            }
 
             return {
+                engine: 'mysql',
+                serverVersion: this.serverVersion?.text ?? null,
+                analysisMode: iterators?.format === 'analyze' ? this.effectiveMode(statement) : AnalysisModes.PLAN,
+                statementType: statement.type,
                 query: trimmedQuery,
-                executionPlan: explainResult,
+                fingerprint: trimmedQuery ? fingerprintQuery(trimmedQuery, { dialect: 'mysql' }) : null,
+                estimatedCost: plan.estimatedCost,
+                explainFormat: plan.format,
+                executionPlan: plan.tree,
+                iteratorFormat: iterators?.format ?? null,
+                iteratorPlan: iterators?.tree ?? null,
                 tableStatistics: tableStats,
                 indexes: indexes,
                 recommendations: recommendations
@@ -89,51 +223,319 @@ class MySQLAnalyzer {
         } catch (error) {
             throw new Error(`MySQL Analysis Error: ${error.message}`);
         } finally {
-            if (connection) {
-                try {
-                    await connection.end();
-                } catch (error) {
-                    logger.warn('Error closing connection:', error.message);
+            if (ownsConnection) {
+                await this.close();
+            }
+        }
+    }
+
+    // Runs the rules on EXPLAIN output saved earlier (see savedPlan.js), without a
+    // connection. Statistics, indexes and columns come from the snapshot, if any.
+    async analyzeSavedPlan(savedPlan, { query = '', snapshot = null } = {}) {
+        try {
+            const trimmedQuery = (query || '').trim();
+            const statement = trimmedQuery ? classifyStatement(trimmedQuery, { dialect: 'mysql' }) : {};
+            const catalog = snapshot || { tableStatistics: [], indexes: [], columns: [], views: [] };
+
+            // FORMAT=TREE and EXPLAIN ANALYZE output only has the iterator tree; its table
+            // access iterators stand in for the table nodes the per-table rules read
+            const planTree = savedPlan.plan ?? buildPlanFromIterators(savedPlan.tree);
+
+            const tables = await this.queryTables(trimmedQuery, planTree, snapshotViewLoader(catalog.views));
+            const tableStats = scopeCatalog(catalog.tableStatistics, this.allTables ? null : tables);
+            const indexes = scopeCatalog(catalog.indexes, this.allTables ? null : tables);
+            const columns = scopeCatalog(catalog.columns, tables);
+
+            const iteratorPlan = savedPlan.tree ?? null;
+            const recommendations = this.generateRecommendations(planTree, tableStats, indexes, iteratorPlan, statement, trimmedQuery, columns);
+
+            let estimatedCost = iteratorPlan?.estimatedCost ?? null;
+            if (savedPlan.rows) {
+                estimatedCost = this.estimateCost(savedPlan.rows);
+            } else if (savedPlan.plan) {
+                estimatedCost = savedPlan.plan.cost ?? this.estimateCost(collectTableNodes(savedPlan.plan));
+            }
+
+            return {
+                engine: 'mysql',
+                serverVersion: null,
+                offline: true,
+                analysisMode: savedPlan.format === 'analyze' ? AnalysisModes.ANALYZE : AnalysisModes.PLAN,
+                statementType: statement.type ?? null,
+                query: trimmedQuery,
+                fingerprint: trimmedQuery ? fingerprintQuery(trimmedQuery, { dialect: 'mysql' }) : null,
+                estimatedCost,
+                explainFormat: savedPlan.plan ? savedPlan.format : null,
+                executionPlan: savedPlan.plan,
+                iteratorFormat: iteratorPlan ? savedPlan.format : null,
+                iteratorPlan,
+                tableStatistics: tableStats,
+                indexes: indexes,
+                recommendations: recommendations
+            };
+        } catch (error) {
+            throw new Error(`MySQL Analysis Error: ${error.message}`);
+        }
+    }
+
+    // Prefer EXPLAIN FORMAT=JSON, which covers every query block and carries
+    // cost estimates; fall back to tabular EXPLAIN on servers without it
+    async explain(connection, query) {
+        try {
+            const [rows] = await connection.query(`EXPLAIN FORMAT=JSON ${query}`);
+            const tree = buildPlanFromJson(rows[0].EXPLAIN);
+            return {
+                format: 'json',
+                tree,
+                estimatedCost: tree.cost ?? this.estimateCost(collectTableNodes(tree))
+            };
+        } catch (error) {
+            if (error.code !== 'ER_PARSE_ERROR' && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+        }
+
+        const [rows] = await connection.query(`EXPLAIN ${query}`);
+        return {
+            format: 'traditional',
+            tree: buildPlanFromRows(rows),
+            estimatedCost: this.estimateCost(rows)
+        };
+    }
+
+    // Builds each suggested index as an invisible index, which only sessions with
+    // use_invisible_indexes=on consider, plans the statement and drops the index.
+    // Suggestions the optimizer would not use, or that do not lower the cost, are dropped.
+    async verifyIndexSuggestions(connection, query, recommendations) {
+        const suggestions = recommendations.filter(rec => rec.type === 'INDEX_SUGGESTION');
+        if (suggestions.length === 0) return recommendations;
+
+        if (!versionAtLeast(await this.detectServerVersion(connection), INVISIBLE_INDEX_VERSION)) {
+            logger.warn(this.i18n.t('analyzer.verification.invisibleIndexesUnsupported'));
+            return recommendations;
+        }
+
+        const costBefore = (await this.explain(connection, query)).estimatedCost;
+        const [[{ optimizerSwitch }]] = await connection.query('SELECT @@SESSION.optimizer_switch AS optimizerSwitch');
+        const rejected = new Set();
+
+        for (const rec of suggestions) {
+            let created = false;
+            try {
+                await connection.query(invisibleIndexStatement(rec.suggestedIndex));
+                created = true;
+                await connection.query("SET SESSION optimizer_switch = 'use_invisible_indexes=on'");
+
+                const plan = await this.explain(connection, query);
+                const usesIndex = collectTableNodes(plan.tree).some(node => node.key === rec.suggestedIndex.name);
+
+                const verification = costVerification('invisible-index', costBefore, plan.estimatedCost, usesIndex);
+                applyVerification(rec, verification, this.i18n);
+                if (!verification.improved) rejected.add(rec);
+            } catch (error) {
+                logger.warn(this.i18n.t('analyzer.verification.failed'), error.message);
+            } finally {
+                // Drop the index first, so a failed reset cannot leave it on the table
+                if (created) {
+                    await this.dropVerificationIndex(connection, rec.suggestedIndex);
                 }
+                await this.restoreOptimizerSwitch(connection, optimizerSwitch);
             }
         }
+
+        return recommendations.filter(rec => !rejected.has(rec));
     }
 
-    generateRecommendations(explainResult, tableStats, indexes) {
-        const recommendations = [];
+    async dropVerificationIndex(connection, suggestion) {
+        const statement = dropIndexStatement(suggestion);
+        try {
+            await connection.query(statement);
+        } catch (error) {
+            logger.warn(this.i18n.t('analyzer.verification.dropFailed', { statement }), error.message);
+        }
+    }
+
+    async restoreOptimizerSwitch(connection, optimizerSwitch) {
+        try {
+            await connection.query('SET SESSION optimizer_switch = ?', [optimizerSwitch]);
+        } catch (error) {
+            logger.warn(this.i18n.t('analyzer.verification.restoreSwitchFailed'), error.message);
+        }
+    }
+
+    async detectServerVersion(connection) {
+        if (!this.serverVersion) {
+            const [rows] = await connection.query('SELECT VERSION() AS version');
+            this.serverVersion = parseServerVersion(rows[0].version);
+        }
+        return this.serverVersion;
+    }
+
+    // The tables named in the query and its plan, with views replaced by their tables.
+    // The plan names tables by alias; derived tables (<derived2>, <union1,2>) are skipped.
+    async queryTables(query, planTree, loadViews) {
+        const planTables = collectTableNodes(planTree)
+            .filter(node => node.table && !node.table.startsWith('<'))
+            .map(node => ({ table: node.table }));
+        const tables = collectQueryTables(query, {
+            dialect: 'mysql',
+            defaultSchema: this.config.database,
+            planTables
+        });
+
+        try {
+            return await expandViews(tables, loadViews, { dialect: 'mysql' });
+        } catch (error) {
+            logger.warn('Failed to resolve views:', error.message);
+            return tables;
+        }
+    }
+
+    async loadViews(connection, tables) {
+        const filter = this.catalogFilter(tables);
+        const [rows] = await connection.query(`
+          SELECT 
+            table_schema AS \`schema\`,
+            table_name AS name,
+            view_definition AS definition
+          FROM information_schema.views 
+          WHERE ${filter.condition}
+        `, filter.params);
+        return rows;
+    }
+
+    // WHERE condition on information_schema for the given tables, or for the
+    // whole database when `tables` is null; null when there are no tables
+    catalogFilter(tables) {
+        if (!tables) {
+            return { condition: 'table_schema = ?', params: [this.config.database] };
+        }
+        if (tables.length === 0) return null;
+
+        return {
+            condition: `(table_schema, table_name) IN (${tables.map(() => '(?, ?)').join(', ')})`,
+            params: tables.flatMap(({ schema, table }) => [schema, table])
+        };
+    }
 
+    // InnoDB index sizes by `table.index`. Reading the mysql schema needs
+    // extra privileges, so without them the sizes are simply left out.
+    async getIndexSizes(connection) {
         try {
-            if (!explainResult) return recommendations;
+            const [rows] = await connection.query(`
+          SELECT 
+            table_name,
+            index_name,
+            stat_value * @@innodb_page_size AS size_bytes
+          FROM mysql.innodb_index_stats 
+          WHERE database_name = ? AND stat_name = 'size'
+        `, [this.config.database]);
+            return new Map(rows.map(row => [`${row.table_name}.${row.index_name}`, row.size_bytes]));
+        } catch (error) {
+            return new Map();
+        }
+    }
+
+    // EXPLAIN ANALYZE (8.0.18+) when the mode allows executing the statement,
+    // otherwise EXPLAIN FORMAT=TREE (8.0.16+); older servers and MariaDB have neither
+    async explainIterators(connection, query, statement) {
+        const version = await this.detectServerVersion(connection);
+        const wantsActuals = this.mode !== AnalysisModes.PLAN;
+
+        if (wantsActuals && versionAtLeast(version, EXPLAIN_ANALYZE_VERSION)) {
+            return {
+                format: 'analyze',
+                tree: parseTreeOutput(await this.runExplainAnalyze(connection, query, statement))
+            };
+        }
+
+        if (wantsActuals) {
+            logger.warn(`EXPLAIN ANALYZE needs MySQL 8.0.18 or later (server is ${version.text}); using estimates only`);
+        }
+
+        if (!versionAtLeast(version, TREE_FORMAT_VERSION)) return null;
+
+        const [rows] = await connection.query(`EXPLAIN FORMAT=TREE ${query}`);
+        return {
+            format: 'tree',
+            tree: parseTreeOutput(rows[0].EXPLAIN)
+        };
+    }
 
-            // 1. Analyze table access method
-            this.analyzeTableAccessMethod(explainResult, recommendations);
+    // Statements that change data are always rolled back, even in execute mode
+    effectiveMode(statement) {
+        if (statement.modifiesData && this.mode === AnalysisModes.EXECUTE) return AnalysisModes.ANALYZE;
+        return this.mode;
+    }
 
-            // 2. Analyze join operations
-            this.analyzeJoinOperations(explainResult, recommendations);
+    async runExplainAnalyze(connection, query, statement) {
+        const explainQuery = `EXPLAIN ANALYZE ${query}`;
 
-            // 3. Analyze temporary tables and file sorts
-            this.analyzeTemporaryStructures(explainResult, recommendations);
+        if (this.effectiveMode(statement) === AnalysisModes.EXECUTE) {
+            const [rows] = await connection.query(explainQuery);
+            return rows[0].EXPLAIN;
+        }
 
-            // 4. Analyze index usage
-            this.analyzeIndexUsage(explainResult, indexes, recommendations);
+        // ANALYZE executes the statement, so keep it in a transaction that is never committed
+        await connection.query('START TRANSACTION');
+        try {
+            const [rows] = await connection.query(explainQuery);
+            return rows[0].EXPLAIN;
+        } finally {
+            await connection.query('ROLLBACK');
+        }
+    }
 
-            // 5. Analyze table statistics
-            this.analyzeTableStatistics(explainResult, tableStats, recommendations);
+    // Rough number of rows examined: the product of the per-table row
+    // estimates, reduced by the filtered percentage, as the optimizer sees it
+    estimateCost(explainRows) {
+        if (!Array.isArray(explainRows) || explainRows.length === 0) return null;
 
-            // 6. Analyze query structure
-            this.analyzeQueryStructure(explainResult, recommendations);
+        return Math.round(explainRows.reduce((total, row) => {
+            const rows = Number(row.rows) || 1;
+            const filtered = row.filtered !== undefined && row.filtered !== null ? Number(row.filtered) / 100 : 1;
+            return total * Math.max(rows * filtered, 1);
+        }, 1));
+    }
 
-            // 7. Analyze partitioning
-            this.analyzePartitioning(explainResult, recommendations);
+    generateRecommendations(plan, tableStats, indexes, iteratorPlan, statement = {}, query = '', columns = []) {
+        const recommendations = [];
 
-            // 8. Analyze subqueries
-            this.analyzeSubqueries(explainResult, recommendations);
+        try {
+            // Every rule runs against each table of the plan, and each
+            // recommendation records the table and select it came from
+            collectTableNodes(plan).forEach(node => {
+                const nodeRecommendations = [];
 
-            // 9. Analyze sorting operations
-            this.analyzeSortOperations(explainResult, recommendations);
+                // The table an INSERT or REPLACE writes to is not read, so only DML checks apply
+                if (!INSERT_TARGETS.includes(node.dmlTarget)) {
+                    this.analyzeNode(node, tableStats, indexes, nodeRecommendations);
+                }
+                if (statement.modifiesData) {
+                    this.analyzeDataModification(node, tableStats, statement, nodeRecommendations);
+                }
 
-            // 10. Analyze group operations
-            this.analyzeGroupOperations(explainResult, recommendations);
+                nodeRecommendations.forEach(rec => {
+                    rec.source = { selectId: node.id, table: node.table };
+                    recommendations.push(rec);
+                });
+            });
+
+            // Runtime checks need the iterator tree from EXPLAIN ANALYZE
+            if (iteratorPlan) {
+                this.analyzeIterators(iteratorPlan, recommendations);
+            }
+
+            this.suggestIndexes(query, indexes, recommendations);
+
+            // Anti-patterns in the SQL text itself; a saved plan may come without it
+            if (query) {
+                recommendations.push(...lintRecommendations(query, {
+                    dialect: 'mysql',
+                    defaultSchema: this.config.database,
+                    columns
+                }, this.i18n));
+            }
 
         } catch (error) {
             logger.warn(this.i18n.t('analyzer.errors.recommendations'), error.message);
@@ -142,6 +544,160 @@ class MySQLAnalyzer {
         return this.prioritizeRecommendations(recommendations);
     }
 
+    suggestIndexes(query, indexes, recommendations) {
+        if (!query) return;
+
+        const suggestions = adviseIndexes(query, {
+            dialect: 'mysql',
+            defaultSchema: this.config.database,
+            indexes
+        });
+
+        suggestions.forEach(suggestion => {
+            // The plan names tables by their alias when the query gives one
+            const names = [suggestion.table, ...suggestion.aliases];
+            const scanned = recommendations.some(rec =>
+                SCAN_TYPES.includes(rec.type) && names.includes(rec.source?.table));
+
+            recommendations.push(this.createIndexSuggestion(suggestion, scanned));
+        });
+    }
+
+    createIndexSuggestion(suggestion, scanned) {
+        const columns = suggestion.columns.map(column => column.name).join(', ');
+        const key = suggestion.covering ? 'coveringMessage' : 'message';
+
+        return {
+            type: 'INDEX_SUGGESTION',
+            severity: scanned && !suggestion.covering ? 'MEDIUM' : 'LOW',
+            message: this.i18n.t(`analyzer.recommendations.indexSuggestion.${key}`, {
+                tableName: suggestion.table,
+                columns
+            }),
+            suggestion: this.i18n.t('analyzer.recommendations.indexSuggestion.suggestion', { ddl: suggestion.ddl }),
+            ddl: suggestion.ddl,
+            suggestedIndex: suggestion,
+            details: {
+                impact: this.i18n.t('analyzer.recommendations.indexSuggestion.impact'),
+                implementation: [
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.review'),
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.mysqlOnline'),
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.verify')
+                ]
+            },
+            source: { table: suggestion.table }
+        };
+    }
+
+    analyzeIterators(root, recommendations) {
+        const iterators = collectIterators(root);
+        const source = node => ({ iterator: node.operation, table: node.table });
+
+        // 1. Row estimates that are far off. Only table access and filter
+        // iterators are checked, as the estimates of the others derive from them
+        iterators
+            .filter(node => node.actualRows !== null && node.estimatedRows !== null)
+            .filter(node => node.table || node.operation.startsWith('Filter'))
+            .forEach(node => {
+                const estimated = Math.max(node.estimatedRows, 1);
+                const actual = Math.max(node.actualRows, 1);
+                const ratio = Math.max(estimated / actual, actual / estimated);
+
+                if (ratio < 10 || Math.max(estimated, actual) < 100) return;
+
+                recommendations.push({
+                    type: 'ROW_MISESTIMATE',
+                    severity: ratio >= 100 ? 'HIGH' : 'MEDIUM',
+                    message: this.i18n.t('analyzer.recommendations.rowMisestimate.message', {
+                        operation: node.operation,
+                        estimated: node.estimatedRows,
+                        actual: node.actualRows
+                    }),
+                    suggestion: this.i18n.t('analyzer.recommendations.rowMisestimate.suggestion'),
+                    details: {
+                        impact: this.i18n.t('analyzer.recommendations.rowMisestimate.impact'),
+                        implementation: [
+                            this.i18n.t('analyzer.recommendations.rowMisestimate.implementation.analyzeTable'),
+                            this.i18n.t('analyzer.recommendations.rowMisestimate.implementation.histogram'),
+                            this.i18n.t('analyzer.recommendations.rowMisestimate.implementation.rewrite')
+                        ]
+                    },
+                    source: source(node)
+                });
+            });
+
+        // 2. The iterator that spends the most time on its own, excluding its children
+        const totalTime = node => (node.actualTime ?? 0) * (node.loops ?? 0);
+        const statementTime = root.actualTime !== undefined && root.actualTime !== null
+            ? totalTime(root)
+            : root.children.reduce((sum, child) => sum + totalTime(child), 0);
+
+        if (statementTime <= 0) return;
+
+        const slowest = iterators
+            .filter(node => node.actualTime !== null && node.actualTime !== undefined)
+            .map(node => ({
+                node,
+                selfTime: Math.max(totalTime(node) - node.children.reduce((sum, child) => sum + totalTime(child), 0), 0)
+            }))
+            .reduce((worst, item) => (!worst || item.selfTime > worst.selfTime ? item : worst), null);
+
+        if (!slowest) return;
+
+        const share = Math.min(slowest.selfTime / statementTime, 1);
+        recommendations.push({
+            type: 'EXPENSIVE_ITERATOR',
+            severity: share >= 0.5 ? 'MEDIUM' : 'LOW',
+            message: this.i18n.t('analyzer.recommendations.expensiveIterator.message', {
+                operation: slowest.node.operation,
+                time: slowest.selfTime.toFixed(2),
+                share: Math.round(share * 100)
+            }),
+            suggestion: this.i18n.t('analyzer.recommendations.expensiveIterator.suggestion'),
+            details: {
+                impact: this.i18n.t('analyzer.recommendations.expensiveIterator.impact'),
+                implementation: [
+                    this.i18n.t('analyzer.recommendations.expensiveIterator.implementation.focus'),
+                    this.i18n.t('analyzer.recommendations.expensiveIterator.implementation.indexes'),
+                    this.i18n.t('analyzer.recommendations.expensiveIterator.implementation.reduceRows')
+                ]
+            },
+            source: source(slowest.node)
+        });
+    }
+
+    analyzeNode(node, tableStats, indexes, recommendations) {
+        // 1. Analyze table access method
+        this.analyzeTableAccessMethod(node, recommendations);
+
+        // 2. Analyze join operations
+        this.analyzeJoinOperations(node, recommendations);
+
+        // 3. Analyze temporary tables and file sorts
+        this.analyzeTemporaryStructures(node, recommendations);
+
+        // 4. Analyze index usage
+        this.analyzeIndexUsage(node, indexes, recommendations);
+
+        // 5. Analyze table statistics
+        this.analyzeTableStatistics(node, tableStats, recommendations);
+
+        // 6. Analyze query structure
+        this.analyzeQueryStructure(node, recommendations);
+
+        // 7. Analyze partitioning
+        this.analyzePartitioning(node, recommendations);
+
+        // 8. Analyze subqueries
+        this.analyzeSubqueries(node, recommendations);
+
+        // 9. Analyze sorting operations
+        this.analyzeSortOperations(node, recommendations);
+
+        // 10. Analyze group operations
+        this.analyzeGroupOperations(node, recommendations);
+    }
+
     analyzeTableAccessMethod(explainResult, recommendations) {
         // Check for full table scans
         if (explainResult.type === 'ALL') {
@@ -182,8 +738,8 @@ class MySQLAnalyzer {
     }
 
     analyzeJoinOperations(explainResult, recommendations) {
-        // Check for inefficient joins
-        if (explainResult.select_type !== 'SIMPLE' && !explainResult.key) {
+        // Check for inefficient joins (tabular EXPLAIN labels the table a DML statement writes to by statement)
+        if (!['SIMPLE', 'UPDATE', 'DELETE', 'INSERT', 'REPLACE'].includes(explainResult.select_type) && !explainResult.key) {
             recommendations.push({
                 type: 'JOIN_OPTIMIZATION',
                 severity: 'HIGH',
@@ -278,7 +834,7 @@ class MySQLAnalyzer {
 
         // Check for partial index usage
         if (explainResult.key && explainResult.key_len && indexes.length > 0) {
-            const relevantIndex = indexes.find(idx => idx.index_name === explainResult.key);
+            const relevantIndex = indexes.find(idx => idx.table === explainResult.table && idx.name === explainResult.key);
             if (relevantIndex && explainResult.ref !== 'const') {
                 recommendations.push({
                     type: 'PARTIAL_INDEX_USAGE',
@@ -301,15 +857,15 @@ class MySQLAnalyzer {
     analyzeTableStatistics(explainResult, tableStats, recommendations) {
         if (!tableStats || !tableStats.length) return;
 
-        const relevantTableStat = tableStats.find(stat => stat.table_name === explainResult.table);
+        const relevantTableStat = tableStats.find(stat => stat.table === explainResult.table);
         if (relevantTableStat) {
             // Check for large tables without proper indexing
-            if (relevantTableStat.table_rows > 10000 && explainResult.type === 'ALL') {
+            if (relevantTableStat.rows > 10000 && explainResult.type === 'ALL') {
                 recommendations.push({
                     type: 'LARGE_TABLE_SCAN',
                     severity: 'HIGH',
                     message: this.i18n.t('analyzer.recommendations.largeTableScan.message', {
-                        rows: relevantTableStat.table_rows
+                        rows: relevantTableStat.rows
                     }),
                     suggestion: this.i18n.t('analyzer.recommendations.largeTableScan.suggestion'),
                     details: {
@@ -324,7 +880,7 @@ class MySQLAnalyzer {
             }
 
             // Check index vs data size ratio
-            const indexRatio = relevantTableStat.index_length / relevantTableStat.data_length;
+            const indexRatio = relevantTableStat.indexBytes / relevantTableStat.dataBytes;
             if (indexRatio > 0.5) {
                 recommendations.push({
                     type: 'HIGH_INDEX_RATIO',
@@ -521,6 +1077,61 @@ class MySQLAnalyzer {
         }
     }
 
+    analyzeDataModification(node, tableStats, statement, recommendations) {
+        if (INSERT_TARGETS.includes(node.dmlTarget)) return;
+
+        const tableName = node.table;
+        const tableStat = (tableStats || []).find(stat => stat.table === tableName);
+        const rows = Number(tableStat?.rows ?? node.rows) || 0;
+
+        // Check for UPDATE / DELETE conditions that cannot use an index
+        if (['UPDATE', 'DELETE'].includes(node.dmlTarget) &&
+            !node.key &&
+            node.Extra?.includes('Using where') &&
+            rows > 10000) {
+            recommendations.push({
+                type: 'DML_UNINDEXED_WHERE',
+                severity: 'HIGH',
+                message: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.message', {
+                    statement: node.dmlTarget,
+                    tableName,
+                    rows
+                }),
+                suggestion: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.suggestion'),
+                details: {
+                    impact: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.impact'),
+                    implementation: [
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.addIndex'),
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.batch'),
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.primaryKey')
+                    ]
+                }
+            });
+        }
+
+        // InnoDB locks every row a data-modifying statement reads, so a full
+        // scan locks the whole table, including tables it only reads from
+        if (['ALL', 'index'].includes(node.type)) {
+            recommendations.push({
+                type: 'DML_LOCKING_SCAN',
+                severity: rows > 10000 ? 'HIGH' : 'MEDIUM',
+                message: this.i18n.t('analyzer.recommendations.dmlLockingScan.message', {
+                    statement: statement.type,
+                    tableName
+                }),
+                suggestion: this.i18n.t('analyzer.recommendations.dmlLockingScan.suggestion'),
+                details: {
+                    impact: this.i18n.t('analyzer.recommendations.dmlLockingScan.impact'),
+                    implementation: [
+                        this.i18n.t('analyzer.recommendations.dmlLockingScan.implementation.addIndex'),
+                        this.i18n.t('analyzer.recommendations.dmlLockingScan.implementation.batch'),
+                        this.i18n.t('analyzer.recommendations.dmlLockingScan.implementation.isolation')
+                    ]
+                }
+            });
+        }
+    }
+
     prioritizeRecommendations(recommendations) {
         // Define severity and type priorities
         const severityOrder = {
@@ -530,12 +1141,15 @@ class MySQLAnalyzer {
         };
 
         const priorityTypes = [
+            'DML_UNINDEXED_WHERE',
+            'DML_LOCKING_SCAN',
             'TABLE_SCAN',
             'JOIN_OPTIMIZATION',
             'LARGE_TABLE_SCAN',
             'DEPENDENT_SUBQUERY',
             'GROUP_BY_OPTIMIZATION',
-            'LARGE_SORT'
+            'LARGE_SORT',
+            'INDEX_SUGGESTION'
         ];
 
         // Sort recommendations by severity and type
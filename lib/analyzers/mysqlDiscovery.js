@@ -0,0 +1,187 @@
+// lib/analyzers/mysqlDiscovery.js
+const mysql = require('mysql2/promise');
+const logger = require('../utils/logger');
+const { classifyStatement } = require('../utils/sqlStatement');
+const { parseMySQLSlowLog, rankStatements, statementWorkload, SORT_KEYS } = require('./slowLog');
+
+// Finds the statements that cost the server most, from the statement digests
+// of performance_schema or from a slow query log. Unlike pg_stat_statements,
+// both keep a statement as it was run, so its sample can be explained as is.
+
+// performance_schema timers count picoseconds
+const PICOSECONDS_PER_MS = 1e9;
+
+const SORT_COLUMNS = {
+    total: 'SUM_TIMER_WAIT',
+    mean: 'AVG_TIMER_WAIT',
+    calls: 'COUNT_STAR',
+    examined: 'SUM_ROWS_EXAMINED / GREATEST(SUM_ROWS_SENT, 1)',
+    'no-index': 'SUM_NO_INDEX_USED'
+};
+
+function milliseconds(picoseconds) {
+    return Number((Number(picoseconds) / PICOSECONDS_PER_MS).toFixed(3));
+}
+
+function supported(sql) {
+    return Boolean(sql) && classifyStatement(sql, { dialect: 'mysql' }).supported;
+}
+
+// Samples are cut off at performance_schema_max_sql_text_length bytes, some
+// servers marking the cut with "..."; what is left would not parse
+function truncated(sample, maxLength) {
+    return Buffer.byteLength(sample) >= maxLength || /\.\.\.\s*$/.test(sample);
+}
+
+class MySQLDiscovery {
+    /**
+     * @param {object} config - mysql2 connection config
+     * @param {object} i18n
+     * @param {{ slowLog?: { file: string, text: string } }} [options] - rank the statements of this log instead
+     */
+    constructor(config, i18n, options = {}) {
+        this.config = config;
+        this.i18n = i18n;
+        this.slowLog = options.slowLog || null;
+    }
+
+    get source() {
+        return this.slowLog ? this.slowLog.file : 'performance_schema';
+    }
+
+    get sorts() {
+        // The slow log does not record whether an index was used
+        return Object.keys(this.slowLog ? SORT_KEYS : SORT_COLUMNS);
+    }
+
+    async connect() {
+        if (!this.connection) {
+            this.connection = await mysql.createConnection({
+                ...this.config,
+                connectTimeout: 10000
+            });
+        }
+        return this.connection;
+    }
+
+    async close() {
+        if (!this.connection) return;
+
+        const connection = this.connection;
+        this.connection = null;
+        try {
+            await connection.end();
+        } catch (error) {
+            logger.warn('Error closing connection:', error.message);
+        }
+    }
+
+    /**
+     * The statements of the current database with the highest figure to
+     * sort by, leaving out those that cannot be analyzed.
+     *
+     * @param {{ sort?: 'total' | 'mean' | 'p95' | 'calls' | 'examined' | 'no-index', limit?: number }} [options]
+     */
+    async topStatements({ sort = 'total', limit = 20 } = {}) {
+        return this.slowLog
+            ? this.slowLogStatements(sort, limit)
+            : this.digestStatements(sort, limit);
+    }
+
+    async digestStatements(sort, limit) {
+        const connection = await this.connect();
+
+        const [[settings]] = await connection.query(
+            'SELECT @@performance_schema AS enabled, @@performance_schema_max_sql_text_length AS max_text_length'
+        );
+        if (!Number(settings.enabled)) {
+            throw new Error(this.i18n.t('discovery.performanceSchemaOff'));
+        }
+
+        // QUERY_SAMPLE_TEXT arrived in MySQL 8.0.3; without it there is nothing to explain
+        const [sampleColumns] = await connection.query(`
+            SELECT 1
+            FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = 'performance_schema'
+            AND TABLE_NAME = 'events_statements_summary_by_digest'
+            AND COLUMN_NAME = 'QUERY_SAMPLE_TEXT'
+        `);
+        if (sampleColumns.length === 0) {
+            throw new Error(this.i18n.t('discovery.missingSamples'));
+        }
+
+        const [rows] = await connection.query(`
+            SELECT
+                DIGEST AS digest,
+                DIGEST_TEXT AS digest_text,
+                QUERY_SAMPLE_TEXT AS sample,
+                COUNT_STAR AS calls,
+                SUM_TIMER_WAIT AS total_time,
+                AVG_TIMER_WAIT AS mean_time,
+                MAX_TIMER_WAIT AS max_time,
+                SUM_ROWS_SENT AS rows_sent,
+                SUM_ROWS_EXAMINED AS rows_examined,
+                SUM_NO_INDEX_USED AS no_index_used
+            FROM performance_schema.events_statements_summary_by_digest
+            WHERE SCHEMA_NAME = DATABASE()
+            AND DIGEST_TEXT REGEXP '^[[:space:]]*(WITH|SELECT|UPDATE|DELETE|INSERT|REPLACE)[[:space:]]'
+            AND DIGEST_TEXT NOT LIKE '%performance_schema%'
+            ORDER BY ${SORT_COLUMNS[sort]} DESC
+            LIMIT ?
+        `, [limit * 2]);
+
+        const maxLength = Number(settings.max_text_length);
+        const cutOff = rows.filter(row => row.sample && truncated(row.sample, maxLength));
+        if (cutOff.length > 0) {
+            logger.warn(this.i18n.t('discovery.truncatedSamples', { count: cutOff.length, limit: maxLength }));
+        }
+
+        return rows
+            .filter(row => supported(row.sample) && !cutOff.includes(row))
+            .slice(0, limit)
+            .map((row, index) => ({
+                rank: index + 1,
+                query: row.digest_text,
+                sample: row.sample,
+                workload: {
+                    source: 'performance_schema',
+                    id: row.digest,
+                    calls: Number(row.calls),
+                    totalTimeMs: milliseconds(row.total_time),
+                    meanTimeMs: milliseconds(row.mean_time),
+                    maxTimeMs: milliseconds(row.max_time),
+                    rowsSent: Number(row.rows_sent),
+                    rowsExamined: Number(row.rows_examined),
+                    noIndexUsed: Number(row.no_index_used),
+                    sharedBlocksRead: null,
+                    sharedBlocksHit: null
+                }
+            }));
+    }
+
+    // The log is not tied to a connection; statements of other databases are left out
+    async slowLogStatements(sort, limit) {
+        const database = this.config.database;
+        const entries = parseMySQLSlowLog(this.slowLog.text)
+            .filter(entry => !database || !entry.database || entry.database === database);
+
+        return rankStatements(entries, { dialect: 'mysql', sort, limit: Infinity }).statements
+            .filter(statement => supported(statement.sample))
+            .slice(0, limit)
+            .map((statement, index) => ({
+                rank: index + 1,
+                query: statement.query,
+                sample: statement.sample,
+                workload: statementWorkload(statement, 'mysql')
+            }));
+    }
+
+    /**
+     * The statement to analyze; a digest sample already has its values.
+     */
+    async sampleStatement(statement) {
+        return { sql: statement.sample, unresolved: [] };
+    }
+}
+
+module.exports = { MySQLDiscovery, SORT_COLUMNS };
@@ -0,0 +1,437 @@
+// lib/analyzers/mysqlPlan.js
+
+// Turns MySQL EXPLAIN output into a plan tree of select and table nodes.
+// Table nodes keep the column names of the classic tabular EXPLAIN (type, key,
+// possible_keys, rows, Extra, ...) so the analyzer rules work on either source.
+
+const SUBQUERY_LISTS = [
+    'select_list_subqueries',
+    'having_subqueries',
+    'order_by_subqueries',
+    'group_by_subqueries',
+    'optimized_away_subqueries'
+];
+
+// Tabular EXPLAIN reports the table a statement writes to with these select types
+const DML_SELECT_TYPES = ['UPDATE', 'DELETE', 'INSERT', 'REPLACE'];
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+function listToString(value) {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+function subquerySelectType(spec) {
+    if (spec.dependent) return 'DEPENDENT SUBQUERY';
+    if (spec.cacheable === false) return 'UNCACHEABLE SUBQUERY';
+    return 'SUBQUERY';
+}
+
+function createSelectNode(id, selectType, cost) {
+    return {
+        kind: 'select',
+        id,
+        select_type: selectType,
+        cost,
+        children: []
+    };
+}
+
+/**
+ * Build the plan tree from the document returned by EXPLAIN FORMAT=JSON.
+ *
+ * @param {object|string} document - the parsed (or raw) EXPLAIN JSON
+ * @returns {object} root select node
+ */
+function buildPlanFromJson(document) {
+    const json = typeof document === 'string' ? JSON.parse(document) : document;
+    const rootBlock = json.query_block;
+    if (!rootBlock) {
+        throw new Error('EXPLAIN JSON output has no query_block');
+    }
+
+    const state = { blockCount: 0 };
+    const root = convertQueryBlock(rootBlock, 'PRIMARY', state);
+
+    // A statement that has only one query block is reported as SIMPLE
+    if (state.blockCount === 1) {
+        relabelSimple(root);
+    }
+    return root;
+}
+
+function relabelSimple(node) {
+    if (node.select_type === 'PRIMARY') node.select_type = 'SIMPLE';
+    node.children.forEach(relabelSimple);
+}
+
+function convertQueryBlock(block, selectType, state) {
+    state.blockCount++;
+
+    const selectNode = createSelectNode(
+        toNumber(block.select_id),
+        selectType,
+        toNumber(block.cost_info?.query_cost)
+    );
+
+    if (block.message) {
+        selectNode.Extra = block.message;
+    }
+
+    if (block.union_result) {
+        selectNode.children.push(convertUnionResult(block.union_result, state));
+    } else {
+        convertBlockBody(block, selectNode, { temporary: false, filesort: false }, state);
+    }
+
+    return selectNode;
+}
+
+// Ordering, grouping and duplicate removal wrap the tables of a block. Their
+// temporary table / filesort flags belong to the first table, as in tabular EXPLAIN.
+function convertBlockBody(body, selectNode, flags, state) {
+    ['ordering_operation', 'grouping_operation', 'duplicates_removal', 'windowing', 'buffer_result'].forEach(key => {
+        const operation = body[key];
+        if (!operation) return;
+
+        if (operation.using_temporary_table) flags.temporary = true;
+        if (operation.using_filesort) flags.filesort = true;
+        convertBlockBody(operation, selectNode, flags, state);
+    });
+
+    if (body.table) {
+        selectNode.children.push(convertTable(body.table, selectNode, flags, state));
+    }
+
+    (body.nested_loop || []).forEach(item => {
+        if (item.table) {
+            selectNode.children.push(convertTable(item.table, selectNode, flags, state));
+        }
+    });
+
+    // INSERT ... SELECT and REPLACE ... SELECT read their rows from this block
+    if (body.insert_from) {
+        convertBlockBody(body.insert_from, selectNode, flags, state);
+    }
+
+    SUBQUERY_LISTS.forEach(key => {
+        (body[key] || []).forEach(spec => {
+            if (spec.query_block) {
+                selectNode.children.push(convertQueryBlock(spec.query_block, subquerySelectType(spec), state));
+            }
+        });
+    });
+}
+
+// The table an UPDATE, DELETE or INSERT writes to, as flagged by EXPLAIN JSON
+function dmlTarget(table) {
+    if (table.update) return 'UPDATE';
+    if (table.delete) return 'DELETE';
+    if (table.insert) return 'INSERT';
+    return null;
+}
+
+function convertTable(table, selectNode, flags, state) {
+    const extra = [];
+
+    if (flags.temporary) extra.push('Using temporary');
+    if (flags.filesort) extra.push('Using filesort');
+    flags.temporary = false;
+    flags.filesort = false;
+
+    if (table.index_condition) extra.push('Using index condition');
+    if (table.attached_condition) extra.push('Using where');
+    if (table.using_index) extra.push('Using index');
+    if (table.using_MRR) extra.push('Using MRR');
+    if (table.using_join_buffer) extra.push(`Using join buffer (${table.using_join_buffer})`);
+    if (table.message) extra.push(table.message);
+
+    const node = {
+        kind: 'table',
+        id: selectNode.id,
+        select_type: selectNode.select_type,
+        table: table.table_name || null,
+        partitions: listToString(table.partitions),
+        type: table.access_type || null,
+        possible_keys: listToString(table.possible_keys),
+        key: table.key || null,
+        key_len: table.key_length || null,
+        ref: listToString(table.ref),
+        rows: toNumber(table.rows_examined_per_scan),
+        filtered: toNumber(table.filtered),
+        Extra: extra.length ? extra.join('; ') : null,
+        cost: toNumber(table.cost_info?.prefix_cost),
+        attachedCondition: table.attached_condition || null,
+        dmlTarget: dmlTarget(table),
+        children: []
+    };
+
+    const derived = table.materialized_from_subquery;
+    if (derived?.query_block) {
+        const selectType = derived.dependent ? 'DEPENDENT DERIVED' : 'DERIVED';
+        node.children.push(convertQueryBlock(derived.query_block, selectType, state));
+    }
+
+    (table.attached_subqueries || []).forEach(spec => {
+        if (spec.query_block) {
+            node.children.push(convertQueryBlock(spec.query_block, subquerySelectType(spec), state));
+        }
+    });
+
+    return node;
+}
+
+function convertUnionResult(union, state) {
+    const node = {
+        kind: 'table',
+        id: null,
+        select_type: 'UNION RESULT',
+        table: union.table_name || null,
+        partitions: null,
+        type: union.access_type || null,
+        possible_keys: null,
+        key: null,
+        key_len: null,
+        ref: null,
+        rows: null,
+        filtered: null,
+        Extra: union.using_temporary_table ? 'Using temporary' : null,
+        cost: null,
+        attachedCondition: null,
+        dmlTarget: null,
+        children: []
+    };
+
+    (union.query_specifications || []).forEach((spec, index) => {
+        if (!spec.query_block) return;
+        let selectType = index === 0 ? 'PRIMARY' : 'UNION';
+        if (index > 0 && spec.dependent) selectType = 'DEPENDENT UNION';
+        node.children.push(convertQueryBlock(spec.query_block, selectType, state));
+    });
+
+    return node;
+}
+
+/**
+ * Build the plan tree from classic tabular EXPLAIN rows. Rows sharing an id
+ * form one select node; every other select hangs off the first one.
+ *
+ * @param {object[]} rows
+ * @returns {object|null} root select node
+ */
+function buildPlanFromRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) return null;
+
+    const selects = new Map();
+    const order = [];
+
+    rows.forEach(row => {
+        const id = toNumber(row.id);
+        if (!selects.has(id)) {
+            selects.set(id, createSelectNode(id, row.select_type, null));
+            order.push(id);
+        }
+
+        selects.get(id).children.push({
+            kind: 'table',
+            id,
+            select_type: row.select_type,
+            table: row.table,
+            partitions: row.partitions ?? null,
+            type: row.type,
+            possible_keys: row.possible_keys,
+            key: row.key,
+            key_len: row.key_len,
+            ref: row.ref,
+            rows: toNumber(row.rows),
+            filtered: toNumber(row.filtered),
+            Extra: row.Extra,
+            cost: null,
+            attachedCondition: null,
+            dmlTarget: DML_SELECT_TYPES.includes(row.select_type) ? row.select_type : null,
+            children: []
+        });
+    });
+
+    const root = selects.get(order[0]);
+    order.slice(1).forEach(id => root.children.push(selects.get(id)));
+    return root;
+}
+
+/**
+ * All table nodes of the plan in depth-first order.
+ */
+function collectTableNodes(plan) {
+    const nodes = [];
+
+    const visit = node => {
+        if (!node) return;
+        if (node.kind === 'table') nodes.push(node);
+        (node.children || []).forEach(visit);
+    };
+
+    visit(plan);
+    return nodes;
+}
+
+const TREE_LINE = /^(\s*)-> (.*)$/;
+const ESTIMATE = /\(cost=([\d.e+]+)(?:\.\.([\d.e+]+))? rows=([\d.e+]+)\)/;
+const ACTUAL = /\(actual time=([\d.e+]+)\.\.([\d.e+]+) rows=([\d.e+]+) loops=(\d+)\)/;
+const NEVER_EXECUTED = /\(never executed\)/;
+const TABLE_REFERENCE = /\bon (`?[\w$]+`?)(?: using (`?[\w$]+`?))?/;
+
+function stripQuotes(name) {
+    return name ? name.replace(/`/g, '') : null;
+}
+
+/**
+ * Parse the text produced by EXPLAIN FORMAT=TREE or EXPLAIN ANALYZE into
+ * iterator nodes. Estimates are always present; actual time (ms, per loop),
+ * rows (per loop) and loops only when the statement was executed.
+ *
+ * @param {string} text
+ * @returns {object|null} root iterator node
+ */
+function parseTreeOutput(text) {
+    const roots = [];
+    const stack = [];
+
+    String(text).split('\n').forEach(line => {
+        const match = line.match(TREE_LINE);
+        if (!match) return;
+
+        const depth = match[1].length;
+        const body = match[2];
+        const estimate = body.match(ESTIMATE);
+        const actual = body.match(ACTUAL);
+        const reference = body.match(TABLE_REFERENCE);
+
+        const operationEnd = [estimate, actual, body.match(NEVER_EXECUTED)]
+            .filter(Boolean)
+            .reduce((end, found) => Math.min(end, found.index), body.length);
+
+        const node = {
+            kind: 'iterator',
+            operation: body.slice(0, operationEnd).trim(),
+            table: reference ? stripQuotes(reference[1]) : null,
+            index: reference ? stripQuotes(reference[2]) : null,
+            estimatedCost: estimate ? Number(estimate[2] ?? estimate[1]) : null,
+            estimatedRows: estimate ? Number(estimate[3]) : null,
+            actualFirstRowTime: actual ? Number(actual[1]) : null,
+            actualTime: actual ? Number(actual[2]) : null,
+            actualRows: actual ? Number(actual[3]) : null,
+            loops: actual ? Number(actual[4]) : null,
+            neverExecuted: NEVER_EXECUTED.test(body),
+            children: []
+        };
+
+        while (stack.length && stack[stack.length - 1].depth >= depth) {
+            stack.pop();
+        }
+
+        if (stack.length) {
+            stack[stack.length - 1].node.children.push(node);
+        } else {
+            roots.push(node);
+        }
+        stack.push({ depth, node });
+    });
+
+    if (roots.length <= 1) return roots[0] || null;
+    return { kind: 'iterator', operation: 'Statement', children: roots };
+}
+
+/**
+ * All iterator nodes of a parsed tree in depth-first order.
+ */
+function collectIterators(root) {
+    const nodes = [];
+
+    const visit = node => {
+        if (!node) return;
+        nodes.push(node);
+        node.children.forEach(visit);
+    };
+
+    visit(root);
+    return nodes;
+}
+
+// Access type (as tabular EXPLAIN names it) of the iterators that read a table
+const ITERATOR_ACCESS_TYPES = [
+    [/^Table scan on /, 'ALL'],
+    [/^Single-row (covering )?index lookup on /i, 'eq_ref'],
+    [/^(Covering )?index (range|skip) scan on /i, 'range'],
+    [/^(Covering )?index lookup on /i, 'ref'],
+    [/^(Covering )?index scan on /i, 'index'],
+    [/^Full-text index search on /, 'fulltext']
+];
+
+/**
+ * Table nodes, in the shape of buildPlanFromRows(), for the table access
+ * iterators of an EXPLAIN FORMAT=TREE / EXPLAIN ANALYZE tree, so the per-table
+ * rules can run on it. The tree has no select ids, possible keys or filtered
+ * percentages; Extra is rebuilt from the iterators around each table.
+ *
+ * @param {object|null} root - as returned by parseTreeOutput()
+ * @returns {object|null} root select node
+ */
+function buildPlanFromIterators(root) {
+    if (!root) return null;
+
+    const select = createSelectNode(1, 'SIMPLE', root.estimatedCost ?? null);
+    // Sorts and temporary tables apply to the first table below them, as in EXPLAIN
+    const pending = { filesort: false, temporary: false };
+
+    const visit = (node, parent) => {
+        const operation = node.operation;
+        if (/^Sort\b/.test(operation)) pending.filesort = true;
+        if (/temporary/i.test(operation)) pending.temporary = true;
+
+        const access = node.table && ITERATOR_ACCESS_TYPES.find(([pattern]) => pattern.test(operation));
+        if (access) {
+            const extra = [];
+            if (pending.temporary) extra.push('Using temporary');
+            if (pending.filesort) extra.push('Using filesort');
+            pending.filesort = false;
+            pending.temporary = false;
+
+            if (/with index condition/.test(operation)) extra.push('Using index condition');
+            if (parent?.operation.startsWith('Filter')) extra.push('Using where');
+            if (/^(Single-row )?covering /i.test(operation)) extra.push('Using index');
+            if (parent?.operation === 'Hash') extra.push('Using join buffer (hash join)');
+
+            select.children.push({
+                kind: 'table',
+                id: 1,
+                select_type: 'SIMPLE',
+                table: node.table,
+                partitions: null,
+                type: access[1],
+                possible_keys: null,
+                key: node.index,
+                key_len: null,
+                ref: null,
+                rows: node.estimatedRows,
+                filtered: null,
+                Extra: extra.length ? extra.join('; ') : null,
+                cost: node.estimatedCost,
+                attachedCondition: parent?.operation.startsWith('Filter') ? parent.operation.replace(/^Filter:\s*/, '') : null,
+                dmlTarget: null,
+                children: []
+            });
+        }
+
+        node.children.forEach(child => visit(child, node));
+    };
+
+    visit(root, null);
+    return select;
+}
+
+module.exports = { buildPlanFromJson, buildPlanFromRows, buildPlanFromIterators, collectTableNodes, parseTreeOutput, collectIterators };
@@ -0,0 +1,263 @@
+// lib/analyzers/planDiff.js
+const { normalizePlan, normalizeIteratorPlan } = require('./planNormalizer');
+
+// Compares two analyses of the same query, e.g. before and after adding an
+// index or rewriting the statement. The plan trees are aligned node by node:
+// children are paired by the tables they read and their operation, so a
+// Hash Join over orders and customers lines up with the Nested Loop that
+// replaced it.
+//
+// Diff node:
+// {
+//   status,                       // unchanged | changed | added | removed
+//   before, after,                // the node's own fields on each side, or null
+//   changes: [ ... ],             // which of operation, relation, index differ
+//   costDelta, rowsDelta, timeDeltaMs,
+//   children: [ ... ]
+// }
+
+const NODE_FIELDS = ['operation', 'relation', 'index', 'estimatedCost', 'estimatedRows', 'actualRows', 'actualTimeMs', 'loops'];
+const IDENTITY_FIELDS = ['operation', 'relation', 'index'];
+const JOIN_OPERATION = /join|nested loop/i;
+
+/**
+ * The fields the comparison uses, from an analyzer result or from the
+ * `analysis` of a JSON report, which already holds normalized plans.
+ */
+function comparableAnalysis(analysis) {
+    if (analysis.executionPlan === undefined) return analysis;
+
+    return {
+        engine: analysis.engine,
+        analysisMode: analysis.analysisMode ?? null,
+        query: analysis.query,
+        estimatedCost: analysis.estimatedCost ?? null,
+        planningTimeMs: analysis.executionPlan?.['Planning Time'] ?? null,
+        executionTimeMs: analysis.executionPlan?.['Execution Time'] ?? null,
+        plan: normalizePlan(analysis),
+        iteratorPlan: normalizeIteratorPlan(analysis),
+        recommendations: analysis.recommendations || []
+    };
+}
+
+function delta(before, after) {
+    if (typeof before !== 'number' || typeof after !== 'number') return null;
+    return Number((after - before).toFixed(3));
+}
+
+function change(before, after) {
+    const difference = delta(before, after);
+    return {
+        before: before ?? null,
+        after: after ?? null,
+        delta: difference,
+        percent: difference !== null && before !== 0 ? Number(((difference / before) * 100).toFixed(1)) : null
+    };
+}
+
+function ownFields(node) {
+    return Object.fromEntries(NODE_FIELDS.map(field => [field, node[field] ?? null]));
+}
+
+// The tables read by a node and everything below it
+function subtreeRelations(node, relations = new Set()) {
+    if (node.relation) relations.add(node.relation);
+    node.children.forEach(child => subtreeRelations(child, relations));
+    return relations;
+}
+
+function similarity(a, b) {
+    const left = subtreeRelations(a);
+    const right = subtreeRelations(b);
+    const shared = [...left].filter(relation => right.has(relation)).length;
+    const union = new Set([...left, ...right]).size;
+
+    let score = union === 0 ? 0 : (shared / union) * 2;
+    if (a.operation === b.operation) score += 1;
+    if (a.index && a.index === b.index) score += 0.5;
+    return score;
+}
+
+function diffNode(before, after) {
+    if (!before) return leafDiff('added', after);
+    if (!after) return leafDiff('removed', before);
+
+    const changes = IDENTITY_FIELDS.filter(field => (before[field] ?? null) !== (after[field] ?? null));
+    return {
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        before: ownFields(before),
+        after: ownFields(after),
+        changes,
+        costDelta: delta(before.estimatedCost, after.estimatedCost),
+        rowsDelta: delta(before.estimatedRows, after.estimatedRows),
+        timeDeltaMs: delta(before.actualTimeMs, after.actualTimeMs),
+        children: diffChildren(before.children, after.children)
+    };
+}
+
+function leafDiff(status, node) {
+    return {
+        status,
+        before: status === 'removed' ? ownFields(node) : null,
+        after: status === 'added' ? ownFields(node) : null,
+        changes: [],
+        costDelta: null,
+        rowsDelta: null,
+        timeDeltaMs: null,
+        children: node.children.map(child => leafDiff(status, child))
+    };
+}
+
+// Pairs the children greedily, most similar first, and keeps the order of the
+// new plan; children only the old plan has follow at the end
+function diffChildren(beforeChildren, afterChildren) {
+    const candidates = [];
+    beforeChildren.forEach((before, i) => {
+        afterChildren.forEach((after, j) => {
+            const score = similarity(before, after);
+            if (score > 0) candidates.push({ i, j, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.i - b.i || a.j - b.j);
+
+    const pairs = new Map();
+    const pairedBefore = new Set();
+    candidates.forEach(({ i, j }) => {
+        if (pairedBefore.has(i) || pairs.has(j)) return;
+        pairedBefore.add(i);
+        pairs.set(j, i);
+    });
+
+    return [
+        ...afterChildren.map((after, j) => diffNode(pairs.has(j) ? beforeChildren[pairs.get(j)] : null, after)),
+        ...beforeChildren.filter((_, i) => !pairedBefore.has(i)).map(before => diffNode(before, null))
+    ];
+}
+
+function diffTree(before, after) {
+    if (!before && !after) return null;
+    return diffNode(before, after);
+}
+
+function collectNodes(root, nodes = []) {
+    if (!root) return nodes;
+    nodes.push(root);
+    root.children.forEach(child => collectNodes(child, nodes));
+    return nodes;
+}
+
+function accessMethod(node) {
+    return { operation: node.operation, index: node.index ?? null };
+}
+
+function sameList(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// How each table is read on either side, e.g. Seq Scan before and Index Scan after
+function compareAccessMethods(beforePlan, afterPlan) {
+    const methods = new Map();
+    const add = (plan, side) => collectNodes(plan).forEach(node => {
+        if (!node.relation) return;
+        if (!methods.has(node.relation)) methods.set(node.relation, { relation: node.relation, before: [], after: [] });
+        methods.get(node.relation)[side].push(accessMethod(node));
+    });
+    add(beforePlan, 'before');
+    add(afterPlan, 'after');
+
+    return [...methods.values()].map(entry => ({
+        ...entry,
+        changed: !sameList(entry.before, entry.after)
+    }));
+}
+
+// Join operations keyed by the tables they combine
+function compareJoins(beforePlan, afterPlan) {
+    const joins = new Map();
+    const add = (plan, side) => collectNodes(plan).forEach(node => {
+        if (!JOIN_OPERATION.test(node.operation)) return;
+        const relations = [...subtreeRelations(node)].sort();
+        const key = relations.join(',');
+        if (!joins.has(key)) joins.set(key, { relations, before: null, after: null });
+        joins.get(key)[side] = node.operation;
+    });
+    add(beforePlan, 'before');
+    add(afterPlan, 'after');
+
+    return [...joins.values()].map(entry => ({ ...entry, changed: entry.before !== entry.after }));
+}
+
+// Recommendations are matched by type and the table they point at; the
+// static checks have only a position, which moves when the query is rewritten
+function recommendationKey(rec) {
+    const source = rec.source || {};
+    return `${rec.type}|${source.relation ?? source.table ?? source.iterator ?? ''}`;
+}
+
+function compareRecommendations(before, after) {
+    const remaining = new Map();
+    before.forEach(rec => {
+        const key = recommendationKey(rec);
+        remaining.set(key, [...(remaining.get(key) || []), rec]);
+    });
+
+    const appeared = [];
+    let unchanged = 0;
+    after.forEach(rec => {
+        const matches = remaining.get(recommendationKey(rec));
+        if (matches?.length) {
+            matches.shift();
+            unchanged++;
+        } else {
+            appeared.push(rec);
+        }
+    });
+
+    return {
+        appeared,
+        disappeared: [...remaining.values()].flat(),
+        unchanged
+    };
+}
+
+/**
+ * Compare two analyses of the same query.
+ *
+ * @param {object} beforeAnalysis - analyzer result or JSON report analysis
+ * @param {object} afterAnalysis
+ * @param {{ labels?: [string, string] }} [options] - names of the two inputs, e.g. their files
+ */
+function comparePlans(beforeAnalysis, afterAnalysis, { labels = ['before', 'after'] } = {}) {
+    const before = comparableAnalysis(beforeAnalysis);
+    const after = comparableAnalysis(afterAnalysis);
+
+    if (before.engine !== after.engine) {
+        throw new Error(`Cannot compare a ${before.engine} analysis with a ${after.engine} one`);
+    }
+
+    // MySQL analyses may have only the iterator tree, e.g. from a saved EXPLAIN ANALYZE
+    const beforePlan = before.plan || before.iteratorPlan;
+    const afterPlan = after.plan || after.iteratorPlan;
+    const side = (analysis, label) => ({
+        label,
+        query: analysis.query ?? null,
+        analysisMode: analysis.analysisMode ?? null,
+        recommendationCount: (analysis.recommendations || []).length
+    });
+
+    return {
+        engine: before.engine,
+        before: side(before, labels[0]),
+        after: side(after, labels[1]),
+        estimatedCost: change(before.estimatedCost, after.estimatedCost),
+        planningTimeMs: change(before.planningTimeMs, after.planningTimeMs),
+        executionTimeMs: change(before.executionTimeMs, after.executionTimeMs),
+        plan: diffTree(before.plan, after.plan),
+        iteratorPlan: diffTree(before.iteratorPlan, after.iteratorPlan),
+        accessMethods: compareAccessMethods(beforePlan, afterPlan),
+        joins: compareJoins(beforePlan, afterPlan),
+        recommendations: compareRecommendations(before.recommendations || [], after.recommendations || [])
+    };
+}
+
+module.exports = { comparePlans };
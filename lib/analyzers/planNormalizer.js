@@ -0,0 +1,160 @@
+// lib/analyzers/planNormalizer.js
+const { relationName } = require('./postgrePlan');
+
+// Converts the engine-specific plans of an analyzer result into one node
+// shape. Values that have no common meaning stay in `attributes`.
+//
+// {
+//   operation, relation, index,
+//   estimatedCost, estimatedRows,
+//   actualRows, actualTimeMs, loops,   // null unless the statement was executed
+//   attributes: { ... },
+//   children: [ ... ]
+// }
+
+const MYSQL_ACCESS_TYPES = {
+    system: 'System table lookup',
+    const: 'Constant lookup',
+    eq_ref: 'Unique index lookup',
+    ref: 'Index lookup',
+    fulltext: 'Fulltext index lookup',
+    ref_or_null: 'Index lookup (or NULL)',
+    index_merge: 'Index merge',
+    unique_subquery: 'Unique subquery lookup',
+    index_subquery: 'Index subquery lookup',
+    range: 'Index range scan',
+    index: 'Full index scan',
+    ALL: 'Full table scan'
+};
+
+// PostgreSQL fields that map onto the common node fields
+const POSTGRES_COMMON_FIELDS = [
+    'Plans',
+    'Node Type',
+    'Relation Name',
+    'Schema',
+    'Index Name',
+    'Total Cost',
+    'Plan Rows',
+    'Actual Rows',
+    'Actual Total Time',
+    'Actual Loops'
+];
+
+function createNode(fields) {
+    return {
+        operation: fields.operation,
+        relation: fields.relation ?? null,
+        index: fields.index ?? null,
+        estimatedCost: fields.estimatedCost ?? null,
+        estimatedRows: fields.estimatedRows ?? null,
+        actualRows: fields.actualRows ?? null,
+        actualTimeMs: fields.actualTimeMs ?? null,
+        loops: fields.loops ?? null,
+        attributes: fields.attributes || {},
+        children: fields.children || []
+    };
+}
+
+function withoutEmpty(attributes) {
+    return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined));
+}
+
+function normalizeMySQLNode(node) {
+    if (node.kind === 'select') {
+        return createNode({
+            operation: node.id !== null && node.id !== undefined ? `${node.select_type} #${node.id}` : node.select_type,
+            estimatedCost: node.cost,
+            attributes: withoutEmpty({
+                selectId: node.id,
+                selectType: node.select_type,
+                extra: node.Extra
+            }),
+            children: node.children.map(normalizeMySQLNode)
+        });
+    }
+
+    return createNode({
+        operation: MYSQL_ACCESS_TYPES[node.type] || node.select_type,
+        relation: node.table,
+        index: node.key,
+        estimatedCost: node.cost,
+        estimatedRows: node.rows,
+        attributes: withoutEmpty({
+            selectId: node.id,
+            selectType: node.select_type,
+            accessType: node.type,
+            possibleKeys: node.possible_keys,
+            keyLength: node.key_len,
+            ref: node.ref,
+            filtered: node.filtered,
+            partitions: node.partitions,
+            extra: node.Extra,
+            condition: node.attachedCondition,
+            dmlTarget: node.dmlTarget
+        }),
+        children: node.children.map(normalizeMySQLNode)
+    });
+}
+
+function normalizeIterator(node) {
+    return createNode({
+        operation: node.operation,
+        relation: node.table,
+        index: node.index,
+        estimatedCost: node.estimatedCost,
+        estimatedRows: node.estimatedRows,
+        actualRows: node.actualRows,
+        actualTimeMs: node.actualTime,
+        loops: node.loops,
+        attributes: withoutEmpty({
+            firstRowTimeMs: node.actualFirstRowTime,
+            neverExecuted: node.neverExecuted || null
+        }),
+        children: node.children.map(normalizeIterator)
+    });
+}
+
+function normalizePostgresNode(node) {
+    const attributes = Object.fromEntries(
+        Object.entries(node).filter(([key]) => !POSTGRES_COMMON_FIELDS.includes(key))
+    );
+
+    return createNode({
+        operation: node['Node Type'],
+        relation: relationName(node) || node['CTE Name'],
+        index: node['Index Name'],
+        estimatedCost: node['Total Cost'],
+        estimatedRows: node['Plan Rows'],
+        actualRows: node['Actual Rows'],
+        actualTimeMs: node['Actual Total Time'],
+        loops: node['Actual Loops'],
+        attributes,
+        children: (node.Plans || []).map(normalizePostgresNode)
+    });
+}
+
+/**
+ * The execution plan of an analyzer result as a tree of normalized nodes.
+ *
+ * @param {object} result - as returned by MySQLAnalyzer / PostgreAnalyzer
+ * @returns {object|null}
+ */
+function normalizePlan(result) {
+    const plan = result?.executionPlan;
+    if (!plan) return null;
+
+    if (result.engine === 'postgresql') {
+        return plan.Plan ? normalizePostgresNode(plan.Plan) : null;
+    }
+    return normalizeMySQLNode(plan);
+}
+
+/**
+ * The MySQL iterator tree (EXPLAIN FORMAT=TREE / EXPLAIN ANALYZE), if any.
+ */
+function normalizeIteratorPlan(result) {
+    return result?.iteratorPlan ? normalizeIterator(result.iteratorPlan) : null;
+}
+
+module.exports = { normalizePlan, normalizeIteratorPlan };
@@ -1,17 +1,37 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { walkPlan, describeNode } = require('./postgrePlan');
+const { AnalysisModes, DEFAULT_MODE, isAnalysisMode } = require('./analysisModes');
+const { classifyStatement } = require('../utils/sqlStatement');
+const { splitStatements } = require('../utils/sqlSplitter');
+const { fingerprintQuery } = require('../utils/sqlFingerprint');
+const { normalizePostgresTableStatistics, normalizePostgresIndexes, normalizeColumns } = require('./catalogNormalizer');
+const { collectQueryTables, expandViews, scopeCatalog, snapshotViewLoader } = require('./tableScope');
+const { adviseIndexes, costVerification, applyVerification } = require('./indexAdvisor');
+const { lintRecommendations } = require('./sqlLint');
+
+// Findings that make an index suggestion for the same table more urgent
+const SCAN_TYPES = ['SEQUENTIAL_SCAN', 'DML_UNINDEXED_WHERE'];
 
 class PostgreAnalyzer {
-    constructor(config, i18n) {
+    constructor(config, i18n, options = {}) {
         this.config = config;
         this.i18n = i18n;
+        this.mode = options.mode || DEFAULT_MODE;
+        // Report statistics and indexes for the whole schema instead of the tables the query uses
+        this.allTables = Boolean(options.allTables);
+        // Measure each index suggestion by planning the statement with the index in place
+        this.verifyIndexes = Boolean(options.verifyIndexes);
+
+        if (!isAnalysisMode(this.mode)) {
+            throw new Error(`Unknown analysis mode '${this.mode}'`);
+        }
     }
 
-    async analyze(query) {
-        let client;
-        try {
+    async connect() {
+        if (!this.client) {
             // Create connection pool
-            const pool = new Pool({
+            this.pool = new Pool({
                 ...this.config,
                 // Add query timeout
                 statement_timeout: 10000,
@@ -19,7 +39,42 @@ class PostgreAnalyzer {
                 query_timeout: 10000
             });
 
-            client = await pool.connect();
+            try {
+                this.client = await this.pool.connect();
+            } catch (error) {
+                await this.close();
+                throw error;
+            }
+        }
+        return this.client;
+    }
+
+    async close() {
+        const { client, pool } = this;
+        this.client = null;
+        this.pool = null;
+
+        if (client) {
+            try {
+                client.release();
+            } catch (error) {
+                logger.warn('Error releasing client:', error.message);
+            }
+        }
+        if (pool) {
+            try {
+                await pool.end();
+            } catch (error) {
+                logger.warn('Error closing connection pool:', error.message);
+            }
+        }
+    }
+
+    async analyze(query) {
+        // Reuse a connection opened with connect(), e.g. for batch analysis
+        const ownsConnection = !this.client;
+        try {
+            const client = await this.connect();
 
             // Validate query
             if (!query || typeof query !== 'string') {
@@ -31,59 +86,123 @@ class PostgreAnalyzer {
                 throw new Error('Empty query provided');
             }
 
-            if (!trimmedQuery.toLowerCase().startsWith('select')) {
-                throw new Error('Only SELECT queries can be analyzed');
+            // Only the first statement is classified, but the driver would run them all, even in plan mode
+            if (splitStatements(trimmedQuery, { dialect: 'postgresql' }).length > 1) {
+                throw new Error('Only one statement can be analyzed at a time');
             }
 
-            // Get execution plan with all available details
+            const statement = classifyStatement(trimmedQuery, { dialect: 'postgresql' });
+            if (!statement.supported) {
+                throw new Error('Only SELECT, UPDATE, DELETE and INSERT ... SELECT statements can be analyzed');
+            }
+
+            // Get execution plan with as much detail as the analysis mode allows
             let explainResult;
             try {
-                const result = await client.query(`EXPLAIN (FORMAT JSON, ANALYZE, VERBOSE, BUFFERS, COSTS, TIMING) ${trimmedQuery}`);
-                explainResult = result.rows[0]['QUERY PLAN'][0]; // PostgreSQL returns plan as JSON
+                explainResult = await this.explain(client, trimmedQuery, statement);
             } catch (error) {
                 throw new Error(`Failed to get execution plan: ${error.message}`);
             }
 
+            const queryTables = await this.queryTables(trimmedQuery, explainResult, candidates => this.loadViews(client, candidates));
+            const tables = this.allTables ? null : queryTables;
+
             // Get table statistics
             let tableStats = [];
             try {
-                const statsResult = await client.query(`
-                    SELECT 
-                        schemaname,
-                        relname as table_name,
-                        n_live_tup as table_rows,
-                        pg_total_relation_size(relid) as total_bytes,
-                        pg_indexes_size(relid) as index_bytes
-                    FROM pg_stat_user_tables
-                    WHERE schemaname = $1
-                `, [this.config.schema || 'public']);
-                tableStats = statsResult.rows;
+                const filter = this.catalogFilter(tables, 'schemaname', 'relname');
+                if (filter) {
+                    const statsResult = await client.query(`
+                        SELECT 
+                            schemaname,
+                            relname as table_name,
+                            n_live_tup as table_rows,
+                            pg_table_size(relid) as table_bytes,
+                            pg_indexes_size(relid) as index_bytes,
+                            pg_total_relation_size(relid) as total_bytes
+                        FROM pg_stat_user_tables
+                        WHERE ${filter.condition}
+                    `, filter.params);
+                    tableStats = normalizePostgresTableStatistics(statsResult.rows);
+                }
             } catch (error) {
                 logger.warn('Failed to get table statistics:', error.message);
             }
 
-            // Get existing indexes
+            // Get existing indexes, with key columns before INCLUDE columns
             let indexes = [];
             try {
-                const indexResult = await client.query(`
-                    SELECT 
-                        schemaname,
-                        tablename as table_name,
-                        indexname as index_name,
-                        indexdef as index_definition
-                    FROM pg_indexes
-                    WHERE schemaname = $1
-                `, [this.config.schema || 'public']);
-                indexes = indexResult.rows;
+                const filter = this.catalogFilter(tables, 'n.nspname', 't.relname');
+                if (filter) {
+                    const indexResult = await client.query(`
+                        SELECT 
+                            n.nspname as schemaname,
+                            t.relname as table_name,
+                            i.relname as index_name,
+                            am.amname as index_method,
+                            ix.indisunique as is_unique,
+                            ix.indisprimary as is_primary,
+                            ix.indnkeyatts as key_column_count,
+                            ARRAY(
+                                SELECT pg_get_indexdef(ix.indexrelid, k, true)
+                                FROM generate_series(1, ix.indnatts) as k
+                                ORDER BY k
+                            ) as column_names,
+                            pg_get_expr(ix.indpred, ix.indrelid, true) as predicate,
+                            pg_relation_size(ix.indexrelid) as size_bytes,
+                            pg_get_indexdef(ix.indexrelid) as index_definition
+                        FROM pg_index ix
+                        JOIN pg_class i ON i.oid = ix.indexrelid
+                        JOIN pg_class t ON t.oid = ix.indrelid
+                        JOIN pg_namespace n ON n.oid = t.relnamespace
+                        JOIN pg_am am ON am.oid = i.relam
+                        WHERE ${filter.condition}
+                        ORDER BY t.relname, i.relname
+                    `, filter.params);
+                    indexes = normalizePostgresIndexes(indexResult.rows);
+                }
             } catch (error) {
                 logger.warn('Failed to get index information:', error.message);
             }
 
+            // Column types and nullability for the static checks, always for the query's own tables
+            let columns = [];
+            try {
+                const filter = this.catalogFilter(queryTables, 'table_schema', 'table_name');
+                if (filter) {
+                    const columnResult = await client.query(`
+                        SELECT 
+                            table_schema,
+                            table_name,
+                            column_name,
+                            data_type,
+                            is_nullable
+                        FROM information_schema.columns
+                        WHERE ${filter.condition}
+                    `, filter.params);
+                    columns = normalizeColumns(columnResult.rows);
+                }
+            } catch (error) {
+                logger.warn('Failed to get column information:', error.message);
+            }
+
             // Generate recommendations
-            const recommendations = this.generateRecommendations(explainResult, tableStats, indexes);
+            let recommendations = this.generateRecommendations(explainResult, tableStats, indexes, statement, trimmedQuery, columns);
+            if (this.verifyIndexes) {
+                try {
+                    recommendations = await this.verifyIndexSuggestions(client, trimmedQuery, recommendations);
+                } catch (error) {
+                    logger.warn(this.i18n.t('analyzer.verification.failed'), error.message);
+                }
+            }
 
             return {
+                engine: 'postgresql',
+                analysisMode: this.effectiveMode(statement),
+                statementType: statement.type,
                 query: trimmedQuery,
+                fingerprint: trimmedQuery ? fingerprintQuery(trimmedQuery, { dialect: 'postgresql' }) : null,
+                estimatedCost: explainResult?.Plan?.['Total Cost'] ?? null,
                 executionPlan: explainResult,
                 tableStatistics: tableStats,
                 indexes: indexes,
@@ -93,51 +212,221 @@ class PostgreAnalyzer {
         } catch (error) {
             throw new Error(`PostgreSQL Analysis Error: ${error.message}`);
         } finally {
-            if (client) {
-                try {
-                    client.release();
-                } catch (error) {
-                    logger.warn('Error releasing client:', error.message);
-                }
+            if (ownsConnection) {
+                await this.close();
             }
         }
     }
 
-    generateRecommendations(explainResult, tableStats, indexes) {
-        const recommendations = [];
+    // Runs the rules on EXPLAIN output saved earlier (see savedPlan.js), without a
+    // connection. Statistics, indexes and columns come from the snapshot, if any.
+    async analyzeSavedPlan(savedPlan, { query = '', snapshot = null } = {}) {
+        try {
+            const trimmedQuery = (query || '').trim();
+            const statement = trimmedQuery ? classifyStatement(trimmedQuery, { dialect: 'postgresql' }) : {};
+            const catalog = snapshot || { tableStatistics: [], indexes: [], columns: [], views: [] };
+            const explainResult = savedPlan.plan;
+
+            const queryTables = await this.queryTables(trimmedQuery, explainResult, snapshotViewLoader(catalog.views));
+            const tableStats = scopeCatalog(catalog.tableStatistics, this.allTables ? null : queryTables);
+            const indexes = scopeCatalog(catalog.indexes, this.allTables ? null : queryTables);
+            const columns = scopeCatalog(catalog.columns, queryTables);
+
+            const recommendations = this.generateRecommendations(explainResult, tableStats, indexes, statement, trimmedQuery, columns);
+
+            let executed = false;
+            walkPlan(explainResult?.Plan, node => {
+                if (node['Actual Loops'] !== undefined) executed = true;
+            });
+
+            return {
+                engine: 'postgresql',
+                offline: true,
+                analysisMode: executed ? AnalysisModes.ANALYZE : AnalysisModes.PLAN,
+                statementType: statement.type ?? null,
+                query: trimmedQuery,
+                fingerprint: trimmedQuery ? fingerprintQuery(trimmedQuery, { dialect: 'postgresql' }) : null,
+                estimatedCost: explainResult?.Plan?.['Total Cost'] ?? null,
+                executionPlan: explainResult,
+                tableStatistics: tableStats,
+                indexes: indexes,
+                recommendations: recommendations
+            };
+        } catch (error) {
+            throw new Error(`PostgreSQL Analysis Error: ${error.message}`);
+        }
+    }
+
+    // The tables named in the query and its plan, with views replaced by their tables
+    async queryTables(query, explainResult, loadViews) {
+        const planTables = [];
+        walkPlan(explainResult?.Plan, node => {
+            if (node['Relation Name']) {
+                planTables.push({ schema: node.Schema, table: node['Relation Name'] });
+            }
+        });
+        const tables = collectQueryTables(query, {
+            dialect: 'postgresql',
+            defaultSchema: this.config.schema || 'public',
+            planTables
+        });
 
         try {
-            if (!explainResult) return recommendations;
+            return await expandViews(tables, loadViews, { dialect: 'postgresql' });
+        } catch (error) {
+            logger.warn('Failed to resolve views:', error.message);
+            return tables;
+        }
+    }
 
-            // 1. Analyze scan methods
-            this.analyzeScanMethods(explainResult.Plan, recommendations);
+    // Plain views only; materialized views have their own statistics and indexes
+    async loadViews(client, tables) {
+        const filter = this.catalogFilter(tables, 'n.nspname', 'c.relname');
+        const result = await client.query(`
+            SELECT 
+                n.nspname as schema,
+                c.relname as name,
+                pg_get_viewdef(c.oid) as definition
+            FROM pg_class c
+            JOIN pg_namespace n ON n.oid = c.relnamespace
+            WHERE c.relkind = 'v' AND ${filter.condition}
+        `, filter.params);
+        return result.rows;
+    }
 
-            // 2. Analyze join operations
-            this.analyzeJoinOperations(explainResult.Plan, recommendations);
+    // WHERE condition on the catalog for the given tables, or for the whole
+    // schema when `tables` is null; null when there are no tables
+    catalogFilter(tables, schemaColumn, tableColumn) {
+        if (!tables) {
+            return { condition: `${schemaColumn} = $1`, params: [this.config.schema || 'public'] };
+        }
+        if (tables.length === 0) return null;
 
-            // 3. Analyze temporary structures
-            this.analyzeTemporaryStructures(explainResult.Plan, recommendations);
+        return {
+            condition: `(${schemaColumn}::text, ${tableColumn}::text) IN (SELECT * FROM unnest($1::text[], $2::text[]))`,
+            params: [tables.map(({ schema }) => schema), tables.map(({ table }) => table)]
+        };
+    }
 
-            // 4. Analyze index usage
-            this.analyzeIndexUsage(explainResult.Plan, indexes, recommendations);
+    // Statements that change data are always rolled back, even in execute mode
+    effectiveMode(statement) {
+        if (statement.modifiesData && this.mode === AnalysisModes.EXECUTE) return AnalysisModes.ANALYZE;
+        return this.mode;
+    }
 
-            // 5. Analyze table statistics
-            this.analyzeTableStatistics(explainResult.Plan, tableStats, recommendations);
+    async explain(client, query, statement) {
+        const mode = this.effectiveMode(statement);
 
-            // 6. Analyze parallel execution
-            this.analyzeParallelExecution(explainResult.Plan, recommendations);
+        if (mode === AnalysisModes.PLAN) {
+            return this.planOnly(client, query);
+        }
 
-            // 7. Analyze partitioning
-            this.analyzePartitioning(explainResult.Plan, recommendations);
+        const explainQuery = `EXPLAIN (FORMAT JSON, ANALYZE, VERBOSE, BUFFERS, COSTS, TIMING) ${query}`;
 
-            // 8. Analyze CTE usage
-            this.analyzeCTEUsage(explainResult.Plan, recommendations);
+        if (mode === AnalysisModes.EXECUTE) {
+            const result = await client.query(explainQuery);
+            return result.rows[0]['QUERY PLAN'][0];
+        }
 
-            // 9. Analyze aggregation operations
-            this.analyzeAggregationOperations(explainResult.Plan, recommendations);
+        // ANALYZE executes the statement, so keep it in a transaction that is never committed
+        await client.query('BEGIN');
+        try {
+            const result = await client.query(explainQuery);
+            return result.rows[0]['QUERY PLAN'][0];
+        } finally {
+            await client.query('ROLLBACK');
+        }
+    }
+
+    async planOnly(client, query) {
+        const result = await client.query(`EXPLAIN (FORMAT JSON, VERBOSE, COSTS) ${query}`);
+        return result.rows[0]['QUERY PLAN'][0]; // PostgreSQL returns plan as JSON
+    }
+
+    // Plans the statement once per suggestion with the index created by HypoPG.
+    // Hypothetical indexes exist only for this session's planner and are never built.
+    // Suggestions the planner would not use, or that do not lower the cost, are dropped.
+    async verifyIndexSuggestions(client, query, recommendations) {
+        const suggestions = recommendations.filter(rec => rec.type === 'INDEX_SUGGESTION');
+        if (suggestions.length === 0) return recommendations;
+
+        const installed = await client.query("SELECT 1 FROM pg_extension WHERE extname = 'hypopg'");
+        if (installed.rows.length === 0) {
+            logger.warn(this.i18n.t('analyzer.verification.hypopgMissing'));
+            return recommendations;
+        }
+
+        const costBefore = (await this.planOnly(client, query)).Plan['Total Cost'];
+        const rejected = new Set();
+
+        for (const rec of suggestions) {
+            try {
+                // HypoPG does not accept CONCURRENTLY
+                const created = await client.query(
+                    'SELECT indexname FROM hypopg_create_index($1)',
+                    [rec.ddl.replace(/^CREATE INDEX CONCURRENTLY/, 'CREATE INDEX')]
+                );
+                const indexName = created.rows[0].indexname;
+                const plan = await this.planOnly(client, query);
+
+                let usesIndex = false;
+                walkPlan(plan.Plan, node => {
+                    if (node['Index Name'] === indexName) usesIndex = true;
+                });
+
+                const verification = costVerification('hypopg', costBefore, plan.Plan['Total Cost'], usesIndex);
+                applyVerification(rec, verification, this.i18n);
+                if (!verification.improved) rejected.add(rec);
+            } catch (error) {
+                logger.warn(this.i18n.t('analyzer.verification.failed'), error.message);
+            } finally {
+                await client.query('SELECT hypopg_reset()');
+            }
+        }
+
+        return recommendations.filter(rec => !rejected.has(rec));
+    }
+
+    // Actual rows when the plan was executed, the planner estimate otherwise
+    rowCount(plan) {
+        return plan['Actual Rows'] ?? plan['Plan Rows'];
+    }
+
+    generateRecommendations(explainResult, tableStats, indexes, statement = {}, query = '', columns = []) {
+        const recommendations = [];
 
-            // 10. Analyze materialization
-            this.analyzeMaterialization(explainResult.Plan, recommendations);
+        try {
+            if (!explainResult?.Plan) return recommendations;
+
+            // Statement-level checks use the fields next to the plan (Planning Time, ...)
+            this.analyzeTableStatistics(explainResult, tableStats, recommendations);
+
+            // Every other rule runs on each node of the tree, including InitPlans,
+            // SubPlans and CTEs, and records which node it came from
+            walkPlan(explainResult.Plan, (node, context) => {
+                const nodeRecommendations = [];
+                this.analyzePlanNode(node, context, indexes, nodeRecommendations);
+                if (statement.modifiesData) {
+                    this.analyzeDataModification(node, context, tableStats, nodeRecommendations);
+                }
+
+                const source = describeNode(node, context);
+                nodeRecommendations.forEach(rec => {
+                    rec.source = source;
+                    recommendations.push(rec);
+                });
+            });
+
+            this.suggestIndexes(query, indexes, recommendations);
+
+            // Anti-patterns in the SQL text itself; a saved plan may come without it
+            if (query) {
+                recommendations.push(...lintRecommendations(query, {
+                    dialect: 'postgresql',
+                    defaultSchema: this.config.schema || 'public',
+                    columns
+                }, this.i18n));
+            }
 
         } catch (error) {
             logger.warn(this.i18n.t('analyzer.errors.recommendations'), error.message);
@@ -146,9 +435,83 @@ class PostgreAnalyzer {
         return this.prioritizeRecommendations(recommendations);
     }
 
+    suggestIndexes(query, indexes, recommendations) {
+        if (!query) return;
+
+        const defaultSchema = this.config.schema || 'public';
+        const suggestions = adviseIndexes(query, {
+            dialect: 'postgresql',
+            defaultSchema,
+            indexes
+        });
+
+        suggestions.forEach(suggestion => {
+            const relation = `${suggestion.schema || defaultSchema}.${suggestion.table}`;
+            const scanned = recommendations.some(rec =>
+                SCAN_TYPES.includes(rec.type) && [relation, suggestion.table].includes(rec.source?.relation));
+
+            recommendations.push(this.createIndexSuggestion(suggestion, relation, scanned));
+        });
+    }
+
+    createIndexSuggestion(suggestion, relation, scanned) {
+        const columns = suggestion.columns.map(column => column.name).join(', ');
+        const key = suggestion.covering ? 'coveringMessage' : 'message';
+
+        return {
+            type: 'INDEX_SUGGESTION',
+            severity: scanned && !suggestion.covering ? 'MEDIUM' : 'LOW',
+            message: this.i18n.t(`analyzer.recommendations.indexSuggestion.${key}`, {
+                tableName: suggestion.table,
+                columns
+            }),
+            suggestion: this.i18n.t('analyzer.recommendations.indexSuggestion.suggestion', { ddl: suggestion.ddl }),
+            ddl: suggestion.ddl,
+            suggestedIndex: suggestion,
+            details: {
+                impact: this.i18n.t('analyzer.recommendations.indexSuggestion.impact'),
+                implementation: [
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.review'),
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.postgresConcurrently'),
+                    this.i18n.t('analyzer.recommendations.indexSuggestion.implementation.verify')
+                ]
+            },
+            source: { relation }
+        };
+    }
+
+    analyzePlanNode(node, context, indexes, recommendations) {
+        // 1. Analyze scan methods
+        this.analyzeScanMethods(node, recommendations);
+
+        // 2. Analyze join operations
+        this.analyzeJoinOperations(node, recommendations);
+
+        // 3. Analyze temporary structures
+        this.analyzeTemporaryStructures(node, recommendations);
+
+        // 4. Analyze index usage
+        this.analyzeIndexUsage(node, indexes, recommendations);
+
+        // 5. Analyze parallel execution
+        this.analyzeParallelExecution(node, context, recommendations);
+
+        // 6. Analyze partitioning
+        this.analyzePartitioning(node, recommendations);
+
+        // 7. Analyze CTE usage
+        this.analyzeCTEUsage(node, recommendations);
+
+        // 8. Analyze aggregation operations
+        this.analyzeAggregationOperations(node, recommendations);
+
+        // 9. Analyze materialization
+        this.analyzeMaterialization(node, recommendations);
+    }
+
     analyzeScanMethods(plan, recommendations) {
         // Check for sequential scans
-        if (plan.Node_Type === 'Seq Scan') {
+        if (plan['Node Type'] === 'Seq Scan') {
             const tableName = plan['Relation Name'];
             recommendations.push({
                 type: 'SEQUENTIAL_SCAN',
@@ -167,7 +530,7 @@ class PostgreAnalyzer {
         }
 
         // Check for inefficient index scans
-        if (plan.Node_Type === 'Index Scan' && plan['Actual Rows'] > 1000 && plan['Index Cond'] === undefined) {
+        if (plan['Node Type'] === 'Index Scan' && this.rowCount(plan) > 1000 && plan['Index Cond'] === undefined) {
             recommendations.push({
                 type: 'INEFFICIENT_INDEX_SCAN',
                 severity: 'MEDIUM',
@@ -187,7 +550,7 @@ class PostgreAnalyzer {
 
     analyzeJoinOperations(plan, recommendations) {
         // Check for nested loops with high row counts
-        if (plan.Node_Type === 'Nested Loop' && plan['Actual Rows'] > 1000) {
+        if (plan['Node Type'] === 'Nested Loop' && this.rowCount(plan) > 1000) {
             recommendations.push({
                 type: 'EXPENSIVE_NESTED_LOOP',
                 severity: 'HIGH',
@@ -205,7 +568,7 @@ class PostgreAnalyzer {
         }
 
         // Check for hash joins with insufficient memory
-        if (plan.Node_Type === 'Hash Join' && plan['Hash Batches'] > 1) {
+        if (plan['Node Type'] === 'Hash' && plan['Hash Batches'] > 1) {
             recommendations.push({
                 type: 'HASH_SPILL',
                 severity: 'MEDIUM',
@@ -224,8 +587,8 @@ class PostgreAnalyzer {
     }
 
     analyzeTemporaryStructures(plan, recommendations) {
-        // Check for temporary file usage
-        if (plan['Temporary File Usage']) {
+        // Check for temporary file usage (sorts or hashes spilling to disk)
+        if (plan['Temp Written Blocks'] > 0 || plan['Sort Space Type'] === 'Disk') {
             recommendations.push({
                 type: 'TEMP_FILES',
                 severity: 'HIGH',
@@ -245,7 +608,7 @@ class PostgreAnalyzer {
 
     analyzeIndexUsage(plan, indexes, recommendations) {
         // Check for missing indexes on join conditions
-        if (plan.Node_Type === 'Hash Join' && !plan['Hash Cond'].includes('=')) {
+        if (plan['Node Type'] === 'Hash Join' && !plan['Hash Cond']?.includes('=')) {
             recommendations.push({
                 type: 'MISSING_JOIN_INDEX',
                 severity: 'HIGH',
@@ -263,9 +626,46 @@ class PostgreAnalyzer {
         }
     }
 
-    analyzeTableStatistics(plan, tableStats, recommendations) {
+    analyzeDataModification(plan, context, tableStats, recommendations) {
+        if (plan['Node Type'] !== 'Seq Scan' || !plan.Filter) return;
+
+        // Only the scan that finds the rows an UPDATE or DELETE changes
+        const target = [...context.ancestors].reverse().find(node => node['Node Type'] === 'ModifyTable');
+        if (!target || !['Update', 'Delete'].includes(target.Operation) ||
+            target['Relation Name'] !== plan['Relation Name']) {
+            return;
+        }
+
+        const tableName = plan['Relation Name'];
+        const tableStat = (tableStats || []).find(stat => stat.table === tableName);
+        const rows = Number(tableStat?.rows ?? plan['Plan Rows']) || 0;
+
+        // Check for UPDATE / DELETE conditions that cannot use an index
+        if (rows > 10000) {
+            recommendations.push({
+                type: 'DML_UNINDEXED_WHERE',
+                severity: 'HIGH',
+                message: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.message', {
+                    statement: target.Operation.toUpperCase(),
+                    tableName,
+                    rows
+                }),
+                suggestion: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.suggestion'),
+                details: {
+                    impact: this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.impact'),
+                    implementation: [
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.addIndex'),
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.batch'),
+                        this.i18n.t('analyzer.recommendations.dmlUnindexedWhere.implementation.primaryKey')
+                    ]
+                }
+            });
+        }
+    }
+
+    analyzeTableStatistics(explainResult, tableStats, recommendations) {
         // Check for outdated statistics
-        if (plan['Planning Time'] > 1000) {
+        if (explainResult['Planning Time'] > 1000) {
             recommendations.push({
                 type: 'OUTDATED_STATS',
                 severity: 'MEDIUM',
@@ -283,9 +683,10 @@ class PostgreAnalyzer {
         }
     }
 
-    analyzeParallelExecution(plan, recommendations) {
-        // Check for missed parallel opportunities
-        if (!plan['Workers Planned'] && plan['Total Cost'] > 100000) {
+    analyzeParallelExecution(plan, context, recommendations) {
+        // Check for missed parallel opportunities on expensive scans outside any Gather
+        const underGather = context.ancestors.some(node => ['Gather', 'Gather Merge'].includes(node['Node Type']));
+        if (plan['Relation Name'] && !plan['Parallel Aware'] && !underGather && plan['Total Cost'] > 100000) {
             recommendations.push({
                 type: 'MISSED_PARALLEL',
                 severity: 'MEDIUM',
@@ -305,7 +706,7 @@ class PostgreAnalyzer {
 
     analyzePartitioning(plan, recommendations) {
         // Check for partition pruning effectiveness
-        if (plan['Partitions Removed'] === 0 && plan.Node_Type.includes('Partition')) {
+        if (['Append', 'Merge Append'].includes(plan['Node Type']) && plan['Subplans Removed'] === 0) {
             recommendations.push({
                 type: 'INEFFECTIVE_PARTITION',
                 severity: 'HIGH',
@@ -325,7 +726,7 @@ class PostgreAnalyzer {
 
     analyzeCTEUsage(plan, recommendations) {
         // Check for materialized CTE optimization opportunities
-        if (plan.Node_Type === 'CTE Scan' && plan['Actual Rows'] > 1 && !plan['CTE Materialized']) {
+        if (plan['Node Type'] === 'CTE Scan' && this.rowCount(plan) > 1 && !plan['CTE Materialized']) {
             recommendations.push({
                 type: 'CTE_MATERIALIZATION',
                 severity: 'MEDIUM',
@@ -345,7 +746,7 @@ class PostgreAnalyzer {
 
     analyzeAggregationOperations(plan, recommendations) {
         // Check for GroupAggregate vs HashAggregate
-        if (plan.Node_Type === 'Group Aggregate' && plan['Actual Rows'] > 1000) {
+        if (plan['Node Type'] === 'Aggregate' && plan.Strategy === 'Sorted' && this.rowCount(plan) > 1000) {
             recommendations.push({
                 type: 'INEFFICIENT_AGGREGATE',
                 severity: 'MEDIUM',
@@ -363,7 +764,8 @@ class PostgreAnalyzer {
         }
 
         // Check for HashAggregate with spill
-        if (plan.Node_Type === 'Hash Aggregate' && plan['Peak Memory Usage'] > plan['Peak Memory Allowed']) {
+        if (plan['Node Type'] === 'Aggregate' && plan.Strategy === 'Hashed' &&
+            (plan['HashAgg Batches'] > 1 || plan['Disk Usage'] > 0)) {
             recommendations.push({
                 type: 'AGGREGATE_SPILL',
                 severity: 'HIGH',
@@ -382,8 +784,8 @@ class PostgreAnalyzer {
     }
 
     analyzeMaterialization(plan, recommendations) {
-        // Check for materialization opportunities
-        if (plan['Actual Loops'] > 1 && plan.Node_Type !== 'Materialize') {
+        // Check for materialization opportunities (loop counts only exist in executed plans)
+        if (plan['Actual Loops'] > 1 && plan['Node Type'] !== 'Materialize') {
             recommendations.push({
                 type: 'MISSED_MATERIALIZATION',
                 severity: 'MEDIUM',
@@ -410,12 +812,14 @@ class PostgreAnalyzer {
         };
 
         const priorityTypes = [
+            'DML_UNINDEXED_WHERE',
             'SEQUENTIAL_SCAN',
             'EXPENSIVE_NESTED_LOOP',
             'TEMP_FILES',
             'MISSING_JOIN_INDEX',
             'INEFFECTIVE_PARTITION',
-            'AGGREGATE_SPILL'
+            'AGGREGATE_SPILL',
+            'INDEX_SUGGESTION'
         ];
 
         // Sort recommendations by severity and type
@@ -438,21 +842,6 @@ class PostgreAnalyzer {
             return 0;
         });
     }
-
-    // Helper method to recursively analyze nested plans
-    analyzePlanNode(node, recommendations) {
-        // Analyze current node
-        this.analyzeScanMethods(node, recommendations);
-        this.analyzeJoinOperations(node, recommendations);
-        this.analyzeTemporaryStructures(node, recommendations);
-
-        // Recursively analyze child nodes
-        if (node.Plans) {
-            node.Plans.forEach(childPlan => {
-                this.analyzePlanNode(childPlan, recommendations);
-            });
-        }
-    }
 }
 
 module.exports = PostgreAnalyzer;
\ No newline at end of file
@@ -0,0 +1,312 @@
+// lib/analyzers/postgreDiscovery.js
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const { tokenize, isName, nameOf, classifyStatement, extractTableReferences } = require('../utils/sqlStatement');
+
+// Finds the statements that cost the server most in pg_stat_statements.
+// The extension replaces constants with $1, $2, ...; before such a statement
+// can be explained, each parameter gets a sample value: a common value of the
+// column it is compared with, from pg_stats, or else a value of its type.
+
+const SORT_COLUMNS = {
+    total: 'total_time',
+    mean: 'mean_time',
+    calls: 'calls',
+    reads: 'shared_blks_read'
+};
+
+// The timing columns were renamed in PostgreSQL 13
+const EXEC_TIME_VERSION = 130000;
+
+const COMPARISONS = ['=', '<>', '!=', '<', '>', '<=', '>='];
+const PREDICATE_WORDS = ['like', 'ilike', 'between', 'in'];
+
+// Values for parameters that cannot be tied to a column, by parameter type
+const TYPE_SAMPLES = [
+    [/^(smallint|integer|bigint|numeric|real|double precision)\b/, '1'],
+    [/^(text|character varying|character|name|citext)\b/, '\'a\''],
+    [/^boolean$/, 'true'],
+    [/^date$/, 'CURRENT_DATE'],
+    [/^timestamp/, 'now()'],
+    [/^time\b/, 'LOCALTIME'],
+    [/^interval$/, '\'1 day\''],
+    [/^uuid$/, '\'00000000-0000-0000-0000-000000000000\''],
+    [/^jsonb?$/, '\'{}\''],
+    [/\[\]$/, '\'{}\'']
+];
+
+function quoteLiteral(value) {
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+// The column ending at tokens[index], optionally qualified and cast: col, t.col, col::text
+function columnBefore(tokens, index, dialect) {
+    if (tokens[index - 1]?.symbol === '::') index -= 2;
+    if (!isName(tokens[index])) return null;
+    const qualified = tokens[index - 1]?.symbol === '.' && isName(tokens[index - 2]);
+    return {
+        qualifier: qualified ? nameOf(tokens[index - 2], dialect) : null,
+        column: nameOf(tokens[index], dialect)
+    };
+}
+
+function columnAfter(tokens, index, dialect) {
+    if (!isName(tokens[index])) return null;
+    if (tokens[index + 1]?.symbol === '.' && isName(tokens[index + 2])) {
+        return { qualifier: nameOf(tokens[index], dialect), column: nameOf(tokens[index + 2], dialect) };
+    }
+    return { qualifier: null, column: nameOf(tokens[index], dialect) };
+}
+
+/**
+ * The column each $n parameter is compared with: col = $1, $1 < col,
+ * col IN ($1, $2), col BETWEEN $1 AND $2, col LIKE $1, col = ANY($1).
+ *
+ * @returns {Map<number, { qualifier: string|null, column: string }>}
+ */
+function parameterColumns(sql) {
+    const dialect = 'postgresql';
+    const tokens = tokenize(sql, dialect);
+    const columns = new Map();
+
+    tokens.forEach((token, index) => {
+        if (token.literal !== 'parameter') return;
+        const number = Number(sql.slice(token.start + 1, token.end));
+
+        // Walk back over the other values of BETWEEN or an IN list
+        let i = index - 1;
+        if (tokens[i]?.word === 'and' && tokens[i - 1]?.literal === 'parameter' && tokens[i - 2]?.word === 'between') {
+            i -= 2;
+        } else {
+            while (tokens[i]?.symbol === ',' && tokens[i - 1]?.literal === 'parameter') i -= 2;
+            if (tokens[i]?.paren === 'open') i--;
+        }
+
+        // col = ANY ($1)
+        if (['any', 'all'].includes(tokens[i]?.word)) i--;
+
+        const operator = tokens[i];
+        let column = null;
+        if (operator && (COMPARISONS.includes(operator.symbol) || PREDICATE_WORDS.includes(operator.word))) {
+            const start = tokens[i - 1]?.word === 'not' ? i - 2 : i - 1;
+            column = columnBefore(tokens, start, dialect);
+        }
+        if (!column && COMPARISONS.includes(tokens[index + 1]?.symbol)) {
+            column = columnAfter(tokens, index + 2, dialect);
+        }
+        if (column && !['and', 'or', 'not', 'where', 'on'].includes(column.column)) {
+            columns.set(number, column);
+        }
+    });
+
+    return columns;
+}
+
+class PostgreDiscovery {
+    constructor(config, i18n) {
+        this.config = config;
+        this.i18n = i18n;
+    }
+
+    get source() {
+        return 'pg_stat_statements';
+    }
+
+    get sorts() {
+        return Object.keys(SORT_COLUMNS);
+    }
+
+    async connect() {
+        if (!this.client) {
+            this.pool = new Pool({
+                ...this.config,
+                statement_timeout: 10000,
+                query_timeout: 10000
+            });
+
+            try {
+                this.client = await this.pool.connect();
+            } catch (error) {
+                await this.close();
+                throw error;
+            }
+        }
+        return this.client;
+    }
+
+    async close() {
+        const { client, pool } = this;
+        this.client = null;
+        this.pool = null;
+
+        if (client) {
+            try {
+                client.release();
+            } catch (error) {
+                logger.warn('Error releasing client:', error.message);
+            }
+        }
+        if (pool) {
+            try {
+                await pool.end();
+            } catch (error) {
+                logger.warn('Error closing connection pool:', error.message);
+            }
+        }
+    }
+
+    /**
+     * The statements of the current database with the highest figure to
+     * sort by, leaving out those that cannot be analyzed.
+     *
+     * @param {{ sort?: 'total' | 'mean' | 'calls' | 'reads', limit?: number }} [options]
+     */
+    async topStatements({ sort = 'total', limit = 20 } = {}) {
+        const client = await this.connect();
+
+        const extension = await client.query(`
+            SELECT quote_ident(n.nspname) AS schema
+            FROM pg_extension e
+            JOIN pg_namespace n ON n.oid = e.extnamespace
+            WHERE e.extname = 'pg_stat_statements'
+        `);
+        if (extension.rows.length === 0) {
+            throw new Error(this.i18n.t('discovery.missingExtension'));
+        }
+
+        const version = Number((await client.query('SHOW server_version_num')).rows[0].server_version_num);
+        const [totalTime, meanTime, maxTime] = version >= EXEC_TIME_VERSION
+            ? ['total_exec_time', 'mean_exec_time', 'max_exec_time']
+            : ['total_time', 'mean_time', 'max_time'];
+
+        // Utility statements and those of other users (shown as <insufficient privilege>) are skipped
+        const result = await client.query(`
+            SELECT
+                s.queryid::text AS query_id,
+                s.query,
+                s.calls,
+                s.${totalTime} AS total_time,
+                s.${meanTime} AS mean_time,
+                s.${maxTime} AS max_time,
+                s.rows,
+                s.shared_blks_read,
+                s.shared_blks_hit
+            FROM ${extension.rows[0].schema}.pg_stat_statements s
+            JOIN pg_database d ON d.oid = s.dbid
+            WHERE d.datname = current_database()
+            AND s.query ~* '^\\s*(with|select|update|delete|insert)\\M'
+            AND s.query NOT ILIKE '%pg_stat_statements%'
+            ORDER BY ${SORT_COLUMNS[sort]} DESC NULLS LAST
+            LIMIT $1
+        `, [limit * 2]);
+
+        return result.rows
+            .filter(row => classifyStatement(row.query, { dialect: 'postgresql' }).supported)
+            .slice(0, limit)
+            .map((row, index) => ({
+                rank: index + 1,
+                query: row.query,
+                workload: {
+                    source: 'pg_stat_statements',
+                    id: row.query_id,
+                    calls: Number(row.calls),
+                    totalTimeMs: Number(Number(row.total_time).toFixed(3)),
+                    meanTimeMs: Number(Number(row.mean_time).toFixed(3)),
+                    maxTimeMs: Number(Number(row.max_time).toFixed(3)),
+                    rowsSent: Number(row.rows),
+                    rowsExamined: null,
+                    noIndexUsed: null,
+                    sharedBlocksRead: Number(row.shared_blks_read),
+                    sharedBlocksHit: Number(row.shared_blks_hit)
+                }
+            }));
+    }
+
+    /**
+     * The statement with its $n parameters replaced by sample values where
+     * possible; `unresolved` lists the parameters that were left in place.
+     */
+    async sampleStatement(statement) {
+        const sql = statement.query;
+        const tokens = tokenize(sql, 'postgresql').filter(token => token.literal === 'parameter');
+        if (tokens.length === 0) return { sql, unresolved: [] };
+
+        const client = await this.connect();
+
+        let types = [];
+        try {
+            await client.query(`PREPARE queryist_discover AS ${sql}`);
+            try {
+                const result = await client.query(`
+                    SELECT parameter_types::text[] AS types
+                    FROM pg_prepared_statements
+                    WHERE name = 'queryist_discover'
+                `);
+                types = result.rows[0]?.types || [];
+            } finally {
+                await client.query('DEALLOCATE queryist_discover');
+            }
+        } catch (error) {
+            logger.warn('Failed to infer parameter types:', error.message);
+            return { sql, unresolved: [...new Set(tokens.map(token => sql.slice(token.start, token.end)))] };
+        }
+
+        const columns = parameterColumns(sql);
+        const references = extractTableReferences(sql, { dialect: 'postgresql' });
+        const values = new Map();
+        for (let number = 1; number <= types.length; number++) {
+            values.set(number, await this.sampleValue(client, types[number - 1], columns.get(number), references));
+        }
+
+        // Replace from the end so earlier offsets stay valid
+        let sampled = sql;
+        const unresolved = new Set();
+        [...tokens].reverse().forEach(token => {
+            const placeholder = sql.slice(token.start, token.end);
+            const value = values.get(Number(placeholder.slice(1)));
+            if (value === null || value === undefined) {
+                unresolved.add(placeholder);
+                return;
+            }
+            sampled = sampled.slice(0, token.start) + value + sampled.slice(token.end);
+        });
+
+        return { sql: sampled, unresolved: [...unresolved].reverse() };
+    }
+
+    async sampleValue(client, type, column, references) {
+        if (column) {
+            const reference = column.qualifier === null
+                ? (references.length === 1 ? references[0] : null)
+                : references.find(candidate => candidate.aliases.includes(column.qualifier) ||
+                    (candidate.aliases.length === 0 && candidate.table === column.qualifier));
+
+            if (reference) {
+                try {
+                    // The most common value, else the middle of the histogram
+                    const result = await client.query(`
+                        SELECT COALESCE(
+                            (most_common_vals::text::text[])[1],
+                            (histogram_bounds::text::text[])[(array_length(histogram_bounds::text::text[], 1) + 1) / 2]
+                        ) AS value
+                        FROM pg_stats
+                        WHERE schemaname = COALESCE($1, current_schema())
+                        AND tablename = $2
+                        AND attname = $3
+                    `, [reference.schema, reference.table, column.column]);
+                    const value = result.rows[0]?.value;
+                    if (value !== null && value !== undefined) {
+                        return type.endsWith('[]') ? `ARRAY[${quoteLiteral(value)}]::${type}` : `${quoteLiteral(value)}::${type}`;
+                    }
+                } catch (error) {
+                    logger.warn('Failed to read column statistics:', error.message);
+                }
+            }
+        }
+
+        const sample = TYPE_SAMPLES.find(([pattern]) => pattern.test(type));
+        return sample ? `${sample[1]}::${type}` : null;
+    }
+}
+
+module.exports = { PostgreDiscovery, parameterColumns, SORT_COLUMNS };
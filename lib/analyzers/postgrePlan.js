@@ -0,0 +1,50 @@
+// lib/analyzers/postgrePlan.js
+
+// Helpers for walking the JSON plan produced by EXPLAIN (FORMAT JSON).
+// InitPlans, SubPlans and CTE definitions are regular children in `Plans`,
+// marked by their `Parent Relationship` and `Subplan Name`.
+
+/**
+ * Visit every node of the plan depth-first.
+ *
+ * @param {object} node - a plan node, usually explainResult.Plan
+ * @param {(node: object, context: { path: string, depth: number, ancestors: object[] }) => void} visit
+ */
+function walkPlan(node, visit, context = { path: 'Plan', depth: 0, ancestors: [] }) {
+    if (!node) return;
+
+    visit(node, context);
+
+    (node.Plans || []).forEach((child, index) => {
+        walkPlan(child, visit, {
+            path: `${context.path}.Plans[${index}]`,
+            depth: context.depth + 1,
+            ancestors: [...context.ancestors, node]
+        });
+    });
+}
+
+function relationName(node) {
+    if (!node['Relation Name']) return null;
+    return node.Schema ? `${node.Schema}.${node['Relation Name']}` : node['Relation Name'];
+}
+
+/**
+ * Where in the plan a node sits: its JSON path, type, relation and the
+ * InitPlan / SubPlan / CTE it belongs to, if any.
+ */
+function describeNode(node, context) {
+    const subplan = [...context.ancestors, node]
+        .reverse()
+        .find(item => item['Subplan Name']);
+
+    return {
+        path: context.path,
+        nodeType: node['Node Type'],
+        relation: relationName(node) || node['CTE Name'] || null,
+        alias: node.Alias || null,
+        subplan: subplan ? subplan['Subplan Name'] : null
+    };
+}
+
+module.exports = { walkPlan, describeNode, relationName };
@@ -0,0 +1,126 @@
+// lib/analyzers/regression.js
+const { comparePlans } = require('./planDiff');
+const { matchesQuery, OFFLINE_TARGET } = require('../utils/history');
+
+// Tracks the runs in the analysis history. The runs of a query on one
+// connection profile and target are checked against the baseline run before them: the
+// run marked with `history --baseline`, or the first run when none is marked.
+//
+// A run has regressed when its estimated cost rose by more than
+// COST_TOLERANCE or its plan has a different shape, i.e. other operations,
+// tables or indexes; cost and row figures do not count towards the shape.
+
+const COST_TOLERANCE = 0.1;
+
+function planShape(node) {
+    if (!node) return '';
+    const children = node.children.map(planShape).join(',');
+    return `${node.operation}|${node.relation ?? ''}|${node.index ?? ''}[${children}]`;
+}
+
+function costRegression(baseline, run) {
+    const before = baseline.analysis.estimatedCost;
+    const after = run.analysis.estimatedCost;
+    if (typeof before !== 'number' || typeof after !== 'number' || after <= before * (1 + COST_TOLERANCE)) return null;
+
+    return {
+        type: 'cost',
+        before,
+        after,
+        percent: before === 0 ? null : Number((((after - before) / before) * 100).toFixed(1))
+    };
+}
+
+function shapeRegression(baseline, run) {
+    const before = baseline.analysis;
+    const after = run.analysis;
+    if (before.engine !== after.engine) {
+        return { type: 'planShape', accessMethods: [], joins: [] };
+    }
+
+    const changed = ['plan', 'iteratorPlan'].some(field => planShape(before[field]) !== planShape(after[field]));
+    if (!changed) return null;
+
+    const comparison = comparePlans(before, after);
+    return {
+        type: 'planShape',
+        accessMethods: comparison.accessMethods.filter(entry => entry.changed),
+        joins: comparison.joins.filter(entry => entry.changed)
+    };
+}
+
+// A baseline run is compared with nothing; marking it accepts its plan and cost
+function describeRun(run, baseline) {
+    const regressions = baseline
+        ? [costRegression(baseline, run), shapeRegression(baseline, run)].filter(Boolean)
+        : [];
+
+    return {
+        id: run.id,
+        timestamp: run.timestamp,
+        target: runTarget(run),
+        engine: run.analysis.engine,
+        analysisMode: run.analysis.analysisMode,
+        offline: Boolean(run.analysis.offline),
+        estimatedCost: run.analysis.estimatedCost ?? null,
+        executionTimeMs: run.analysis.executionTimeMs ?? null,
+        recommendationCount: run.analysis.recommendations.length,
+        baseline: !baseline,
+        baselineRun: baseline ? baseline.id : null,
+        regressions
+    };
+}
+
+function trackGroup(runs, markedRuns) {
+    let baseline = null;
+    const tracked = runs.map(run => {
+        if (markedRuns.has(run.id) || !baseline) {
+            baseline = run;
+            return describeRun(run, null);
+        }
+        return describeRun(run, baseline);
+    });
+
+    const latest = tracked[tracked.length - 1];
+    return {
+        fingerprint: runs[0].fingerprint,
+        profile: runs[0].profile ?? null,
+        target: runTarget(runs[0]),
+        query: runs[runs.length - 1].analysis.query,
+        runs: tracked,
+        regressed: latest.regressions.length > 0
+    };
+}
+
+// Saved plans used to be recorded without a target
+function runTarget(run) {
+    return run.target ?? OFFLINE_TARGET;
+}
+
+/**
+ * The runs in the history grouped by query, profile and target, each with the
+ * regressions since its baseline. Groups with the most recent run come first.
+ *
+ * @param {object[]} entries - entries of a HistoryStore
+ * @param {{ query?: string, profile?: string }} [filter]
+ */
+function trackHistory(entries, { query, profile } = {}) {
+    const markedRuns = new Set(entries.filter(entry => entry.type === 'baseline').map(entry => entry.run));
+
+    const groups = new Map();
+    entries
+        .filter(entry => entry.type === 'run')
+        .filter(run => profile === undefined || run.profile === profile)
+        .filter(run => query === undefined || matchesQuery(run, query))
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .forEach(run => {
+            const key = `${run.fingerprint}|${run.profile ?? ''}|${runTarget(run)}`;
+            groups.set(key, [...(groups.get(key) || []), run]);
+        });
+
+    return [...groups.values()]
+        .map(runs => trackGroup(runs, markedRuns))
+        .sort((a, b) => b.runs[b.runs.length - 1].timestamp.localeCompare(a.runs[a.runs.length - 1].timestamp));
+}
+
+module.exports = { trackHistory, COST_TOLERANCE };
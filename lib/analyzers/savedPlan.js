@@ -0,0 +1,479 @@
+// lib/analyzers/savedPlan.js
+const { buildPlanFromJson, buildPlanFromRows, parseTreeOutput, collectIterators } = require('./mysqlPlan');
+
+// Reads EXPLAIN output that was saved or pasted from another client, so the
+// analyzers can run their rules without a connection. PostgreSQL text plans
+// and auto_explain entries are converted into the EXPLAIN (FORMAT JSON)
+// document; MySQL output into the plan and iterator trees of mysqlPlan.
+
+const PG_ESTIMATE = /\(cost=([\d.]+)\.\.([\d.]+) rows=(\d+) width=(\d+)\)/;
+const PG_ACTUAL = /\(actual (?:time=([\d.]+)\.\.([\d.]+) )?rows=([\d.]+) loops=(\d+)\)/;
+const PG_NEVER_EXECUTED = /\(never executed\)/;
+const PG_PROPERTY = /^([A-Z][\w -]*?):(?:\s+(.*))?$/;
+const PG_LABEL = /^(InitPlan|SubPlan|CTE)\b(?!.*:)/;
+const AUTO_EXPLAIN = /duration: [\d.]+ ms\s+plan:/;
+const MYSQL_VERTICAL_ROW = /^\*+ \d+\. row \*+$/;
+
+const IDENTIFIER = '("(?:[^"]|"")*"|[^\\s"]+)';
+const SCAN_ON = new RegExp(`^(.+?) on ${IDENTIFIER}(?: ${IDENTIFIER})?$`);
+const INDEX_SCAN = new RegExp(`^(Index Scan|Index Only Scan)( Backward)? using ${IDENTIFIER} on ${IDENTIFIER}(?: ${IDENTIFIER})?$`);
+const MODIFY_TABLE = new RegExp(`^(Insert|Update|Delete|Merge) on ${IDENTIFIER}(?: ${IDENTIFIER})?$`);
+const JOIN = /^(?:(Hash|Merge)(?: (Left|Right|Full|Semi|Anti|Right Semi|Right Anti))? Join|(Nested Loop)(?: (Left|Right|Full|Semi|Anti) Join)?)$/;
+// psql's column header, its underline and the row count footer
+const PSQL_DECORATION = /^\s*(QUERY PLAN|-+|\(\d+ rows?\))\s*$/;
+
+const RELATION_SCANS = ['Seq Scan', 'Bitmap Heap Scan', 'Tid Scan', 'Tid Range Scan', 'Sample Scan', 'Foreign Scan'];
+
+const AGGREGATE_STRATEGIES = {
+    Aggregate: 'Plain',
+    GroupAggregate: 'Sorted',
+    HashAggregate: 'Hashed',
+    MixedAggregate: 'Mixed'
+};
+
+// Properties printed as a comma-separated list
+const LIST_PROPERTIES = ['Sort Key', 'Presorted Key', 'Group Key', 'Output'];
+
+// Lines that hold several "Key: value" pairs separated by two spaces
+const SEGMENTED_PROPERTIES = ['Sort Method', 'Buckets', 'Batches', 'Planned Partitions', 'Hits', 'Full-sort Groups'];
+
+function unquote(name) {
+    if (!name) return null;
+    return name.startsWith('"') ? name.slice(1, -1).replace(/""/g, '"') : name;
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+function kilobytes(value) {
+    const match = String(value).match(/^(\d+)kB$/);
+    return match ? Number(match[1]) : toNumber(value);
+}
+
+// Splits on the commas that are not inside parentheses or quotes
+function splitList(text) {
+    const items = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+
+    if (current.trim()) items.push(current.trim());
+    return items;
+}
+
+// "schema.table alias" as Schema, Relation Name and Alias
+function relationFields(target, alias) {
+    const name = unquote(target);
+    const dot = target.startsWith('"') ? -1 : name.lastIndexOf('.');
+    const relation = dot === -1 ? name : name.slice(dot + 1);
+
+    return {
+        ...(dot === -1 ? {} : { Schema: name.slice(0, dot) }),
+        'Relation Name': relation,
+        Alias: unquote(alias) || relation
+    };
+}
+
+/**
+ * The fields of a node from its description, e.g. "Parallel Seq Scan on orders o".
+ */
+function describePostgresNode(text) {
+    const node = {};
+    let description = text.trim();
+
+    if (description.startsWith('Parallel ')) {
+        node['Parallel Aware'] = true;
+        description = description.slice('Parallel '.length);
+    }
+
+    const partial = description.match(/^(Partial|Finalize) /);
+    if (partial) {
+        node['Partial Mode'] = partial[1];
+        description = description.slice(partial[0].length);
+    }
+
+    let match = description.match(INDEX_SCAN);
+    if (match) {
+        return {
+            ...node,
+            'Node Type': match[1],
+            'Scan Direction': match[2] ? 'Backward' : 'Forward',
+            'Index Name': unquote(match[3]),
+            ...relationFields(match[4], match[5])
+        };
+    }
+
+    match = description.match(MODIFY_TABLE);
+    if (match) {
+        return { ...node, 'Node Type': 'ModifyTable', Operation: match[1], ...relationFields(match[2], match[3]) };
+    }
+
+    match = description.match(JOIN);
+    if (match) {
+        const nodeType = match[3] || `${match[1]} Join`;
+        return { ...node, 'Node Type': nodeType, 'Join Type': match[2] || match[4] || 'Inner' };
+    }
+
+    const aggregate = description.match(/^(\w+Aggregate|Aggregate)$/);
+    if (aggregate && AGGREGATE_STRATEGIES[aggregate[1]]) {
+        return { ...node, 'Node Type': 'Aggregate', Strategy: AGGREGATE_STRATEGIES[aggregate[1]] };
+    }
+
+    match = description.match(SCAN_ON);
+    if (match) {
+        const [, nodeType, target, alias] = match;
+        if (RELATION_SCANS.includes(nodeType)) {
+            return { ...node, 'Node Type': nodeType, ...relationFields(target, alias) };
+        }
+        if (nodeType === 'Bitmap Index Scan') {
+            return { ...node, 'Node Type': nodeType, 'Index Name': unquote(target) };
+        }
+        if (nodeType === 'CTE Scan' || nodeType === 'WorkTable Scan') {
+            return { ...node, 'Node Type': nodeType, 'CTE Name': unquote(target), Alias: unquote(alias) || unquote(target) };
+        }
+        if (nodeType === 'Function Scan') {
+            return { ...node, 'Node Type': nodeType, 'Function Name': unquote(target), Alias: unquote(alias) || unquote(target) };
+        }
+        return { ...node, 'Node Type': nodeType, Alias: unquote(alias) || unquote(target) };
+    }
+
+    return { ...node, 'Node Type': description };
+}
+
+// "shared hit=10 read=5, temp read=1 written=2"
+function bufferFields(value) {
+    const fields = {};
+    value.split(',').forEach(part => {
+        const [kind, ...counters] = part.trim().split(/\s+/);
+        counters.forEach(counter => {
+            const [name, count] = counter.split('=');
+            const label = `${kind[0].toUpperCase()}${kind.slice(1)} ${name[0].toUpperCase()}${name.slice(1)} Blocks`;
+            fields[label] = toNumber(count);
+        });
+    });
+    return fields;
+}
+
+function propertyFields(node, key, value) {
+    if (value === undefined || value === '') return {};
+
+    if (SEGMENTED_PROPERTIES.includes(key) && /\S\s{2,}\S/.test(value)) {
+        return value.split(/\s{2,}/).reduce((fields, segment, index) => {
+            const match = index === 0 ? [null, key, segment] : segment.match(/^([^:]+):\s*(.*)$/);
+            return match ? { ...fields, ...propertyFields(node, match[1], match[2]) } : fields;
+        }, {});
+    }
+
+    if (LIST_PROPERTIES.includes(key)) return { [key]: splitList(value) };
+    if (key === 'Buffers') return bufferFields(value);
+
+    switch (key) {
+        case 'Memory':
+        case 'Disk':
+            return { 'Sort Space Type': key, 'Sort Space Used': kilobytes(value) };
+        case 'Buckets':
+            return { 'Hash Buckets': toNumber(value.split(' ')[0]) };
+        case 'Batches':
+            return node['Node Type'] === 'Aggregate'
+                ? { 'HashAgg Batches': toNumber(value.split(' ')[0]) }
+                : { 'Hash Batches': toNumber(value.split(' ')[0]) };
+        case 'Memory Usage':
+            return { 'Peak Memory Usage': kilobytes(value) };
+        case 'Disk Usage':
+            return { 'Disk Usage': kilobytes(value) };
+        default:
+            return { [key]: /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value };
+    }
+}
+
+function milliseconds(value) {
+    const match = String(value).match(/^([\d.]+) ms$/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parse the text format of EXPLAIN (with or without ANALYZE, VERBOSE, BUFFERS)
+ * into the document EXPLAIN (FORMAT JSON) returns, with the fields the rules use.
+ *
+ * @param {string} text
+ * @returns {object|null} { Plan, 'Planning Time', 'Execution Time' }
+ */
+function parsePostgresText(text) {
+    const result = {};
+    // Owners of the lines below them: plan nodes, InitPlan/SubPlan labels and
+    // statement-level sections such as "Planning:" whose details are skipped
+    const stack = [];
+
+    const owner = () => stack[stack.length - 1];
+    const parentNode = () => [...stack].reverse().find(entry => entry.node)?.node;
+
+    text.split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/\s+$/, '');
+        if (!line.trim() || PSQL_DECORATION.test(line)) return;
+
+        const arrow = line.match(/^(\s*)->\s+(.*)$/);
+        const indent = arrow ? arrow[1].length : line.match(/^\s*/)[0].length;
+        const body = arrow ? arrow[2] : line.trim();
+
+        while (stack.length && owner().indent >= indent) stack.pop();
+
+        if (arrow || !result.Plan) {
+            const estimate = body.match(PG_ESTIMATE);
+            const actual = body.match(PG_ACTUAL);
+            const end = [estimate, actual, body.match(PG_NEVER_EXECUTED)]
+                .filter(Boolean)
+                .reduce((first, found) => Math.min(first, found.index), body.length);
+
+            // Lines before the plan, such as auto_explain's Query Parameters
+            if (!arrow && !estimate && !actual && PG_PROPERTY.test(body)) return;
+
+            const node = describePostgresNode(body.slice(0, end));
+            if (estimate) {
+                node['Startup Cost'] = Number(estimate[1]);
+                node['Total Cost'] = Number(estimate[2]);
+                node['Plan Rows'] = Number(estimate[3]);
+                node['Plan Width'] = Number(estimate[4]);
+            }
+            if (actual) {
+                if (actual[1] !== undefined) {
+                    node['Actual Startup Time'] = Number(actual[1]);
+                    node['Actual Total Time'] = Number(actual[2]);
+                }
+                node['Actual Rows'] = Number(actual[3]);
+                node['Actual Loops'] = Number(actual[4]);
+            } else if (PG_NEVER_EXECUTED.test(body)) {
+                node['Actual Rows'] = 0;
+                node['Actual Loops'] = 0;
+            }
+
+            const label = owner()?.label;
+            if (label) {
+                node['Parent Relationship'] = label.startsWith('SubPlan') ? 'SubPlan' : 'InitPlan';
+                node['Subplan Name'] = label;
+            }
+
+            const parent = parentNode();
+            if (parent) {
+                parent.Plans = parent.Plans || [];
+                parent.Plans.push(node);
+            } else if (!result.Plan) {
+                result.Plan = node;
+            }
+            stack.push({ indent, node });
+            return;
+        }
+
+        if (PG_LABEL.test(body)) {
+            stack.push({ indent, label: body });
+            return;
+        }
+
+        const property = body.match(PG_PROPERTY);
+        if (!property) return;
+
+        const [, key, value] = property;
+        const target = owner();
+
+        if (!target) {
+            if (key === 'Planning Time' || key === 'Execution Time') {
+                result[key] = milliseconds(value);
+            } else if (!value) {
+                stack.push({ indent, section: key });
+            }
+            return;
+        }
+
+        if (target.node) {
+            Object.assign(target.node, propertyFields(target.node, key, value));
+        }
+    });
+
+    return result.Plan ? result : null;
+}
+
+// The JSON document in the text, without psql's header, footer and "+" line wraps
+function extractJson(text) {
+    const unwrapped = text
+        .split('\n')
+        .map(line => line.replace(/\s*\+$/, ''))
+        .join('\n');
+
+    const start = unwrapped.search(/[[{]/);
+    const end = Math.max(unwrapped.lastIndexOf('}'), unwrapped.lastIndexOf(']'));
+    if (start === -1 || end < start) return null;
+
+    const json = unwrapped.slice(start, end + 1);
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        // mysql --batch escapes the newlines inside the EXPLAIN column
+        try {
+            return JSON.parse(json.replace(/\\n/g, '\n').replace(/\\t/g, '\t'));
+        } catch (retryError) {
+            return null;
+        }
+    }
+}
+
+function cellValue(value) {
+    const trimmed = value.trim();
+    return trimmed === 'NULL' ? null : trimmed;
+}
+
+/**
+ * Rows of tabular EXPLAIN as printed by the mysql client: the boxed table,
+ * tab-separated (--batch) output or vertical (\G) output.
+ */
+function parseMySQLRows(text) {
+    const lines = text.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+
+    if (lines.some(line => MYSQL_VERTICAL_ROW.test(line.trim()))) {
+        const rows = [];
+        lines.forEach(line => {
+            if (MYSQL_VERTICAL_ROW.test(line.trim())) {
+                rows.push({});
+                return;
+            }
+            const match = line.match(/^\s*(\w+):\s?(.*)$/);
+            if (match && rows.length) rows[rows.length - 1][match[1]] = cellValue(match[2]);
+        });
+        // Vertical output of EXPLAIN FORMAT=TREE or JSON has a single EXPLAIN column
+        return rows.every(row => 'select_type' in row) ? rows : [];
+    }
+
+    const tableLines = lines.filter(line => line.trim().startsWith('|') || line.includes('\t'));
+    const cells = tableLines.map(line => line.includes('\t') && !line.trim().startsWith('|')
+        ? line.split('\t')
+        : line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|'));
+
+    const headerIndex = cells.findIndex(row => row.some(cell => cell.trim() === 'select_type'));
+    if (headerIndex === -1) return [];
+
+    const header = cells[headerIndex].map(cell => cell.trim());
+    return cells.slice(headerIndex + 1)
+        .filter(row => row.length === header.length)
+        .map(row => Object.fromEntries(header.map((name, index) => [name, cellValue(row[index])])));
+}
+
+// EXPLAIN FORMAT=TREE / EXPLAIN ANALYZE text, without the mysql client's "EXPLAIN:" label or table borders
+function mysqlTreeText(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/^EXPLAIN:\s*/, '').replace(/^\|\s?/, '').replace(/\s*\|$/, ''))
+        .join('\n');
+}
+
+// The query text and plan of the first auto_explain entry of a server log
+function parseAutoExplain(text) {
+    // The server log indents the lines after the first with a tab
+    const lines = text.split('\n').map(line => line.replace(/^\t/, ''));
+    const start = lines.findIndex(line => AUTO_EXPLAIN.test(line));
+    const entry = lines.slice(start === -1 ? 0 : start);
+    if (start !== -1) entry[0] = entry[0].replace(/^.*?plan:\s*/, '');
+
+    const json = entry.join('\n').trim().startsWith('{') ? extractJson(entry.join('\n')) : null;
+    if (json) {
+        return { format: 'json', plan: json, query: json['Query Text'] || null };
+    }
+
+    const queryStart = entry.findIndex(line => /^\s*Query Text:/.test(line));
+    let query = null;
+    let planLines = entry;
+    if (queryStart !== -1) {
+        const planStart = entry.findIndex((line, index) => index > queryStart &&
+            (PG_ESTIMATE.test(line) || PG_ACTUAL.test(line) || /^\s*Query Parameters:/.test(line)));
+        const queryEnd = planStart === -1 ? entry.length : planStart;
+        query = entry.slice(queryStart, queryEnd).join('\n').replace(/^\s*Query Text:\s*/, '').trim();
+        planLines = entry.slice(queryEnd);
+    }
+
+    // The next log entry ends the plan
+    const next = planLines.findIndex(line => /^\S/.test(line) && /\b(LOG|STATEMENT|ERROR|WARNING|DETAIL):/.test(line));
+    return { format: 'text', plan: parsePostgresText(planLines.slice(0, next === -1 ? undefined : next).join('\n')), query };
+}
+
+function detectDialect(text, json) {
+    if (json?.query_block) return 'mysql';
+    if (json && (json.Plan || json['Query Text'])) return 'postgresql';
+    if (AUTO_EXPLAIN.test(text) || /^\s*Query Text:/m.test(text) || PG_ESTIMATE.test(text)) return 'postgresql';
+    if (/\bselect_type\b/.test(text) || /^\s*(?:EXPLAIN:\s*|\|\s*)?-> /m.test(text)) return 'mysql';
+    return null;
+}
+
+/**
+ * Read saved EXPLAIN output.
+ *
+ * PostgreSQL: EXPLAIN (FORMAT JSON), the text format, or an auto_explain log entry.
+ * MySQL: EXPLAIN FORMAT=JSON, tabular EXPLAIN, EXPLAIN FORMAT=TREE or EXPLAIN ANALYZE.
+ *
+ * @param {string} text
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} options - detected from the text when omitted
+ * @returns {{ dialect: 'mysql' | 'postgresql', format: string, plan: object|null, rows?: object[], tree?: object|null, query: string|null }}
+ *          `plan` is the EXPLAIN JSON document (PostgreSQL) or the plan tree (MySQL);
+ *          MySQL tree output is returned as `tree`, tabular output also as `rows`
+ */
+function parseSavedPlan(text, { dialect } = {}) {
+    const content = String(text || '').replace(/\r\n/g, '\n');
+    if (!content.trim()) {
+        throw new Error('The saved plan is empty');
+    }
+
+    let json = /^\s*[[{]/m.test(content) ? extractJson(content) : null;
+    if (Array.isArray(json)) json = json[0];
+
+    const detected = dialect || detectDialect(content, json);
+    if (!detected) {
+        throw new Error('Could not recognize the saved plan as PostgreSQL or MySQL EXPLAIN output');
+    }
+
+    if (detected === 'postgresql') {
+        if (AUTO_EXPLAIN.test(content) || /^\s*Query Text:/m.test(content)) {
+            const entry = parseAutoExplain(content);
+            if (!entry.plan?.Plan) throw new Error('The auto_explain entry has no plan');
+            return { dialect: detected, format: `auto_explain-${entry.format}`, plan: entry.plan, query: entry.query };
+        }
+        if (json?.Plan) {
+            return { dialect: detected, format: 'json', plan: json, query: json['Query Text'] || null };
+        }
+        const plan = parsePostgresText(content);
+        if (!plan) throw new Error('No plan nodes found in the saved PostgreSQL plan');
+        return { dialect: detected, format: 'text', plan, query: null };
+    }
+
+    if (json?.query_block) {
+        return { dialect: detected, format: 'json', plan: buildPlanFromJson(json), query: null };
+    }
+
+    const rows = parseMySQLRows(content);
+    if (rows.length > 0) {
+        return { dialect: detected, format: 'traditional', plan: buildPlanFromRows(rows), rows, query: null };
+    }
+
+    const tree = parseTreeOutput(mysqlTreeText(content));
+    if (!tree) {
+        throw new Error('No plan found in the saved MySQL EXPLAIN output');
+    }
+    const executed = collectIterators(tree).some(node => node.actualTime !== null && node.actualTime !== undefined);
+    return { dialect: detected, format: executed ? 'analyze' : 'tree', plan: null, tree, query: null };
+}
+
+module.exports = { parseSavedPlan, parsePostgresText };
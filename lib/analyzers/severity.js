@@ -0,0 +1,27 @@
+// lib/analyzers/severity.js
+
+const Severities = ['HIGH', 'MEDIUM', 'LOW'];
+
+const SEVERITY_RANK = {
+    HIGH: 3,
+    MEDIUM: 2,
+    LOW: 1
+};
+
+function isSeverity(value) {
+    return Severities.includes(value);
+}
+
+/**
+ * True when `severity` is at least as bad as `threshold`.
+ */
+function meetsThreshold(severity, threshold) {
+    return (SEVERITY_RANK[severity] || 0) >= SEVERITY_RANK[threshold];
+}
+
+// The recommendations of a result that are at least as bad as the threshold
+function findingsAtOrAbove(result, threshold) {
+    return (result?.recommendations || []).filter(rec => meetsThreshold(rec.severity, threshold));
+}
+
+module.exports = { Severities, SEVERITY_RANK, isSeverity, meetsThreshold, findingsAtOrAbove };
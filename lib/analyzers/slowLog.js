@@ -0,0 +1,388 @@
+// lib/analyzers/slowLog.js
+const { fingerprintQuery } = require('../utils/sqlFingerprint');
+const { tokenize } = require('../utils/sqlStatement');
+
+// Reads slow query logs without a database connection. A MySQL entry is a
+// block of `#` header lines followed by the statement:
+//
+// # Time: 2024-05-01T10:00:00.123456Z
+// # User@Host: app[app] @ web-1 [10.0.0.5]  Id:    42
+// # Query_time: 2.500000  Lock_time: 0.000100 Rows_sent: 10  Rows_examined: 500000
+// use shop;
+// SET timestamp=1714557600;
+// SELECT * FROM orders WHERE status = 'open';
+//
+// PostgreSQL logs statements slower than log_min_duration_statement as
+//
+// 2024-05-01 10:00:00.123 UTC [4242] app@shop LOG:  duration: 2500.123 ms  statement: SELECT ...
+//         continued on lines that start with a tab
+// 2024-05-01 10:00:01.456 UTC [4242] app@shop LOG:  duration: 12.5 ms  execute <unnamed>: SELECT ... $1
+// 2024-05-01 10:00:01.456 UTC [4242] app@shop DETAIL:  parameters: $1 = '42'
+//
+// in the stderr format with any log_line_prefix, or as jsonlog. Statements of
+// the extended protocol get their logged parameter values back.
+//
+// Entries are summarized per fingerprint, keeping the slowest one as the sample.
+
+// How summarized statements can be ranked
+const SORT_KEYS = {
+    total: statement => statement.totalTimeMs,
+    mean: statement => statement.meanTimeMs,
+    p95: statement => statement.p95TimeMs,
+    calls: statement => statement.calls,
+    examined: statement => (statement.rowsExamined ?? 0) / Math.max(statement.rowsSent ?? 0, 1)
+};
+
+// Where the workload statistics of a logged statement come from, by dialect
+const WORKLOAD_SOURCES = {
+    mysql: 'slow_query_log',
+    postgresql: 'postgresql_log'
+};
+
+// Lines the server writes when it starts and opens the log
+const SERVER_HEADER = [
+    /^\S.*, Version: .* started with:$/,
+    /^Tcp port: \d+/,
+    /^Time\s+Id\s+Command\s+Argument/
+];
+
+// PostgreSQL message severities, which follow the log_line_prefix
+const SEVERITIES = 'DEBUG\\d?|INFO|NOTICE|WARNING|ERROR|LOG|FATAL|PANIC|DETAIL|HINT|QUERY|CONTEXT|LOCATION|STATEMENT';
+const MESSAGE = new RegExp(`^(.*?)\\b(${SEVERITIES}):  ([\\s\\S]*)$`);
+// `statement` for simple queries, `execute <name>` for prepared ones; parse and bind are not timed statements
+const DURATION = /^duration: ([\d.]+) ms\s+(statement|execute [^:]*):\s*([\s\S]*)$/;
+
+function numberOrNull(value) {
+    if (value === undefined) return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function secondsToMs(value) {
+    const seconds = numberOrNull(value);
+    return seconds === null ? null : Number((seconds * 1000).toFixed(3));
+}
+
+function createEntry(database) {
+    return { timestamp: null, user: null, host: null, database, fields: {}, lines: [] };
+}
+
+function finishEntry(entry) {
+    const sql = entry.lines.join('\n').trim().replace(/;\s*$/, '');
+    if (!sql) return null;
+
+    return {
+        timestamp: entry.timestamp,
+        user: entry.user,
+        host: entry.host,
+        database: entry.fields.Schema || entry.database,
+        queryTimeMs: secondsToMs(entry.fields.Query_time),
+        lockTimeMs: secondsToMs(entry.fields.Lock_time),
+        rowsSent: numberOrNull(entry.fields.Rows_sent),
+        rowsExamined: numberOrNull(entry.fields.Rows_examined),
+        sql
+    };
+}
+
+function readHeaderLine(entry, line) {
+    const time = line.match(/^#\s*Time:\s*(.+)$/);
+    if (time) {
+        entry.timestamp = time[1].trim();
+        return;
+    }
+
+    const userHost = line.match(/^#\s*User@Host:\s*(\S+?)(?:\[[^\]]*\])?\s+@\s+(\S*)/);
+    if (userHost) {
+        entry.user = userHost[1];
+        entry.host = userHost[2] || null;
+        return;
+    }
+
+    // Query_time, Lock_time, Rows_sent, Rows_examined and whatever else the server adds
+    for (const [, name, value] of line.matchAll(/([A-Za-z_]+):\s*(\S+)/g)) {
+        entry.fields[name] = value;
+    }
+}
+
+/**
+ * The entries of a MySQL (or MariaDB / Percona Server) slow query log.
+ * Administrator commands, which have no statement, are left out.
+ *
+ * @param {string} text
+ * @returns {{ timestamp: string|null, user: string|null, host: string|null, database: string|null,
+ *   queryTimeMs: number|null, lockTimeMs: number|null, rowsSent: number|null, rowsExamined: number|null,
+ *   sql: string }[]}
+ */
+function parseMySQLSlowLog(text) {
+    const entries = [];
+    // `use` is only logged when the database changes, so it carries over
+    let database = null;
+    let entry = null;
+
+    const finish = () => {
+        const finished = entry && finishEntry(entry);
+        if (finished) entries.push(finished);
+    };
+
+    String(text).split(/\r?\n/).forEach(line => {
+        if (SERVER_HEADER.some(pattern => pattern.test(line))) return;
+
+        if (line.startsWith('#')) {
+            // A header line after the statement starts the next entry
+            if (!entry || entry.lines.length > 0) {
+                finish();
+                entry = createEntry(database);
+            }
+            readHeaderLine(entry, line);
+            return;
+        }
+        if (!entry) return;
+
+        if (entry.lines.length === 0) {
+            const use = line.match(/^use\s+`?([^`;]+)`?;\s*$/i);
+            if (use) {
+                database = use[1];
+                entry.database = database;
+                return;
+            }
+            if (/^SET\s+(timestamp|insert_id|last_insert_id)=\d+;\s*$/i.test(line) || !line.trim()) return;
+        }
+        entry.lines.push(line);
+    });
+    finish();
+
+    return entries;
+}
+
+// A message of the stderr format: the lines up to the next one that does not start with a tab
+function stderrMessages(text) {
+    const messages = [];
+    String(text).split(/\r?\n/).forEach(line => {
+        if (/^\s/.test(line) && messages.length > 0) {
+            messages[messages.length - 1] += '\n' + line.replace(/^\t/, '');
+        } else if (line.trim()) {
+            messages.push(line);
+        }
+    });
+
+    return messages.map(message => {
+        const match = message.match(MESSAGE);
+        if (!match) return null;
+        const prefix = match[1];
+        const userDb = prefix.match(/([\w.$-]+)@([\w.$-]+)/);
+        return {
+            timestamp: prefix.match(/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?( [A-Z]+)?/)?.[0] ?? null,
+            user: prefix.match(/\buser=([^,\s\]]+)/)?.[1] ?? userDb?.[1] ?? null,
+            database: prefix.match(/\bdb=([^,\s\]]+)/)?.[1] ?? userDb?.[2] ?? null,
+            severity: match[2],
+            message: match[3]
+        };
+    }).filter(Boolean);
+}
+
+// jsonlog (PostgreSQL 15) writes one object per line, the DETAIL in the same object
+function jsonMessages(text) {
+    const messages = [];
+    String(text).split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+        const record = JSON.parse(line);
+        messages.push({
+            timestamp: record.timestamp ?? null,
+            user: record.user ?? null,
+            database: record.dbname ?? null,
+            severity: record.error_severity,
+            message: record.message ?? ''
+        });
+        if (record.detail) {
+            messages.push({ severity: 'DETAIL', message: record.detail });
+        }
+    });
+    return messages;
+}
+
+// $1 = '42', $2 = NULL
+function parseParameters(detail) {
+    const values = new Map();
+    for (const [, number, value] of detail.matchAll(/\$(\d+) = ('(?:[^']|'')*'|NULL)/g)) {
+        values.set(Number(number), value);
+    }
+    return values;
+}
+
+function bindParameters(sql, values) {
+    const parameters = tokenize(sql, 'postgresql').filter(token => token.literal === 'parameter');
+    // Replace from the end so earlier offsets stay valid
+    return parameters.reverse().reduce((bound, token) => {
+        const value = values.get(Number(sql.slice(token.start + 1, token.end)));
+        return value === undefined ? bound : bound.slice(0, token.start) + value + bound.slice(token.end);
+    }, sql);
+}
+
+/**
+ * The timed statements of a PostgreSQL log, in the stderr format with any
+ * log_line_prefix or as jsonlog. Rows are not logged, so they are null.
+ *
+ * @param {string} text
+ * @returns {object[]} entries of the same shape as parseMySQLSlowLog
+ */
+function parsePostgresLog(text) {
+    const jsonlog = /^\s*\{/.test(text);
+    const messages = jsonlog ? jsonMessages(text) : stderrMessages(text);
+    const entries = [];
+
+    messages.forEach(message => {
+        if (message.severity === 'DETAIL') {
+            const previous = entries[entries.length - 1];
+            if (previous?.prepared && message.message.startsWith('parameters:')) {
+                previous.sql = bindParameters(previous.sql, parseParameters(message.message));
+                previous.prepared = false;
+            }
+            return;
+        }
+
+        const duration = message.severity === 'LOG' && message.message.match(DURATION);
+        if (!duration) return;
+        const sql = duration[3].trim().replace(/;\s*$/, '');
+        if (!sql) return;
+
+        entries.push({
+            timestamp: message.timestamp,
+            user: message.user,
+            host: null,
+            database: message.database,
+            queryTimeMs: Number(duration[1]),
+            lockTimeMs: null,
+            rowsSent: null,
+            rowsExamined: null,
+            sql,
+            prepared: duration[2] !== 'statement'
+        });
+    });
+
+    return entries.map(({ prepared, ...entry }) => entry);
+}
+
+/**
+ * The dialect of a log, or null when it is neither a MySQL slow log nor a
+ * PostgreSQL log with timed statements.
+ */
+function detectLogFormat(text) {
+    if (/^#\s*(Query_time|User@Host):/m.test(text)) return 'mysql';
+    if (/duration: [\d.]+ ms\s+(statement|execute [^:]*):/.test(text)) return 'postgresql';
+    return null;
+}
+
+function parseSlowLog(text, { dialect }) {
+    return dialect === 'mysql' ? parseMySQLSlowLog(text) : parsePostgresLog(text);
+}
+
+function sum(values) {
+    const numbers = values.filter(value => value !== null);
+    return numbers.length > 0 ? Number(numbers.reduce((total, value) => total + value, 0).toFixed(3)) : null;
+}
+
+/**
+ * Slow log entries grouped by fingerprint, slowest in total first. The sample
+ * of a group is its slowest statement.
+ *
+ * @param {object[]} entries - from parseMySQLSlowLog
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ */
+function summarizeStatements(entries, { dialect = 'mysql' } = {}) {
+    const groups = new Map();
+    entries.forEach(entry => {
+        const fingerprint = fingerprintQuery(entry.sql, { dialect });
+        if (!groups.has(fingerprint.hash)) groups.set(fingerprint.hash, { fingerprint, entries: [] });
+        groups.get(fingerprint.hash).entries.push(entry);
+    });
+
+    return [...groups.values()]
+        .map(({ fingerprint, entries: grouped }) => {
+            const times = grouped.map(entry => entry.queryTimeMs ?? 0);
+            const sorted = [...times].sort((a, b) => a - b);
+            const totalTimeMs = sum(times) ?? 0;
+            const slowest = grouped.reduce((worst, entry) => (entry.queryTimeMs ?? 0) > (worst.queryTimeMs ?? 0) ? entry : worst);
+
+            return {
+                fingerprint,
+                sample: slowest.sql,
+                database: slowest.database,
+                calls: grouped.length,
+                totalTimeMs,
+                meanTimeMs: Number((totalTimeMs / grouped.length).toFixed(3)),
+                // Nearest rank
+                p95TimeMs: sorted[Math.ceil(sorted.length * 0.95) - 1],
+                maxTimeMs: sorted[sorted.length - 1],
+                rowsSent: sum(grouped.map(entry => entry.rowsSent)),
+                rowsExamined: sum(grouped.map(entry => entry.rowsExamined))
+            };
+        })
+        .sort((a, b) => b.totalTimeMs - a.totalTimeMs);
+}
+
+/**
+ * The statements of a log ranked by `sort`, the top `limit` of them with
+ * their share of the logged time.
+ *
+ * @param {object[]} entries - from parseSlowLog
+ * @param {{ dialect: 'mysql' | 'postgresql', sort?: string, limit?: number }} options
+ */
+function rankStatements(entries, { dialect, sort = 'total', limit = 20 }) {
+    const statements = summarizeStatements(entries, { dialect });
+    const totalTimeMs = sum(statements.map(statement => statement.totalTimeMs)) ?? 0;
+    const key = SORT_KEYS[sort];
+
+    return {
+        format: dialect,
+        sort,
+        entries: entries.length,
+        statementCount: statements.length,
+        totalTimeMs,
+        statements: statements
+            .sort((a, b) => key(b) - key(a))
+            .slice(0, limit)
+            .map((statement, index) => ({
+                rank: index + 1,
+                fingerprint: statement.fingerprint.hash,
+                query: statement.fingerprint.canonical,
+                sample: statement.sample,
+                database: statement.database,
+                calls: statement.calls,
+                totalTimeMs: statement.totalTimeMs,
+                percent: totalTimeMs === 0 ? null : Number(((statement.totalTimeMs / totalTimeMs) * 100).toFixed(1)),
+                meanTimeMs: statement.meanTimeMs,
+                p95TimeMs: statement.p95TimeMs,
+                maxTimeMs: statement.maxTimeMs,
+                rowsSent: statement.rowsSent,
+                rowsExamined: statement.rowsExamined
+            }))
+    };
+}
+
+// The workload statistics shown with the analysis of a statement from rankStatements
+function statementWorkload(statement, dialect) {
+    return {
+        source: WORKLOAD_SOURCES[dialect],
+        id: statement.fingerprint,
+        calls: statement.calls,
+        totalTimeMs: statement.totalTimeMs,
+        meanTimeMs: statement.meanTimeMs,
+        maxTimeMs: statement.maxTimeMs,
+        rowsSent: statement.rowsSent,
+        rowsExamined: statement.rowsExamined,
+        noIndexUsed: null,
+        sharedBlocksRead: null,
+        sharedBlocksHit: null
+    };
+}
+
+module.exports = {
+    parseMySQLSlowLog,
+    parsePostgresLog,
+    parseSlowLog,
+    detectLogFormat,
+    summarizeStatements,
+    rankStatements,
+    statementWorkload,
+    SORT_KEYS
+};
@@ -0,0 +1,323 @@
+// lib/analyzers/sqlLint.js
+const { extractTableReferences } = require('../utils/sqlStatement');
+const {
+    isCall,
+    closingParen,
+    parseStatement,
+    columnReferences,
+    containsAggregate,
+    containsBlock,
+    positionOf
+} = require('../utils/sqlParser');
+
+// Static checks on the SQL text. They complement the plan-based rules with
+// anti-patterns the plan does not show, and point at the offending token.
+
+const COMPARISONS = ['=', '<>', '!=', '<', '>', '<=', '>='];
+
+const NUMERIC_TYPES = /^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|serial|bigserial|smallserial|bit)\b/;
+const STRING_TYPES = /^(char|varchar|character|text|tinytext|mediumtext|longtext|enum|set|citext|nchar|nvarchar)\b/;
+
+function typeCategory(dataType) {
+    const type = String(dataType || '').toLowerCase();
+    if (NUMERIC_TYPES.test(type)) return 'number';
+    if (STRING_TYPES.test(type)) return 'string';
+    return null;
+}
+
+function tokenText(token) {
+    return token.text ?? token.identifier ?? token.symbol ?? '';
+}
+
+/**
+ * Looks up the catalog column a reference in the statement points to.
+ */
+class ColumnCatalog {
+    constructor(sql, { dialect, defaultSchema, columns }) {
+        this.references = extractTableReferences(sql, { dialect });
+        this.defaultSchema = defaultSchema;
+        this.columns = columns;
+    }
+
+    columnsOf(reference) {
+        const schema = reference.schema || this.defaultSchema;
+        return this.columns.filter(column =>
+            column.table === reference.table && (!schema || !column.schema || column.schema === schema));
+    }
+
+    find({ qualifier, column }) {
+        const references = qualifier === null
+            ? this.references
+            : this.references.filter(reference =>
+                reference.aliases.includes(qualifier) ||
+                (reference.aliases.length === 0 && reference.table === qualifier));
+
+        const matches = references
+            .map(reference => this.columnsOf(reference).find(candidate => candidate.name === column))
+            .filter(Boolean);
+        return matches.length === 1 ? matches[0] : null;
+    }
+}
+
+class StatementLinter {
+    constructor(sql, { dialect, defaultSchema = null, columns = [] }) {
+        this.parsed = parseStatement(sql, { dialect });
+        this.tokens = this.parsed.tokens;
+        this.catalog = new ColumnCatalog(sql, { dialect, defaultSchema, columns });
+        this.findings = [];
+    }
+
+    add(type, severity, tokenIndex, params = {}) {
+        this.findings.push({
+            type,
+            severity,
+            position: positionOf(this.parsed.sql, this.tokens[tokenIndex].start),
+            params
+        });
+    }
+
+    run() {
+        const { blocks } = this.parsed;
+
+        blocks.forEach(block => {
+            this.checkSelectStar(block);
+            this.checkOrderWithoutLimit(block);
+            this.checkHaving(block);
+            block.conditions.forEach(condition => {
+                if (condition.clause !== 'having') this.checkOr(condition.tree);
+                this.predicates(condition.tree).forEach(predicate => this.checkPredicate(predicate));
+            });
+        });
+
+        this.tokens.forEach((token, index) => {
+            this.checkLeadingWildcard(token, index);
+            this.checkNotIn(token, index);
+        });
+
+        return this.findings.sort((a, b) =>
+            a.position.line - b.position.line || a.position.column - b.position.column);
+    }
+
+    predicates(tree) {
+        return tree.op === 'predicate' ? [tree] : tree.operands.flatMap(operand => this.predicates(operand));
+    }
+
+    // Blocks whose rows make up the result: the statement's own SELECT, its
+    // UNION parts and the SELECT of an INSERT ... SELECT
+    isResultBlock(block) {
+        return block.kind === 'select' && (block.parent === null || ['insert', 'replace'].includes(block.parent.kind));
+    }
+
+    checkSelectStar(block) {
+        if (!this.isResultBlock(block)) return;
+
+        block.selectItems.forEach(item => {
+            const last = this.tokens[item.end - 1];
+            const isStar = last.symbol === '*' &&
+                (item.end - item.start === 1 || this.tokens[item.end - 2]?.symbol === '.');
+            if (isStar) this.add('SELECT_STAR', 'LOW', item.end - 1);
+        });
+    }
+
+    checkOrderWithoutLimit(block) {
+        const { order, limit, fetch } = block.clauses;
+        if (block.kind !== 'select' || block.parent !== null || !order || limit || fetch) return;
+        this.add('ORDER_WITHOUT_LIMIT', 'LOW', order.keyword);
+    }
+
+    // Conditions that use no aggregate filter rows after grouping what WHERE could drop before it
+    checkHaving(block) {
+        const having = block.conditions.find(condition => condition.clause === 'having');
+        if (!having) return;
+
+        const aggregateAliases = new Set(block.selectItems
+            .filter(item => item.alias && containsAggregate(this.tokens, item.start, item.end))
+            .map(item => item.alias));
+
+        const conjuncts = having.tree.op === 'and' ? having.tree.operands : [having.tree];
+        conjuncts.forEach(conjunct => {
+            if (containsAggregate(this.tokens, conjunct.start, conjunct.end)) return;
+            if (containsBlock(this.parsed, conjunct.start, conjunct.end)) return;
+
+            const references = columnReferences(this.parsed, conjunct.start, conjunct.end);
+            if (references.length === 0) return;
+            if (references.some(reference => reference.qualifier === null && aggregateAliases.has(reference.column))) return;
+
+            this.add('HAVING_WITHOUT_AGGREGATE', 'LOW', conjunct.start);
+        });
+    }
+
+    // OR between conditions on different columns; a single index serves neither side alone
+    checkOr(tree) {
+        if (tree.op === 'predicate') return;
+
+        if (tree.op === 'or') {
+            const columns = new Set(tree.operands.flatMap(operand =>
+                columnReferences(this.parsed, operand.start, operand.end)
+                    .map(reference => reference.qualifier ? `${reference.qualifier}.${reference.column}` : reference.column)));
+            if (columns.size > 1) {
+                this.add('OR_ACROSS_COLUMNS', 'MEDIUM', tree.operators[0], { columns: [...columns].join(', ') });
+                return;
+            }
+        }
+
+        tree.operands.forEach(operand => this.checkOr(operand));
+    }
+
+    checkPredicate(predicate) {
+        const tokens = this.tokens;
+        let start = predicate.start;
+        if (tokens[start]?.word === 'not') start++;
+
+        const depth = tokens[start]?.depth;
+        const operator = tokens.findIndex((token, index) =>
+            index >= start && index < predicate.end && token.depth === depth &&
+            (COMPARISONS.includes(token.symbol) || ['like', 'ilike', 'in', 'between'].includes(token.word)));
+        if (operator === -1) return;
+
+        // x NOT LIKE ..., x NOT IN (...)
+        const leftEnd = tokens[operator - 1]?.word === 'not' ? operator - 1 : operator;
+        const operands = [{ start, end: leftEnd }];
+        if (COMPARISONS.includes(tokens[operator].symbol)) {
+            operands.push({ start: operator + 1, end: predicate.end });
+        }
+
+        operands.forEach(operand => this.checkWrappedColumn(operand));
+
+        if (operands.length === 2) {
+            this.checkImplicitCast(operator, operands[0], operands[1]);
+        }
+    }
+
+    // lower(email) = ?, DATE(created_at) = ?, created_at::date = ?
+    checkWrappedColumn({ start, end }) {
+        const tokens = this.tokens;
+        if (end <= start || containsBlock(this.parsed, start, end)) return;
+
+        let wrapper = null;
+        if (isCall(tokens, start) && closingParen(tokens, start + 1) === end - 1) {
+            wrapper = { index: start, name: tokenText(tokens[start]) };
+        } else if (tokens[end - 2]?.symbol === '::') {
+            wrapper = { index: end - 2, name: `::${tokenText(tokens[end - 1])}` };
+        }
+        if (!wrapper || containsAggregate(tokens, start, end)) return;
+
+        const [column] = columnReferences(this.parsed, start, end);
+        if (!column) return;
+
+        this.add('FUNCTION_ON_COLUMN', 'MEDIUM', wrapper.index, {
+            functionName: wrapper.name,
+            column: column.column
+        });
+    }
+
+    // A column compared with a value or column of another type is converted row by row
+    checkImplicitCast(operator, left, right) {
+        const describe = ({ start, end }) => {
+            if (end - start === 1 && this.tokens[start].literal === 'number') return { category: 'number' };
+            if (end - start === 1 && this.tokens[start].literal === 'string') return { category: 'string' };
+
+            const references = columnReferences(this.parsed, start, end);
+            const isPlainColumn = references.length === 1 && !this.tokens.slice(start, end).some(token => token.paren);
+            if (!isPlainColumn) return null;
+
+            const column = this.catalog.find(references[0]);
+            return column ? { category: typeCategory(column.dataType), column } : null;
+        };
+
+        const sides = [describe(left), describe(right)];
+        if (sides.some(side => !side || !side.category) || sides[0].category === sides[1].category) return;
+        // A quoted value is converted to the column's type, not the other way round
+        if (sides.some(side => !side.column && side.category === 'string')) return;
+
+        const column = sides.find(side => side.column?.dataType && typeCategory(side.column.dataType) === 'string') ||
+            sides.find(side => side.column);
+        const other = sides.find(side => side !== column);
+        this.add('IMPLICIT_CAST', 'MEDIUM', operator, {
+            column: column.column.name,
+            columnType: column.column.dataType,
+            otherType: other.column ? other.column.dataType : other.category
+        });
+    }
+
+    checkLeadingWildcard(token, index) {
+        if (!['like', 'ilike'].includes(token.word)) return;
+        const pattern = this.tokens[index + 1];
+        if (pattern?.literal === 'string' && /^%/.test(pattern.value)) {
+            this.add('LEADING_WILDCARD', 'MEDIUM', index + 1, { pattern: pattern.value });
+        }
+    }
+
+    // NOT IN (SELECT col ...) matches nothing once the subquery returns a NULL
+    checkNotIn(token, index) {
+        const tokens = this.tokens;
+        if (token.word !== 'not' || tokens[index + 1]?.word !== 'in' || tokens[index + 2]?.paren !== 'open') return;
+
+        const subquery = this.parsed.blocks.find(block => block.keyword === index + 3);
+        if (!subquery) return;
+
+        const [item] = subquery.selectItems;
+        const references = item ? columnReferences(this.parsed, item.start, item.end) : [];
+        const column = references.length === 1 ? this.subqueryColumn(subquery, references[0]) : null;
+        if (column && column.nullable === false) return;
+
+        this.add('NOT_IN_SUBQUERY', 'MEDIUM', index);
+    }
+
+    subqueryColumn(block, reference) {
+        const start = this.tokens[block.keyword].start;
+        const end = this.tokens[block.end]?.start ?? this.parsed.sql.length;
+        const catalog = new ColumnCatalog(this.parsed.sql.slice(start, end), {
+            dialect: this.parsed.dialect,
+            defaultSchema: this.catalog.defaultSchema,
+            columns: this.catalog.columns
+        });
+        return catalog.find(reference);
+    }
+}
+
+/**
+ * Static findings for one statement, ordered by position.
+ *
+ * @param {string} sql
+ * @param {{ dialect: 'mysql' | 'postgresql', defaultSchema?: string,
+ *           columns?: { schema: string, table: string, name: string, dataType: string, nullable: boolean }[] }} options
+ *        `columns` enable the type and NULL checks
+ * @returns {{ type: string, severity: string, position: { line: number, column: number }, params: object }[]}
+ */
+function lintStatement(sql, options) {
+    return new StatementLinter(sql, options).run();
+}
+
+const MESSAGE_KEYS = {
+    SELECT_STAR: 'selectStar',
+    LEADING_WILDCARD: 'leadingWildcard',
+    FUNCTION_ON_COLUMN: 'functionOnColumn',
+    IMPLICIT_CAST: 'implicitCast',
+    OR_ACROSS_COLUMNS: 'orAcrossColumns',
+    NOT_IN_SUBQUERY: 'notInSubquery',
+    ORDER_WITHOUT_LIMIT: 'orderWithoutLimit',
+    HAVING_WITHOUT_AGGREGATE: 'havingWithoutAggregate'
+};
+
+/**
+ * The static findings as recommendations, with their position as source.
+ */
+function lintRecommendations(sql, options, i18n) {
+    return lintStatement(sql, options).map(finding => {
+        const key = `analyzer.recommendations.${MESSAGE_KEYS[finding.type]}`;
+        return {
+            type: finding.type,
+            severity: finding.severity,
+            message: i18n.t(`${key}.message`, finding.params),
+            suggestion: i18n.t(`${key}.suggestion`),
+            details: {
+                impact: i18n.t(`${key}.impact`),
+                implementation: [i18n.t(`${key}.implementation`)]
+            },
+            source: { line: finding.position.line, column: finding.position.column }
+        };
+    });
+}
+
+module.exports = { lintStatement, lintRecommendations };
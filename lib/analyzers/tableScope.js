@@ -0,0 +1,103 @@
+// lib/analyzers/tableScope.js
+const { extractTableReferences } = require('../utils/sqlStatement');
+
+// Views are replaced by the tables they read, nested views included, up to this depth
+const MAX_VIEW_DEPTH = 5;
+
+function addTable(tables, schema, table) {
+    tables.set(`${schema}.${table}`, { schema, table });
+}
+
+/**
+ * The tables a query uses, as { schema, table } pairs: those named in the
+ * query text plus the relations of its plan. `planTables` are names as the
+ * plan shows them; MySQL shows the alias, which is resolved through the query.
+ *
+ * @param {string} query
+ * @param {{ dialect: 'mysql' | 'postgresql', defaultSchema: string, planTables?: { schema?: string, table: string }[] }} options
+ * @returns {{ schema: string, table: string }[]}
+ */
+function collectQueryTables(query, { dialect, defaultSchema, planTables = [] }) {
+    const references = extractTableReferences(query, { dialect });
+    const aliases = new Map();
+    const tables = new Map();
+
+    references.forEach(reference => {
+        addTable(tables, reference.schema || defaultSchema, reference.table);
+        reference.aliases.forEach(alias => aliases.set(alias, reference));
+    });
+
+    planTables.forEach(({ schema, table }) => {
+        const reference = schema ? null : aliases.get(table);
+        if (reference) {
+            addTable(tables, reference.schema || defaultSchema, reference.table);
+        } else {
+            addTable(tables, schema || defaultSchema, table);
+        }
+    });
+
+    return [...tables.values()];
+}
+
+/**
+ * Replaces the views among `tables` by the tables their definitions read.
+ *
+ * @param {{ schema: string, table: string }[]} tables
+ * @param {(tables: { schema: string, table: string }[]) => Promise<{ schema: string, name: string, definition: string }[]>} loadViews
+ *        returns the views among the given names with their definitions
+ * @param {{ dialect: 'mysql' | 'postgresql' }} options
+ */
+async function expandViews(tables, loadViews, { dialect }) {
+    const result = new Map(tables.map(table => [`${table.schema}.${table.table}`, table]));
+    const seen = new Set(result.keys());
+    let pending = tables;
+
+    for (let depth = 0; depth < MAX_VIEW_DEPTH && pending.length > 0; depth++) {
+        const views = await loadViews(pending);
+        const found = new Map();
+
+        views.forEach(view => {
+            result.delete(`${view.schema}.${view.name}`);
+            collectQueryTables(view.definition || '', { dialect, defaultSchema: view.schema })
+                .forEach(table => {
+                    const key = `${table.schema}.${table.table}`;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+                    result.set(key, table);
+                    found.set(key, table);
+                });
+        });
+
+        pending = [...found.values()];
+    }
+
+    return [...result.values()];
+}
+
+// A schema left out on either side, as in snapshots taken without one, matches any schema
+function sameTable(reference, schema, table) {
+    return reference.table === table && (!reference.schema || !schema || reference.schema === schema);
+}
+
+/**
+ * The catalog entries (statistics, indexes, columns) of the given tables,
+ * or all of them when `tables` is null. Used for snapshots, which the
+ * analyzers cannot filter with a catalog query.
+ *
+ * @param {{ schema: string|null, table: string }[]} items
+ * @param {{ schema: string, table: string }[]|null} tables
+ */
+function scopeCatalog(items, tables) {
+    if (!tables) return items;
+    return items.filter(item => tables.some(reference => sameTable(reference, item.schema, item.table)));
+}
+
+/**
+ * A loadViews function for expandViews that looks views up in a snapshot.
+ */
+function snapshotViewLoader(views) {
+    return async tables => views.filter(view =>
+        tables.some(reference => sameTable(reference, view.schema, view.name)));
+}
+
+module.exports = { collectQueryTables, expandViews, scopeCatalog, snapshotViewLoader };
@@ -10,6 +10,7 @@ const translations = {
         username: "Enter database username:",
         password: "Enter database password:",
         database: "Select database:",
+        schema: "Select schema:",
         query: "Enter your SQL query:"
       },
       connection: {
@@ -23,7 +24,50 @@ const translations = {
       },
       analysis: {
         analyzing: "Analyzing query...",
-        complete: "Analysis complete!"
+        complete: "Analysis complete!",
+        failed: "Analysis failed"
+      },
+      batch: {
+        analyzing: ({ index, total }) => `Analyzing statement ${index} of ${total}...`,
+        statementFailed: ({ index, line }) => `Statement ${index} (line ${line}) could not be analyzed:`
+      },
+      comparison: {
+        analyzing: ({ file }) => `Analyzing ${file}...`
+      },
+      history: {
+        recordFailed: "Failed to record the analysis history:",
+        baselineMarked: ({ count }) => `Marked ${count} run(s) as baseline`,
+        noRuns: "No recorded runs of this query to mark as baseline"
+      },
+      discovery: {
+        reading: ({ source }) => `Reading ${source}...`,
+        read: ({ count }) => `Found ${count} statement(s)`,
+        none: ({ source }) => `${source} holds no statements of this database that can be analyzed`,
+        missingExtension: "pg_stat_statements is not installed in this database; add it to shared_preload_libraries and run CREATE EXTENSION pg_stat_statements",
+        performanceSchemaOff: "performance_schema is disabled; set performance_schema=ON and restart the server, or use --slow-log",
+        missingSamples: "performance_schema keeps statement samples from MySQL 8.0.3 on; use --slow-log with older servers",
+        truncatedSamples: ({ count, limit }) => `Left out ${count} statement(s) whose sample was cut off at performance_schema_max_sql_text_length (${limit} bytes); raise it to analyze them`,
+        slowLogEngine: "--slow-log reads a MySQL slow query log and needs a MySQL database",
+        unsupportedSort: ({ sort, source, expected }) => `Sort order '${sort}' is not available for ${source} (expected ${expected})`,
+        pick: "Select the statements to analyze:",
+        pickRequired: "Select at least one statement",
+        choice: ({ rank, meanTimeMs, calls, totalTimeMs, sharedBlocksRead, rowsExamined, rowsSent, noIndexUsed, query }) =>
+          `#${rank}  ${meanTimeMs} ms avg, ${calls} calls, ${totalTimeMs} ms total` +
+          (sharedBlocksRead !== null ? `, ${sharedBlocksRead} blocks read` : '') +
+          (rowsExamined !== null ? `, ${rowsExamined} rows examined / ${rowsSent ?? 0} sent` : '') +
+          (noIndexUsed ? `, ${noIndexUsed} without an index` : '') +
+          `  ${query}`,
+        unknownRank: ({ rank }) => `No statement is ranked ${rank}`,
+        sampling: "Choosing sample values for the parameters...",
+        unresolved: ({ rank, parameters }) => `Statement #${rank} keeps ${parameters} without a sample value; its analysis will likely fail`
+      },
+      slowLog: {
+        unknownFormat: ({ file }) => `${file} is neither a MySQL slow query log nor a PostgreSQL log with statement durations; give the format with --db`,
+        mixedFormats: "The logs mix MySQL and PostgreSQL formats; report on them separately",
+        noRowsExamined: "PostgreSQL logs do not record rows examined; sort by total, mean, p95 or calls",
+        engineMismatch: ({ engine }) => `The statements of the log cannot be analyzed on a ${engine} database`,
+        nothingToAnalyze: "None of the top statements can be analyzed on this database",
+        multipleStatements: ({ count }) => `the sample holds ${count} statements`
       },
       visualization: {
         headers: {
@@ -32,7 +76,11 @@ const translations = {
           plan: "Execution Plan",
           stats: "Table Statistics",
           indexes: "Existing Indexes",
-          recommendations: "Recommendations"
+          recommendations: "Recommendations",
+          statement: ({ index, total, line }) => `Statement ${index} of ${total} (line ${line})`,
+          batchSummary: "Batch Summary",
+          iterators: "Iterator Plan",
+          workload: "Workload Statistics"
         },
         table: {
           operation: "Operation",
@@ -44,19 +92,132 @@ const translations = {
           indexSize: "Index Size",
           indexName: "Index Name",
           columns: "Columns",
-          type: "Type"
+          type: "Type",
+          rank: "Rank",
+          statement: "Statement",
+          line: "Line",
+          worstSeverity: "Worst Severity",
+          estimatedCost: "Est. Cost",
+          recommendations: "Recommendations",
+          query: "Query",
+          actualRows: "Actual Rows",
+          loops: "Loops",
+          actualTime: "Time (ms)",
+          neverExecuted: "never executed",
+          totalSize: "Total Size",
+          method: "Method",
+          source: "Source",
+          calls: "Calls",
+          totalTime: "Total (ms)",
+          meanTime: "Mean (ms)",
+          maxTime: "Max (ms)",
+          rowsSent: "Rows Sent",
+          rowsExamined: "Rows Examined",
+          noIndexUsed: "No Index Used",
+          blocksRead: "Blocks Read",
+          blocksHit: "Blocks Hit",
+          p95Time: "P95 (ms)",
+          percent: "% of Time"
+        },
+        mode: {
+          label: "Analysis mode:",
+          plan: "plan only (EXPLAIN, the query was not executed)",
+          analyze: "EXPLAIN ANALYZE inside a rolled-back transaction",
+          execute: "EXPLAIN ANALYZE with real execution",
+          estimateNote: "Row counts are planner estimates; checks that need runtime data (disk spills, loop counts) were skipped.",
+          offline: "saved EXPLAIN output, analyzed without a database connection"
+        },
+        fingerprint: {
+          label: "Fingerprint:",
+          canonical: "Normalized query:"
+        },
+        recommendation: {
+          source: "Source:",
+          suggestion: "Suggestion:",
+          impact: "Impact:",
+          implementation: "Implementation steps:"
+        },
+        batch: {
+          failed: "Analysis failed:",
+          counts: ({ analyzed, total, failed }) => `${analyzed} of ${total} statements analyzed, ${failed} failed`
         },
         noData: {
           plan: "No execution plan available",
           stats: "No statistics available",
           indexes: "No indexes found",
           recommendations: "No recommendations available."
+        },
+        plan: {
+          planningTime: ({ ms }) => `Planning time: ${ms} ms`,
+          executionTime: ({ ms }) => `Execution time: ${ms} ms`,
+          highlightNote: ({ measure }) => `Highlighted: the most expensive nodes by ${measure} spent in the node itself`,
+          time: "time",
+          cost: "estimated cost"
+        },
+        comparison: {
+          title: "Plan Comparison",
+          before: "Before",
+          after: "After",
+          metric: "Metric",
+          change: "Change",
+          estimatedCost: "Estimated cost",
+          planningTime: "Planning time (ms)",
+          executionTime: "Execution time (ms)",
+          recommendations: "Recommendations",
+          accessMethods: "Changed Access Methods",
+          joins: "Changed Joins",
+          planTree: "Plan Tree",
+          iteratorTree: "Iterator Tree",
+          appeared: "New Recommendations",
+          disappeared: "Resolved Recommendations",
+          notRead: "not read",
+          noChanges: "No changes",
+          unchanged: ({ count }) => `${count} recommendation(s) found in both analyses`
+        },
+        history: {
+          title: "Analysis History",
+          empty: ({ file }) => `No runs recorded in ${file}`,
+          fingerprint: "Fingerprint",
+          profile: "Profile",
+          runs: "Runs",
+          lastRun: "Last Run",
+          run: "Run",
+          target: "Database",
+          mode: "Mode",
+          status: "Status",
+          offline: "saved plan",
+          baseline: "baseline",
+          ok: "OK",
+          costRegression: ({ percent }) => `cost +${percent}%`,
+          planChanged: "plan changed",
+          shapeChanges: "Plan changes since the baseline:"
+        },
+        slowLog: {
+          title: "Slow Query Log",
+          formats: {
+            mysql: "MySQL slow query log",
+            postgresql: "PostgreSQL log"
+          },
+          summary: ({ format, files, entries, statements, totalTimeMs }) =>
+            `${format} (${files}): ${entries} entries, ${statements} distinct statements, ${totalTimeMs} ms in total`,
+          empty: "The logs hold no timed statements",
+          skipped: "Not analyzed:",
+          statement: ({ rank }) => `Statement #${rank}`
         }
       },
       errors: {
         analysis: "Error during analysis:",
         display: "Error displaying results:",
         emptyQuery: "Query cannot be empty",
+        missingOption: ({ option }) => `Missing value for --${option} and interactive prompts are disabled`,
+        readFile: ({ file, message }) => `Cannot read query file ${file}: ${message}`,
+        readPlan: ({ file, message }) => `Cannot read saved plan ${file}: ${message}`,
+        readSnapshot: ({ file, message }) => `Cannot read snapshot ${file}: ${message}`,
+        readInput: ({ file, message }) => `Cannot read ${file}: ${message}`,
+        compareBatch: ({ file, count }) => `${file} holds ${count} analyzed statements; compare needs a report of a single statement`,
+        compareStatements: ({ file, count }) => `${file} holds ${count} statements; compare needs a query file with a single statement`,
+        readHistory: ({ file, message }) => `Cannot read history ${file}: ${message}`,
+        readSlowLog: ({ file, message }) => `Cannot read slow query log ${file}: ${message}`,
         connection: {
           solutions: {
             title: "Possible solutions:",
@@ -81,10 +242,17 @@ const translations = {
         errors: {
             recommendations: "Error generating recommendations: "
         },
+        verification: {
+            hypopgMissing: "HypoPG is not installed in this database (CREATE EXTENSION hypopg); index suggestions are not verified",
+            invisibleIndexesUnsupported: "Invisible indexes need MySQL 8.0; index suggestions are not verified",
+            failed: "Failed to verify index suggestion:",
+            dropFailed: ({ statement }) => `Could not drop the index built for verification; run ${statement} by hand:`,
+            restoreSwitchFailed: "Could not restore optimizer_switch after verifying index suggestions:"
+        },
         recommendations: {
             // Existing translations
             tableScan: {
-                message: (tableName) => `Full table scan detected on table ${tableName}`,
+                message: ({ tableName }) => `Full table scan detected on table ${tableName}`,
                 suggestion: "Consider adding appropriate indexes",
                 impact: "Full table scans can significantly impact query performance",
                 implementation: {
@@ -94,7 +262,7 @@ const translations = {
                 }
             },
             accessType: {
-                message: (type) => `Suboptimal access type '${type}' detected`,
+                message: ({ type }) => `Suboptimal access type '${type}' detected`,
                 suggestion: "Improve table access method",
                 impact: "Current access method may result in poor performance",
                 implementation: {
@@ -205,7 +373,7 @@ const translations = {
                 }
             },
             largeSort: {
-                message: (rows) => `Large sort operation detected (${rows} rows)`,
+                message: ({ rows }) => `Large sort operation detected (${rows} rows)`,
                 suggestion: "Optimize sorting for large result sets",
                 impact: "Sorting large result sets can consume significant memory and CPU resources",
                 implementation: {
@@ -215,7 +383,7 @@ const translations = {
                 }
             },
             largeTableScan: {
-                message: (rows) => `Large table scan detected (${rows} rows)`,
+                message: ({ rows }) => `Large table scan detected (${rows} rows)`,
                 suggestion: "Optimize access pattern for large tables",
                 impact: "Scanning large tables can severely impact performance",
                 implementation: {
@@ -263,6 +431,238 @@ const translations = {
                     ensure: "Ensure partition key usage in queries",
                     consider: "Consider alternative partitioning strategies"
                 }
+            },
+            // PostgreSQL plan node rules
+            sequentialScan: {
+                message: ({ tableName }) => `Sequential scan detected on table ${tableName}`,
+                suggestion: "Consider adding an index for the filtered columns",
+                impact: "Sequential scans read every row of the table and slow down as it grows",
+                implementation: {
+                    createIndex: "Create an index on the columns used in WHERE and JOIN conditions",
+                    analyzeTable: "Run ANALYZE so the planner has current statistics",
+                    reviewWhere: "Review the WHERE clause for non-sargable conditions"
+                }
+            },
+            inefficientIndexScan: {
+                message: "Index scan returning many rows without an index condition",
+                suggestion: "Make the index scan more selective",
+                impact: "Walking a large part of an index with random heap access can be slower than a sequential scan",
+                implementation: {
+                    reviewIndex: "Review whether the index matches the query filters",
+                    considerBitmap: "Consider a bitmap index scan for large result sets",
+                    checkStats: "Check that table statistics are up to date"
+                }
+            },
+            expensiveNestedLoop: {
+                message: "Nested loop join processing a large number of rows",
+                suggestion: "Optimize the join strategy",
+                impact: "Nested loops re-scan the inner side for every outer row",
+                implementation: {
+                    createIndex: "Create an index on the inner join column",
+                    useHash: "Check why a hash or merge join was not chosen",
+                    rewriteJoin: "Consider rewriting the join conditions"
+                }
+            },
+            hashSpill: {
+                message: "Hash table split into multiple batches",
+                suggestion: "Give the hash join more memory",
+                impact: "Batched hash joins write to temporary files and run slower",
+                implementation: {
+                    increaseMemory: "Increase work_mem for this query or session",
+                    optimizeJoin: "Reduce the rows entering the hash side of the join",
+                    partitionData: "Consider partitioning the larger table"
+                }
+            },
+            tempFiles: {
+                message: "Operation spilled to temporary files on disk",
+                suggestion: "Avoid spilling sorts and hashes to disk",
+                impact: "Temporary file I/O is much slower than in-memory processing",
+                implementation: {
+                    increaseMemory: "Increase work_mem for this query or session",
+                    optimizeQuery: "Reduce the amount of data being sorted or hashed",
+                    useIndexes: "Use indexes that return rows in the needed order"
+                }
+            },
+            missingJoinIndex: {
+                message: "Hash join on a non-equality condition",
+                suggestion: "Review the join condition and supporting indexes",
+                impact: "Joins without a usable equality condition compare many row pairs",
+                implementation: {
+                    createIndex: "Create indexes on the join columns",
+                    analyzeJoin: "Analyze whether the join condition can be expressed as an equality",
+                    considerFK: "Consider foreign keys with matching indexes"
+                }
+            },
+            outdatedStats: {
+                message: "Query planning took unusually long",
+                suggestion: "Refresh planner statistics",
+                impact: "Long planning times often point to bloated catalogs or stale statistics",
+                implementation: {
+                    runAnalyze: "Run ANALYZE on the involved tables",
+                    autoVacuum: "Check the autovacuum and autoanalyze settings",
+                    monitoring: "Monitor planning time for this query"
+                }
+            },
+            missedParallel: {
+                message: "Expensive scan running without parallel workers",
+                suggestion: "Consider parallel query execution",
+                impact: "Large scans can finish faster when split across workers",
+                implementation: {
+                    enableParallel: "Check max_parallel_workers_per_gather",
+                    adjustSettings: "Review parallel_setup_cost and parallel_tuple_cost",
+                    reviewQuery: "Check for functions or constructs that prevent parallelism"
+                }
+            },
+            ineffectivePartition: {
+                message: "No partitions were pruned",
+                suggestion: "Make partition pruning effective",
+                impact: "Scanning every partition removes the benefit of partitioning",
+                implementation: {
+                    reviewStrategy: "Review the partitioning strategy",
+                    addConstraints: "Filter on the partition key in the query",
+                    optimizeKeys: "Avoid expressions on the partition key"
+                }
+            },
+            cteMaterialization: {
+                message: "CTE scanned more than once",
+                suggestion: "Review CTE materialization",
+                impact: "Materialized CTEs act as optimization fences",
+                implementation: {
+                    materialize: "Use MATERIALIZED / NOT MATERIALIZED explicitly",
+                    analyzeUsage: "Analyze how often the CTE is referenced",
+                    considerTemp: "Consider a temporary table for large intermediate results"
+                }
+            },
+            inefficientAggregate: {
+                message: "Sorted aggregation over a large number of rows",
+                suggestion: "Optimize the grouping strategy",
+                impact: "Group aggregates need sorted input, which may require an expensive sort",
+                implementation: {
+                    useHash: "Check whether a hash aggregate would fit in work_mem",
+                    addIndexes: "Add an index matching the GROUP BY columns",
+                    restructure: "Reduce the rows before aggregation"
+                }
+            },
+            aggregateSpill: {
+                message: "Hash aggregate spilled to disk",
+                suggestion: "Keep the hash aggregate in memory",
+                impact: "Spilled aggregates write to temporary files and run slower",
+                implementation: {
+                    increaseWork: "Increase work_mem or hash_mem_multiplier",
+                    limitGroups: "Reduce the number of groups",
+                    useIndexes: "Use an index to allow a sorted aggregate"
+                }
+            },
+            missedMaterialization: {
+                message: "Plan node executed many times",
+                suggestion: "Consider materializing the repeated work",
+                impact: "Re-executing the same subtree repeats its cost for every loop",
+                implementation: {
+                    addMaterialize: "Check whether a Materialize node could cache the results",
+                    analyzeMemory: "Check memory settings that affect materialization",
+                    considerCTE: "Consider computing the result once in a CTE"
+                }
+            },
+            rowMisestimate: {
+                message: ({ operation, estimated, actual }) => `Row estimate is far off for '${operation}' (estimated ${estimated}, actual ${actual})`,
+                suggestion: "Give the optimizer better statistics for the columns involved",
+                impact: "Wrong row estimates lead to poor join orders and access methods",
+                implementation: {
+                    analyzeTable: "Run ANALYZE TABLE to refresh the index statistics",
+                    histogram: "Add histograms with ANALYZE TABLE ... UPDATE HISTOGRAM ON for unindexed filter columns",
+                    rewrite: "Avoid functions and implicit conversions on the filtered columns"
+                }
+            },
+            expensiveIterator: {
+                message: ({ operation, time, share }) => `'${operation}' is the most expensive step (${time} ms, ${share}% of the execution time)`,
+                suggestion: "Focus tuning on this step of the plan first",
+                impact: "Most of the query time is spent in this iterator",
+                implementation: {
+                    focus: "Check how many rows reach this step and how often it is repeated (loops)",
+                    indexes: "Add or adjust indexes so this step reads fewer rows",
+                    reduceRows: "Filter rows earlier or limit the result set"
+                }
+            },
+            dmlUnindexedWhere: {
+                message: ({ statement, tableName, rows }) => `${statement} on ${tableName} (${rows} rows) finds its rows without an index`,
+                suggestion: "Index the columns in the WHERE clause of the statement",
+                impact: "Every execution reads the whole table and holds its locks and transaction open for longer",
+                implementation: {
+                    addIndex: "Create an index on the columns used to find the rows to change",
+                    batch: "Change large sets of rows in smaller batches",
+                    primaryKey: "Select the primary keys first and change the rows by key"
+                }
+            },
+            dmlLockingScan: {
+                message: ({ statement, tableName }) => `${statement} scans every row of ${tableName}, locking each row it reads`,
+                suggestion: "Let the statement reach its rows through an index",
+                impact: "InnoDB locks the rows a data-modifying statement reads, blocking concurrent writes to the whole table",
+                implementation: {
+                    addIndex: "Add indexes for the join and WHERE conditions",
+                    batch: "Change large sets of rows in smaller batches",
+                    isolation: "For INSERT ... SELECT, consider READ COMMITTED to avoid locking the source rows"
+                }
+            },
+            selectStar: {
+                message: "SELECT * reads every column of the table",
+                suggestion: "List only the columns the application uses",
+                impact: "Extra columns cost I/O and network transfer, rule out covering indexes, and change the result when the table changes",
+                implementation: "Replace * with the column list"
+            },
+            leadingWildcard: {
+                message: ({ pattern }) => `LIKE '${pattern}' starts with a wildcard`,
+                suggestion: "Search by prefix, or use a full-text or trigram index",
+                impact: "A pattern that starts with % cannot use a B-tree index, so every row is compared",
+                implementation: "MySQL: FULLTEXT index with MATCH ... AGAINST; PostgreSQL: pg_trgm GIN index"
+            },
+            functionOnColumn: {
+                message: ({ functionName, column }) => `${functionName} is applied to column ${column} in a condition`,
+                suggestion: "Compare the bare column, e.g. rewrite DATE(col) = d as a range on col",
+                impact: "An index on the column cannot be used when the condition transforms the column",
+                implementation: "Rewrite the condition, or add an expression index (PostgreSQL, MySQL 8.0.13+) on the same expression"
+            },
+            implicitCast: {
+                message: ({ column, columnType, otherType }) => `Column ${column} (${columnType}) is compared with a ${otherType}`,
+                suggestion: "Compare values of the column's own type",
+                impact: "The column is converted on every row, which keeps its index from being used",
+                implementation: "Quote the value, or give both join columns the same data type"
+            },
+            orAcrossColumns: {
+                message: ({ columns }) => `OR combines conditions on different columns (${columns})`,
+                suggestion: "Split the query into a UNION of one query per condition, or make sure each column is indexed",
+                impact: "A single index cannot serve conditions on different columns joined by OR, which often leads to a full scan",
+                implementation: "Rewrite as SELECT ... WHERE a = ? UNION SELECT ... WHERE b = ?"
+            },
+            notInSubquery: {
+                message: "NOT IN is used with a subquery whose column can be NULL",
+                suggestion: "Use NOT EXISTS instead",
+                impact: "If the subquery returns a single NULL, NOT IN matches no rows at all",
+                implementation: "Rewrite as WHERE NOT EXISTS (SELECT 1 FROM ... WHERE ... = outer.column)"
+            },
+            orderWithoutLimit: {
+                message: "ORDER BY sorts the whole result without a LIMIT",
+                suggestion: "Add a LIMIT if only the first rows are needed",
+                impact: "Without a limit every row must be sorted before the first one is returned",
+                implementation: "Add LIMIT, or drop ORDER BY when the order does not matter"
+            },
+            havingWithoutAggregate: {
+                message: "A HAVING condition does not use an aggregate",
+                suggestion: "Move the condition to WHERE",
+                impact: "HAVING filters after grouping, so the rows it removes are still read and grouped",
+                implementation: "Move conditions on plain columns into the WHERE clause"
+            },
+            indexSuggestion: {
+                message: ({ tableName, columns }) => `An index on ${tableName} (${columns}) would serve this query's conditions and ordering`,
+                coveringMessage: ({ tableName, columns }) => `A covering index on ${tableName} (${columns}) would let the query read only the index`,
+                suggestion: ({ ddl }) => `Create the index: ${ddl}`,
+                measured: ({ before, after, percent }) => `With this index the estimated cost drops from ${before} to ${after} (${percent}% lower)`,
+                impact: "Key columns follow equality, then range, then sort conditions, so the index can seek to the rows and return them in order",
+                implementation: {
+                    review: "Check that the query runs often enough to justify the extra write cost",
+                    mysqlOnline: "InnoDB builds the index online, but large tables still need time and disk space",
+                    postgresConcurrently: "CONCURRENTLY keeps the table writable but cannot run inside a transaction block",
+                    verify: "Run the analysis again to confirm the plan uses the new index"
+                }
             }
         }
       },
@@ -277,6 +677,7 @@ const translations = {
         username: "Masukkan username database:",
         password: "Masukkan password database:",
         database: "Pilih database:",
+        schema: "Pilih schema:",
         query: "Masukkan query SQL Anda:"
       },
       connection: {
@@ -290,7 +691,50 @@ const translations = {
       },
       analysis: {
         analyzing: "Menganalisis query...",
-        complete: "Analisis selesai!"
+        complete: "Analisis selesai!",
+        failed: "Analisis gagal"
+      },
+      batch: {
+        analyzing: ({ index, total }) => `Menganalisis statement ${index} dari ${total}...`,
+        statementFailed: ({ index, line }) => `Statement ${index} (baris ${line}) tidak dapat dianalisis:`
+      },
+      comparison: {
+        analyzing: ({ file }) => `Menganalisis ${file}...`
+      },
+      history: {
+        recordFailed: "Gagal mencatat riwayat analisis:",
+        baselineMarked: ({ count }) => `${count} run ditandai sebagai baseline`,
+        noRuns: "Belum ada run tercatat dari query ini untuk ditandai sebagai baseline"
+      },
+      discovery: {
+        reading: ({ source }) => `Membaca ${source}...`,
+        read: ({ count }) => `Ditemukan ${count} statement`,
+        none: ({ source }) => `${source} tidak berisi statement dari database ini yang dapat dianalisis`,
+        missingExtension: "pg_stat_statements belum terpasang di database ini; tambahkan ke shared_preload_libraries lalu jalankan CREATE EXTENSION pg_stat_statements",
+        performanceSchemaOff: "performance_schema dinonaktifkan; atur performance_schema=ON lalu restart server, atau gunakan --slow-log",
+        missingSamples: "performance_schema menyimpan contoh statement mulai MySQL 8.0.3; gunakan --slow-log untuk server yang lebih lama",
+        truncatedSamples: ({ count, limit }) => `${count} statement tidak disertakan karena contohnya terpotong pada performance_schema_max_sql_text_length (${limit} byte); naikkan nilainya untuk menganalisisnya`,
+        slowLogEngine: "--slow-log membaca slow query log MySQL dan membutuhkan database MySQL",
+        unsupportedSort: ({ sort, source, expected }) => `Urutan '${sort}' tidak tersedia untuk ${source} (seharusnya ${expected})`,
+        pick: "Pilih statement yang akan dianalisis:",
+        pickRequired: "Pilih minimal satu statement",
+        choice: ({ rank, meanTimeMs, calls, totalTimeMs, sharedBlocksRead, rowsExamined, rowsSent, noIndexUsed, query }) =>
+          `#${rank}  rata-rata ${meanTimeMs} ms, ${calls} panggilan, total ${totalTimeMs} ms` +
+          (sharedBlocksRead !== null ? `, ${sharedBlocksRead} blok dibaca` : '') +
+          (rowsExamined !== null ? `, ${rowsExamined} baris diperiksa / ${rowsSent ?? 0} dikirim` : '') +
+          (noIndexUsed ? `, ${noIndexUsed} tanpa index` : '') +
+          `  ${query}`,
+        unknownRank: ({ rank }) => `Tidak ada statement di peringkat ${rank}`,
+        sampling: "Memilih nilai contoh untuk parameter...",
+        unresolved: ({ rank, parameters }) => `Statement #${rank} masih memiliki ${parameters} tanpa nilai contoh; analisisnya kemungkinan gagal`
+      },
+      slowLog: {
+        unknownFormat: ({ file }) => `${file} bukan slow query log MySQL maupun log PostgreSQL dengan durasi statement; tentukan formatnya dengan --db`,
+        mixedFormats: "Log mencampur format MySQL dan PostgreSQL; buat laporan untuk masing-masing secara terpisah",
+        noRowsExamined: "Log PostgreSQL tidak mencatat baris yang diperiksa; urutkan berdasarkan total, mean, p95 atau calls",
+        engineMismatch: ({ engine }) => `Statement dari log ini tidak dapat dianalisis di database ${engine}`,
+        nothingToAnalyze: "Tidak ada statement teratas yang dapat dianalisis di database ini",
+        multipleStatements: ({ count }) => `contohnya berisi ${count} statement`
       },
       visualization: {
         headers: {
@@ -299,7 +743,11 @@ const translations = {
           plan: "Rencana Eksekusi",
           stats: "Statistik Tabel",
           indexes: "Index Yang Ada",
-          recommendations: "Rekomendasi"
+          recommendations: "Rekomendasi",
+          statement: ({ index, total, line }) => `Statement ${index} dari ${total} (baris ${line})`,
+          batchSummary: "Ringkasan Batch",
+          iterators: "Rencana Iterator",
+          workload: "Statistik Beban Kerja"
         },
         table: {
           operation: "Operasi",
@@ -311,19 +759,132 @@ const translations = {
           indexSize: "Ukuran Index",
           indexName: "Nama Index",
           columns: "Kolom",
-          type: "Tipe"
+          type: "Tipe",
+          rank: "Peringkat",
+          statement: "Statement",
+          line: "Baris",
+          worstSeverity: "Severity Terburuk",
+          estimatedCost: "Est. Biaya",
+          recommendations: "Rekomendasi",
+          query: "Query",
+          actualRows: "Baris Aktual",
+          loops: "Loop",
+          actualTime: "Waktu (ms)",
+          neverExecuted: "tidak dieksekusi",
+          totalSize: "Ukuran Total",
+          method: "Metode",
+          source: "Sumber",
+          calls: "Panggilan",
+          totalTime: "Total (ms)",
+          meanTime: "Rata-rata (ms)",
+          maxTime: "Maks (ms)",
+          rowsSent: "Baris Dikirim",
+          rowsExamined: "Baris Diperiksa",
+          noIndexUsed: "Tanpa Index",
+          blocksRead: "Blok Dibaca",
+          blocksHit: "Blok Cache",
+          p95Time: "P95 (ms)",
+          percent: "% Waktu"
+        },
+        mode: {
+          label: "Mode analisis:",
+          plan: "hanya rencana (EXPLAIN, query tidak dieksekusi)",
+          analyze: "EXPLAIN ANALYZE di dalam transaksi yang di-rollback",
+          execute: "EXPLAIN ANALYZE dengan eksekusi sungguhan",
+          estimateNote: "Jumlah baris adalah estimasi planner; pemeriksaan yang membutuhkan data runtime (spill ke disk, jumlah loop) dilewati.",
+          offline: "output EXPLAIN tersimpan, dianalisis tanpa koneksi database"
+        },
+        fingerprint: {
+          label: "Fingerprint:",
+          canonical: "Query ternormalisasi:"
+        },
+        recommendation: {
+          source: "Sumber:",
+          suggestion: "Saran:",
+          impact: "Dampak:",
+          implementation: "Langkah implementasi:"
+        },
+        batch: {
+          failed: "Analisis gagal:",
+          counts: ({ analyzed, total, failed }) => `${analyzed} dari ${total} statement dianalisis, ${failed} gagal`
         },
         noData: {
           plan: "Tidak ada rencana eksekusi tersedia",
           stats: "Tidak ada statistik tersedia",
           indexes: "Tidak ada index ditemukan",
           recommendations: "Tidak ada rekomendasi tersedia."
+        },
+        plan: {
+          planningTime: ({ ms }) => `Waktu perencanaan: ${ms} ms`,
+          executionTime: ({ ms }) => `Waktu eksekusi: ${ms} ms`,
+          highlightNote: ({ measure }) => `Disorot: node termahal berdasarkan ${measure} di node itu sendiri`,
+          time: "waktu",
+          cost: "estimasi biaya"
+        },
+        comparison: {
+          title: "Perbandingan Rencana",
+          before: "Sebelum",
+          after: "Sesudah",
+          metric: "Metrik",
+          change: "Perubahan",
+          estimatedCost: "Estimasi biaya",
+          planningTime: "Waktu perencanaan (ms)",
+          executionTime: "Waktu eksekusi (ms)",
+          recommendations: "Rekomendasi",
+          accessMethods: "Metode Akses yang Berubah",
+          joins: "Join yang Berubah",
+          planTree: "Pohon Rencana",
+          iteratorTree: "Pohon Iterator",
+          appeared: "Rekomendasi Baru",
+          disappeared: "Rekomendasi yang Teratasi",
+          notRead: "tidak dibaca",
+          noChanges: "Tidak ada perubahan",
+          unchanged: ({ count }) => `${count} rekomendasi ditemukan di kedua analisis`
+        },
+        history: {
+          title: "Riwayat Analisis",
+          empty: ({ file }) => `Belum ada run yang tercatat di ${file}`,
+          fingerprint: "Fingerprint",
+          profile: "Profil",
+          runs: "Jumlah Run",
+          lastRun: "Run Terakhir",
+          run: "Run",
+          target: "Database",
+          mode: "Mode",
+          status: "Status",
+          offline: "rencana tersimpan",
+          baseline: "baseline",
+          ok: "OK",
+          costRegression: ({ percent }) => `biaya +${percent}%`,
+          planChanged: "rencana berubah",
+          shapeChanges: "Perubahan rencana sejak baseline:"
+        },
+        slowLog: {
+          title: "Slow Query Log",
+          formats: {
+            mysql: "slow query log MySQL",
+            postgresql: "log PostgreSQL"
+          },
+          summary: ({ format, files, entries, statements, totalTimeMs }) =>
+            `${format} (${files}): ${entries} entri, ${statements} statement berbeda, total ${totalTimeMs} ms`,
+          empty: "Log tidak berisi statement dengan durasi",
+          skipped: "Tidak dianalisis:",
+          statement: ({ rank }) => `Statement #${rank}`
         }
       },
       errors: {
         analysis: "Error selama analisis:",
         display: "Error menampilkan hasil:",
         emptyQuery: "Query tidak boleh kosong",
+        missingOption: ({ option }) => `Nilai untuk --${option} tidak ada dan prompt interaktif dinonaktifkan`,
+        readFile: ({ file, message }) => `Tidak dapat membaca file query ${file}: ${message}`,
+        readPlan: ({ file, message }) => `Tidak dapat membaca rencana tersimpan ${file}: ${message}`,
+        readSnapshot: ({ file, message }) => `Tidak dapat membaca snapshot ${file}: ${message}`,
+        readInput: ({ file, message }) => `Tidak dapat membaca ${file}: ${message}`,
+        compareBatch: ({ file, count }) => `${file} berisi ${count} statement yang dianalisis; compare membutuhkan laporan dari satu statement`,
+        compareStatements: ({ file, count }) => `${file} berisi ${count} statement; compare membutuhkan file query dengan satu statement`,
+        readHistory: ({ file, message }) => `Tidak dapat membaca riwayat ${file}: ${message}`,
+        readSlowLog: ({ file, message }) => `Tidak dapat membaca slow query log ${file}: ${message}`,
         connection: {
           solutions: {
             title: "Solusi yang mungkin:",
@@ -348,9 +909,16 @@ const translations = {
         errors: {
             recommendations: "Error menghasilkan rekomendasi: "
         },
+        verification: {
+            hypopgMissing: "HypoPG tidak terpasang di database ini (CREATE EXTENSION hypopg); saran index tidak diverifikasi",
+            invisibleIndexesUnsupported: "Invisible index membutuhkan MySQL 8.0; saran index tidak diverifikasi",
+            failed: "Gagal memverifikasi saran index:",
+            dropFailed: ({ statement }) => `Tidak dapat menghapus index yang dibuat untuk verifikasi; jalankan ${statement} secara manual:`,
+            restoreSwitchFailed: "Tidak dapat mengembalikan optimizer_switch setelah memverifikasi saran index:"
+        },
         recommendations: {
             tableScan: {
-                message: (tableName) => `Full table scan terdeteksi pada tabel ${tableName}`,
+                message: ({ tableName }) => `Full table scan terdeteksi pada tabel ${tableName}`,
                 suggestion: "Pertimbangkan untuk menambahkan indeks yang sesuai",
                 impact: "Full table scan dapat berdampak signifikan pada kinerja query",
                 implementation: {
@@ -360,7 +928,7 @@ const translations = {
                 }
             },
             accessType: {
-                message: (type) => `Tipe akses suboptimal '${type}' terdeteksi`,
+                message: ({ type }) => `Tipe akses suboptimal '${type}' terdeteksi`,
                 suggestion: "Tingkatkan metode akses tabel",
                 impact: "Metode akses saat ini dapat mengakibatkan kinerja buruk",
                 implementation: {
@@ -430,7 +998,7 @@ const translations = {
                 }
             },
             largeSort: {
-                message: (rows) => `Operasi pengurutan besar terdeteksi (${rows} baris)`,
+                message: ({ rows }) => `Operasi pengurutan besar terdeteksi (${rows} baris)`,
                 suggestion: "Optimalkan pengurutan untuk hasil yang besar",
                 impact: "Mengurutkan hasil yang besar dapat mengonsumsi banyak memori dan CPU",
                 implementation: {
@@ -481,7 +1049,7 @@ const translations = {
                 }
             },
             largeTableScan: {
-                message: (rows) => `Pemindaian tabel besar terdeteksi (${rows} baris)`,
+                message: ({ rows }) => `Pemindaian tabel besar terdeteksi (${rows} baris)`,
                 suggestion: "Optimalkan pola akses untuk tabel besar",
                 impact: "Memindai tabel besar dapat sangat mempengaruhi kinerja",
                 implementation: {
@@ -529,6 +1097,238 @@ const translations = {
                     ensure: "Pastikan penggunaan kunci partisi dalam query",
                     consider: "Pertimbangkan strategi partisi alternatif"
                 }
+            },
+            // PostgreSQL plan node rules
+            sequentialScan: {
+                message: ({ tableName }) => `Sequential scan terdeteksi pada tabel ${tableName}`,
+                suggestion: "Pertimbangkan menambahkan indeks untuk kolom yang difilter",
+                impact: "Sequential scan membaca setiap baris tabel dan melambat seiring pertumbuhan tabel",
+                implementation: {
+                    createIndex: "Buat indeks pada kolom yang digunakan di kondisi WHERE dan JOIN",
+                    analyzeTable: "Jalankan ANALYZE agar planner memiliki statistik terbaru",
+                    reviewWhere: "Tinjau klausa WHERE untuk kondisi yang tidak dapat memakai indeks"
+                }
+            },
+            inefficientIndexScan: {
+                message: "Index scan mengembalikan banyak baris tanpa kondisi indeks",
+                suggestion: "Buat index scan lebih selektif",
+                impact: "Menelusuri sebagian besar indeks dengan akses heap acak bisa lebih lambat dari sequential scan",
+                implementation: {
+                    reviewIndex: "Tinjau apakah indeks sesuai dengan filter query",
+                    considerBitmap: "Pertimbangkan bitmap index scan untuk hasil yang besar",
+                    checkStats: "Pastikan statistik tabel sudah terbaru"
+                }
+            },
+            expensiveNestedLoop: {
+                message: "Nested loop join memproses banyak baris",
+                suggestion: "Optimalkan strategi join",
+                impact: "Nested loop memindai ulang sisi dalam untuk setiap baris luar",
+                implementation: {
+                    createIndex: "Buat indeks pada kolom join sisi dalam",
+                    useHash: "Periksa mengapa hash join atau merge join tidak dipilih",
+                    rewriteJoin: "Pertimbangkan menulis ulang kondisi join"
+                }
+            },
+            hashSpill: {
+                message: "Tabel hash dipecah menjadi beberapa batch",
+                suggestion: "Berikan lebih banyak memori untuk hash join",
+                impact: "Hash join dengan batch menulis ke file temporary dan berjalan lebih lambat",
+                implementation: {
+                    increaseMemory: "Naikkan work_mem untuk query atau sesi ini",
+                    optimizeJoin: "Kurangi baris yang masuk ke sisi hash dari join",
+                    partitionData: "Pertimbangkan partisi pada tabel yang lebih besar"
+                }
+            },
+            tempFiles: {
+                message: "Operasi meluap ke file temporary di disk",
+                suggestion: "Hindari sort dan hash yang meluap ke disk",
+                impact: "I/O file temporary jauh lebih lambat daripada pemrosesan di memori",
+                implementation: {
+                    increaseMemory: "Naikkan work_mem untuk query atau sesi ini",
+                    optimizeQuery: "Kurangi jumlah data yang diurutkan atau di-hash",
+                    useIndexes: "Gunakan indeks yang mengembalikan baris dalam urutan yang dibutuhkan"
+                }
+            },
+            missingJoinIndex: {
+                message: "Hash join pada kondisi non-ekualitas",
+                suggestion: "Tinjau kondisi join dan indeks pendukungnya",
+                impact: "Join tanpa kondisi ekualitas yang dapat dipakai membandingkan banyak pasangan baris",
+                implementation: {
+                    createIndex: "Buat indeks pada kolom join",
+                    analyzeJoin: "Analisis apakah kondisi join dapat dinyatakan sebagai ekualitas",
+                    considerFK: "Pertimbangkan foreign key dengan indeks yang sesuai"
+                }
+            },
+            outdatedStats: {
+                message: "Perencanaan query memakan waktu sangat lama",
+                suggestion: "Perbarui statistik planner",
+                impact: "Waktu perencanaan yang lama sering menandakan katalog yang membengkak atau statistik usang",
+                implementation: {
+                    runAnalyze: "Jalankan ANALYZE pada tabel yang terlibat",
+                    autoVacuum: "Periksa pengaturan autovacuum dan autoanalyze",
+                    monitoring: "Pantau waktu perencanaan untuk query ini"
+                }
+            },
+            missedParallel: {
+                message: "Scan mahal berjalan tanpa worker paralel",
+                suggestion: "Pertimbangkan eksekusi query paralel",
+                impact: "Scan besar dapat selesai lebih cepat bila dibagi ke beberapa worker",
+                implementation: {
+                    enableParallel: "Periksa max_parallel_workers_per_gather",
+                    adjustSettings: "Tinjau parallel_setup_cost dan parallel_tuple_cost",
+                    reviewQuery: "Periksa fungsi atau konstruksi yang mencegah paralelisme"
+                }
+            },
+            ineffectivePartition: {
+                message: "Tidak ada partisi yang dipangkas",
+                suggestion: "Buat pemangkasan partisi efektif",
+                impact: "Memindai setiap partisi menghilangkan manfaat partisi",
+                implementation: {
+                    reviewStrategy: "Tinjau strategi partisi",
+                    addConstraints: "Filter pada kunci partisi di dalam query",
+                    optimizeKeys: "Hindari ekspresi pada kunci partisi"
+                }
+            },
+            cteMaterialization: {
+                message: "CTE dipindai lebih dari sekali",
+                suggestion: "Tinjau materialisasi CTE",
+                impact: "CTE yang dimaterialisasi menjadi batas optimasi",
+                implementation: {
+                    materialize: "Gunakan MATERIALIZED / NOT MATERIALIZED secara eksplisit",
+                    analyzeUsage: "Analisis seberapa sering CTE direferensikan",
+                    considerTemp: "Pertimbangkan tabel temporary untuk hasil antara yang besar"
+                }
+            },
+            inefficientAggregate: {
+                message: "Agregasi terurut atas banyak baris",
+                suggestion: "Optimalkan strategi pengelompokan",
+                impact: "Group aggregate membutuhkan input terurut, yang mungkin memerlukan sort mahal",
+                implementation: {
+                    useHash: "Periksa apakah hash aggregate muat di work_mem",
+                    addIndexes: "Tambahkan indeks yang sesuai dengan kolom GROUP BY",
+                    restructure: "Kurangi baris sebelum agregasi"
+                }
+            },
+            aggregateSpill: {
+                message: "Hash aggregate meluap ke disk",
+                suggestion: "Jaga hash aggregate tetap di memori",
+                impact: "Agregat yang meluap menulis ke file temporary dan berjalan lebih lambat",
+                implementation: {
+                    increaseWork: "Naikkan work_mem atau hash_mem_multiplier",
+                    limitGroups: "Kurangi jumlah grup",
+                    useIndexes: "Gunakan indeks agar dapat memakai agregat terurut"
+                }
+            },
+            missedMaterialization: {
+                message: "Node rencana dieksekusi berkali-kali",
+                suggestion: "Pertimbangkan materialisasi pekerjaan yang berulang",
+                impact: "Mengeksekusi ulang subtree yang sama mengulang biayanya di setiap loop",
+                implementation: {
+                    addMaterialize: "Periksa apakah node Materialize dapat menyimpan hasilnya",
+                    analyzeMemory: "Periksa pengaturan memori yang memengaruhi materialisasi",
+                    considerCTE: "Pertimbangkan menghitung hasil sekali dalam CTE"
+                }
+            },
+            rowMisestimate: {
+                message: ({ operation, estimated, actual }) => `Estimasi baris jauh meleset untuk '${operation}' (estimasi ${estimated}, aktual ${actual})`,
+                suggestion: "Berikan statistik yang lebih baik kepada optimizer untuk kolom yang terlibat",
+                impact: "Estimasi baris yang salah menghasilkan urutan join dan metode akses yang buruk",
+                implementation: {
+                    analyzeTable: "Jalankan ANALYZE TABLE untuk memperbarui statistik index",
+                    histogram: "Tambahkan histogram dengan ANALYZE TABLE ... UPDATE HISTOGRAM ON untuk kolom filter tanpa index",
+                    rewrite: "Hindari fungsi dan konversi implisit pada kolom yang difilter"
+                }
+            },
+            expensiveIterator: {
+                message: ({ operation, time, share }) => `'${operation}' adalah langkah termahal (${time} ms, ${share}% dari waktu eksekusi)`,
+                suggestion: "Fokuskan tuning pada langkah rencana ini terlebih dahulu",
+                impact: "Sebagian besar waktu query dihabiskan di iterator ini",
+                implementation: {
+                    focus: "Periksa berapa banyak baris yang mencapai langkah ini dan seberapa sering diulang (loops)",
+                    indexes: "Tambahkan atau sesuaikan index agar langkah ini membaca lebih sedikit baris",
+                    reduceRows: "Saring baris lebih awal atau batasi hasil query"
+                }
+            },
+            dmlUnindexedWhere: {
+                message: ({ statement, tableName, rows }) => `${statement} pada ${tableName} (${rows} baris) mencari barisnya tanpa index`,
+                suggestion: "Buat index untuk kolom pada klausa WHERE statement tersebut",
+                impact: "Setiap eksekusi membaca seluruh tabel serta menahan lock dan transaksi lebih lama",
+                implementation: {
+                    addIndex: "Buat index pada kolom yang digunakan untuk mencari baris yang diubah",
+                    batch: "Ubah baris dalam jumlah besar secara bertahap (batch kecil)",
+                    primaryKey: "Pilih primary key terlebih dahulu lalu ubah baris berdasarkan key"
+                }
+            },
+            dmlLockingScan: {
+                message: ({ statement, tableName }) => `${statement} memindai setiap baris ${tableName} dan mengunci setiap baris yang dibaca`,
+                suggestion: "Biarkan statement mencapai barisnya melalui index",
+                impact: "InnoDB mengunci baris yang dibaca statement pengubah data, sehingga menghambat penulisan lain ke seluruh tabel",
+                implementation: {
+                    addIndex: "Tambahkan index untuk kondisi join dan WHERE",
+                    batch: "Ubah baris dalam jumlah besar secara bertahap (batch kecil)",
+                    isolation: "Untuk INSERT ... SELECT, pertimbangkan READ COMMITTED agar baris sumber tidak dikunci"
+                }
+            },
+            selectStar: {
+                message: "SELECT * membaca semua kolom tabel",
+                suggestion: "Sebutkan hanya kolom yang digunakan aplikasi",
+                impact: "Kolom tambahan menambah I/O dan transfer jaringan, mencegah covering index, dan mengubah hasil saat tabel berubah",
+                implementation: "Ganti * dengan daftar kolom"
+            },
+            leadingWildcard: {
+                message: ({ pattern }) => `LIKE '${pattern}' diawali wildcard`,
+                suggestion: "Cari berdasarkan awalan, atau gunakan index full-text atau trigram",
+                impact: "Pola yang diawali % tidak dapat menggunakan index B-tree, sehingga setiap baris dibandingkan",
+                implementation: "MySQL: index FULLTEXT dengan MATCH ... AGAINST; PostgreSQL: index GIN pg_trgm"
+            },
+            functionOnColumn: {
+                message: ({ functionName, column }) => `${functionName} diterapkan pada kolom ${column} dalam kondisi`,
+                suggestion: "Bandingkan kolom apa adanya, mis. ubah DATE(col) = d menjadi rentang pada col",
+                impact: "Index pada kolom tidak dapat digunakan ketika kondisi mengubah nilai kolom",
+                implementation: "Tulis ulang kondisi, atau tambahkan expression index (PostgreSQL, MySQL 8.0.13+) pada ekspresi yang sama"
+            },
+            implicitCast: {
+                message: ({ column, columnType, otherType }) => `Kolom ${column} (${columnType}) dibandingkan dengan ${otherType}`,
+                suggestion: "Bandingkan dengan nilai bertipe sama dengan kolom",
+                impact: "Kolom dikonversi pada setiap baris, sehingga index-nya tidak dapat digunakan",
+                implementation: "Beri tanda kutip pada nilai, atau samakan tipe data kedua kolom join"
+            },
+            orAcrossColumns: {
+                message: ({ columns }) => `OR menggabungkan kondisi pada kolom berbeda (${columns})`,
+                suggestion: "Pecah query menjadi UNION satu query per kondisi, atau pastikan setiap kolom memiliki index",
+                impact: "Satu index tidak dapat melayani kondisi pada kolom berbeda yang digabung OR, sering berujung full scan",
+                implementation: "Tulis ulang sebagai SELECT ... WHERE a = ? UNION SELECT ... WHERE b = ?"
+            },
+            notInSubquery: {
+                message: "NOT IN digunakan dengan subquery yang kolomnya dapat bernilai NULL",
+                suggestion: "Gunakan NOT EXISTS",
+                impact: "Jika subquery mengembalikan satu NULL saja, NOT IN tidak cocok dengan baris mana pun",
+                implementation: "Tulis ulang sebagai WHERE NOT EXISTS (SELECT 1 FROM ... WHERE ... = outer.column)"
+            },
+            orderWithoutLimit: {
+                message: "ORDER BY mengurutkan seluruh hasil tanpa LIMIT",
+                suggestion: "Tambahkan LIMIT jika hanya baris pertama yang dibutuhkan",
+                impact: "Tanpa batas, setiap baris harus diurutkan sebelum baris pertama dikembalikan",
+                implementation: "Tambahkan LIMIT, atau hapus ORDER BY jika urutan tidak penting"
+            },
+            havingWithoutAggregate: {
+                message: "Kondisi HAVING tidak menggunakan agregat",
+                suggestion: "Pindahkan kondisi ke WHERE",
+                impact: "HAVING menyaring setelah pengelompokan, sehingga baris yang dibuang tetap dibaca dan dikelompokkan",
+                implementation: "Pindahkan kondisi pada kolom biasa ke klausa WHERE"
+            },
+            indexSuggestion: {
+                message: ({ tableName, columns }) => `Index pada ${tableName} (${columns}) akan melayani kondisi dan pengurutan query ini`,
+                coveringMessage: ({ tableName, columns }) => `Covering index pada ${tableName} (${columns}) memungkinkan query hanya membaca index`,
+                suggestion: ({ ddl }) => `Buat index: ${ddl}`,
+                measured: ({ before, after, percent }) => `Dengan index ini estimasi biaya turun dari ${before} menjadi ${after} (${percent}% lebih rendah)`,
+                impact: "Kolom kunci disusun dari kondisi kesamaan, lalu rentang, lalu pengurutan, sehingga index dapat langsung menuju baris dan mengembalikannya secara berurutan",
+                implementation: {
+                    review: "Pastikan query cukup sering dijalankan untuk sebanding dengan biaya penulisan tambahan",
+                    mysqlOnline: "InnoDB membangun index secara online, tetapi tabel besar tetap membutuhkan waktu dan ruang disk",
+                    postgresConcurrently: "CONCURRENTLY menjaga tabel tetap dapat ditulis tetapi tidak dapat dijalankan di dalam blok transaksi",
+                    verify: "Jalankan analisis lagi untuk memastikan plan menggunakan index baru"
+                }
             }
         }
       }
@@ -0,0 +1,403 @@
+// lib/utils/args.js
+const ExitCodes = require('./exitCodes');
+const { AnalysisModes, isAnalysisMode } = require('../analyzers/analysisModes');
+const { Severities, isSeverity } = require('../analyzers/severity');
+const { DEFAULT_HISTORY_FILE } = require('./history');
+
+const DB_TYPES = {
+    mysql: 'MySQL',
+    postgres: 'PostgreSQL',
+    postgresql: 'PostgreSQL',
+    pg: 'PostgreSQL'
+};
+
+const LANGUAGES = ['en', 'id'];
+
+const FORMATS = ['terminal', 'json', 'html', 'markdown', 'sarif', 'junit'];
+
+// What discover ranks the statements by; each source offers some of these
+const DISCOVER_SORTS = ['total', 'mean', 'p95', 'calls', 'reads', 'examined', 'no-index'];
+
+// What slowlog ranks the statements by; PostgreSQL logs have no rows examined
+const SLOWLOG_SORTS = ['total', 'mean', 'p95', 'calls', 'examined'];
+
+// Formats that can show a comparison or the history
+const COMMAND_FORMATS = ['terminal', 'json'];
+
+const OPTIONS = {
+    url: { type: 'string', value: 'dsn', description: 'Connection URL, e.g. postgres://user@host:5432/db?schema=public' },
+    profile: { type: 'string', value: 'name', description: 'Connection profile from .queryistrc / queryist.config.json' },
+    db: { type: 'string', value: 'type', description: 'Database type: mysql | postgres' },
+    host: { type: 'string', value: 'host', description: 'Database host (default: localhost)' },
+    port: { type: 'string', value: 'port', description: 'Database port (default: 3306 / 5432)' },
+    user: { type: 'string', value: 'name', description: 'Database username (default: root / postgres)' },
+    database: { type: 'string', value: 'name', description: 'Database to analyze against' },
+    schema: { type: 'string', value: 'name', description: 'PostgreSQL schema (default: public)' },
+    lang: { type: 'string', value: 'code', description: 'Output language: en | id (default: en)' },
+    mode: { type: 'string', value: 'mode', description: 'Analysis depth: plan | analyze | execute (default: plan)' },
+    query: { type: 'string', alias: 'q', value: 'sql', description: 'SQL query to analyze' },
+    file: { type: 'string', alias: 'f', value: 'path', description: 'Read the SQL query from a file' },
+    plan: { type: 'string', value: 'path', description: 'Analyze saved EXPLAIN output (- for stdin) without connecting to a database' },
+    snapshot: { type: 'string', value: 'path', description: 'Schema and statistics snapshot (JSON or a queryist JSON report) for --plan' },
+    format: { type: 'string', value: 'format', description: 'Report format: terminal | json | html | markdown | sarif | junit (default: terminal)' },
+    output: { type: 'string', alias: 'o', value: 'path', description: 'Write the report to a file instead of stdout (not for terminal)' },
+    'fail-on': { type: 'string', value: 'severity', description: `Exit with code ${ExitCodes.FINDINGS} when a recommendation is this severe or worse: ${Severities.join(' | ')}` },
+    'history-file': { type: 'string', value: 'path', description: `Analysis history to record runs in and read (default: ${DEFAULT_HISTORY_FILE})` },
+    'no-history': { type: 'boolean', description: 'Do not record this analysis in the history' },
+    baseline: { type: 'boolean', description: 'history: mark the latest run of the query as the baseline' },
+    sort: { type: 'string', value: 'order', description: `discover, slowlog: rank statements by ${DISCOVER_SORTS.join(' | ')} (default: total)` },
+    limit: { type: 'string', value: 'n', description: 'discover, slowlog: number of statements to list (default: 20)' },
+    pick: { type: 'string', value: 'ranks', description: 'discover: ranks of the statements to analyze, e.g. 1,3 (instead of the prompt)' },
+    'slow-log': { type: 'string', value: 'path', description: 'discover: rank the statements of a MySQL slow query log instead of performance_schema' },
+    'analyze-top': { type: 'string', value: 'n', description: 'slowlog: connect and analyze the samples of the top n statements' },
+    'all-tables': { type: 'boolean', description: 'Report statistics and indexes for every table in the schema, not only those the query uses' },
+    'verify-indexes': { type: 'boolean', description: 'Plan the statement with each suggested index (HypoPG / MySQL 8 invisible index) and keep only those that lower the cost' },
+    'password-stdin': { type: 'boolean', description: 'Read the database password from stdin' },
+    'no-interactive': { type: 'boolean', description: 'Never prompt; fail when a required value is missing' },
+    help: { type: 'boolean', alias: 'h', description: 'Show this help and exit' }
+};
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+        this.exitCode = ExitCodes.USAGE;
+    }
+}
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function findOption(token) {
+    if (token.startsWith('--')) {
+        const name = token.slice(2);
+        return OPTIONS[name] ? name : null;
+    }
+    const alias = token.slice(1);
+    return Object.keys(OPTIONS).find(name => OPTIONS[name].alias === alias) || null;
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const eqIndex = arg.indexOf('=');
+        const token = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+        const name = findOption(token);
+        if (!name) {
+            throw new UsageError(`Unknown option: ${token}`);
+        }
+
+        const spec = OPTIONS[name];
+        const key = toCamelCase(name);
+
+        if (spec.type === 'boolean') {
+            if (eqIndex !== -1) {
+                throw new UsageError(`Option --${name} does not take a value`);
+            }
+            options[key] = true;
+            continue;
+        }
+
+        let value;
+        if (eqIndex !== -1) {
+            value = arg.slice(eqIndex + 1);
+        } else if (i + 1 < argv.length) {
+            value = argv[++i];
+        } else {
+            throw new UsageError(`Option --${name} requires a value`);
+        }
+        options[key] = value;
+    }
+
+    return validateOptions(options, positionals);
+}
+
+function validateOptions(options, positionals) {
+    if (positionals[0] === 'compare') {
+        return validateCompareOptions(options, positionals.slice(1));
+    }
+    if (positionals[0] === 'history') {
+        return validateHistoryOptions(options, positionals.slice(1));
+    }
+    if (positionals[0] === 'discover') {
+        return validateDiscoverOptions(options, positionals.slice(1));
+    }
+    if (positionals[0] === 'slowlog') {
+        return validateSlowLogOptions(options, positionals.slice(1));
+    }
+
+    if (positionals.length > 1) {
+        throw new UsageError(`Unexpected arguments: ${positionals.slice(1).join(' ')}`);
+    }
+
+    if (positionals.length === 1) {
+        if (options.file) {
+            throw new UsageError('Specify the query file either as an argument or with --file, not both');
+        }
+        options.file = positionals[0];
+    }
+
+    if (options.query !== undefined && options.file) {
+        throw new UsageError('Options --query and --file cannot be used together');
+    }
+
+    if (options.db !== undefined) {
+        const dbType = DB_TYPES[options.db.toLowerCase()];
+        if (!dbType) {
+            throw new UsageError(`Unsupported database type '${options.db}' (expected mysql or postgres)`);
+        }
+        options.db = dbType;
+    }
+
+    if (options.lang !== undefined && !LANGUAGES.includes(options.lang)) {
+        throw new UsageError(`Unsupported language '${options.lang}' (expected ${LANGUAGES.join(' or ')})`);
+    }
+
+    if (options.mode !== undefined && !isAnalysisMode(options.mode)) {
+        throw new UsageError(`Unsupported analysis mode '${options.mode}' (expected ${Object.values(AnalysisModes).join(', ')})`);
+    }
+
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+        throw new UsageError(`Unsupported format '${options.format}' (expected ${FORMATS.join(', ')})`);
+    }
+
+    if (options.output !== undefined && (options.format || 'terminal') === 'terminal') {
+        throw new UsageError('Option --output needs a --format other than terminal');
+    }
+
+    if (options.failOn !== undefined) {
+        options.failOn = options.failOn.toUpperCase();
+        if (!isSeverity(options.failOn)) {
+            throw new UsageError(`Unsupported severity '${options.failOn}' (expected ${Severities.join(', ')})`);
+        }
+    }
+
+    if (options.snapshot !== undefined && options.plan === undefined && options.command !== 'compare') {
+        throw new UsageError('Option --snapshot needs --plan or compare');
+    }
+
+    if (options.plan !== undefined && options.verifyIndexes) {
+        throw new UsageError('Option --verify-indexes needs a database connection and cannot be used with --plan');
+    }
+
+    if (options.plan === '-' && options.passwordStdin) {
+        throw new UsageError('Options --plan - and --password-stdin both read stdin');
+    }
+
+    if (options.baseline && options.command !== 'history') {
+        throw new UsageError('Option --baseline can only be used with history');
+    }
+
+    const rankingOption = ['sort', 'limit'].find(name => options[name] !== undefined);
+    if (rankingOption && options.command !== 'discover' && options.command !== 'slowlog') {
+        throw new UsageError(`Option --${rankingOption} can only be used with discover or slowlog`);
+    }
+
+    const discoverOption = ['pick', 'slow-log'].find(name => options[toCamelCase(name)] !== undefined);
+    if (discoverOption && options.command !== 'discover') {
+        throw new UsageError(`Option --${discoverOption} can only be used with discover`);
+    }
+
+    if (options.analyzeTop !== undefined && options.command !== 'slowlog') {
+        throw new UsageError('Option --analyze-top can only be used with slowlog');
+    }
+
+    if (options.port !== undefined && !/^\d+$/.test(options.port)) {
+        throw new UsageError(`Invalid port '${options.port}'`);
+    }
+
+    return options;
+}
+
+// compare <before> <after>: each input is a JSON report, a saved plan or a query file
+function validateCompareOptions(options, inputs) {
+    if (inputs.length !== 2) {
+        throw new UsageError('compare needs two inputs: <before> <after>');
+    }
+    if (options.plan !== undefined) {
+        throw new UsageError('Option --plan cannot be used with compare; pass saved plans as inputs');
+    }
+    if (options.format !== undefined && !COMMAND_FORMATS.includes(options.format)) {
+        throw new UsageError(`Unsupported format '${options.format}' for compare (expected ${COMMAND_FORMATS.join(' or ')})`);
+    }
+
+    options.command = 'compare';
+    options.inputs = inputs;
+    return validateOptions(options, []);
+}
+
+// history [query-file]: the runs of one query, or every query without one
+function validateHistoryOptions(options, positionals) {
+    if (options.plan !== undefined) {
+        throw new UsageError('Option --plan cannot be used with history');
+    }
+    if (options.format !== undefined && !COMMAND_FORMATS.includes(options.format)) {
+        throw new UsageError(`Unsupported format '${options.format}' for history (expected ${COMMAND_FORMATS.join(' or ')})`);
+    }
+
+    options.command = 'history';
+    validateOptions(options, positionals);
+
+    if (options.baseline && options.query === undefined && !options.file) {
+        throw new UsageError('Option --baseline needs the query, as an argument or with --query / --file');
+    }
+    return options;
+}
+
+// discover: rank the statements the server has run and analyze the chosen ones
+function validateDiscoverOptions(options, positionals) {
+    if (positionals.length > 0) {
+        throw new UsageError(`Unexpected arguments: ${positionals.join(' ')}`);
+    }
+    const source = ['plan', 'query', 'file'].find(name => options[name] !== undefined);
+    if (source) {
+        throw new UsageError(`Option --${source} cannot be used with discover`);
+    }
+
+    if (options.sort !== undefined && !DISCOVER_SORTS.includes(options.sort)) {
+        throw new UsageError(`Unsupported sort order '${options.sort}' (expected ${DISCOVER_SORTS.join(', ')})`);
+    }
+    if (options.limit !== undefined) {
+        options.limit = positiveInteger('limit', options.limit);
+    }
+    if (options.pick !== undefined) {
+        const ranks = options.pick.split(',').map(rank => rank.trim());
+        if (ranks.some(rank => !/^[1-9]\d*$/.test(rank))) {
+            throw new UsageError(`Invalid ranks '${options.pick}' (expected e.g. 1,3)`);
+        }
+        options.pick = ranks.map(Number);
+    }
+
+    options.command = 'discover';
+    return validateOptions(options, []);
+}
+
+// slowlog <log-file>...: rank the statements of slow query logs, optionally analyzing the top ones
+function validateSlowLogOptions(options, files) {
+    if (files.length === 0) {
+        throw new UsageError('slowlog needs at least one log file');
+    }
+    const source = ['plan', 'query', 'file'].find(name => options[name] !== undefined);
+    if (source) {
+        throw new UsageError(`Option --${source} cannot be used with slowlog`);
+    }
+    if (options.format !== undefined && !COMMAND_FORMATS.includes(options.format)) {
+        throw new UsageError(`Unsupported format '${options.format}' for slowlog (expected ${COMMAND_FORMATS.join(' or ')})`);
+    }
+
+    if (options.sort !== undefined && !SLOWLOG_SORTS.includes(options.sort)) {
+        throw new UsageError(`Unsupported sort order '${options.sort}' (expected ${SLOWLOG_SORTS.join(', ')})`);
+    }
+    if (options.limit !== undefined) {
+        options.limit = positiveInteger('limit', options.limit);
+    }
+    if (options.analyzeTop !== undefined) {
+        options.analyzeTop = positiveInteger('analyze-top', options.analyzeTop);
+    }
+
+    options.command = 'slowlog';
+    options.inputs = files;
+    return validateOptions(options, []);
+}
+
+function positiveInteger(option, value) {
+    if (!/^[1-9]\d*$/.test(value)) {
+        throw new UsageError(`Invalid value '${value}' for --${option} (expected a positive number)`);
+    }
+    return Number(value);
+}
+
+function usage() {
+    const lines = Object.entries(OPTIONS).map(([name, spec]) => {
+        const flags = [spec.alias ? `-${spec.alias},` : '   ', `--${name}`];
+        if (spec.value) flags.push(`<${spec.value}>`);
+        return `  ${flags.join(' ').padEnd(30)} ${spec.description}`;
+    });
+
+    return [
+        'Usage: db-analyzer [options] [query-file.sql]',
+        '       db-analyzer compare [options] <before> <after>',
+        '       db-analyzer history [options] [query-file.sql]',
+        '       db-analyzer discover [options]',
+        '       db-analyzer slowlog [options] <log-file>...',
+        '',
+        'Options:',
+        ...lines,
+        '',
+        'Any value that is not supplied is prompted for interactively. Explicit flags',
+        'override --url, which overrides the profile settings.',
+        'The password is read from --password-stdin, the URL or profile, then',
+        'QUERYIST_PASSWORD, MYSQL_PWD or PGPASSWORD.',
+        '',
+        'Analysis modes:',
+        '  plan     EXPLAIN only; the query is never executed',
+        '  analyze  EXPLAIN ANALYZE inside a transaction that is always rolled back',
+        '  execute  EXPLAIN ANALYZE without a transaction; statements that change data',
+        '           still run in one that is rolled back',
+        'MySQL needs 8.0.18 or later for EXPLAIN ANALYZE and falls back to estimates.',
+        '',
+        'Saved plans (--plan):',
+        '  PostgreSQL  EXPLAIN (FORMAT JSON), the text format, or an auto_explain log entry',
+        '  MySQL       EXPLAIN FORMAT=JSON, tabular EXPLAIN, FORMAT=TREE or EXPLAIN ANALYZE',
+        'The engine is detected from the output unless --db is given. The query comes',
+        'from --query / --file or, for auto_explain, from the log entry.',
+        '',
+        'Comparing analyses (compare):',
+        '  Each input is a queryist JSON report, saved EXPLAIN output, or a query file',
+        '  that is analyzed on the connection. The plans are aligned node by node and',
+        '  the changed access methods, joins, costs and recommendations are reported.',
+        '  --query / --file give the statement of saved plans that lack it, --snapshot',
+        '  their statistics; --fail-on applies to the new recommendations.',
+        '',
+        'Analysis history (history):',
+        `  Every analysis is recorded in ${DEFAULT_HISTORY_FILE} unless --no-history is`,
+        '  given. history lists the recorded queries, or the runs of one query per',
+        '  profile, and flags runs whose estimated cost rose or whose plan changed since',
+        '  the baseline: the run marked with --baseline, or else the first run.',
+        '',
+        'Discovering slow queries (discover):',
+        '  PostgreSQL: ranks the statements in pg_stat_statements by total or mean',
+        '  execution time, calls or shared blocks read (--sort reads). Parameters',
+        '  ($1, ...) get sample values from pg_stats or their type where possible.',
+        '  MySQL: ranks the statement digests in performance_schema (8.0.3 or later)',
+        '  by total or mean latency, calls, rows examined per row sent (--sort',
+        '  examined) or executions without an index (--sort no-index), and analyzes',
+        '  their sample statements. --slow-log ranks the statements of a slow query',
+        '  log instead, by all but no-index.',
+        '  The reports show the workload statistics of each chosen statement. Without',
+        '  a terminal, --pick names the statements to analyze.',
+        '',
+        'Slow query log reports (slowlog):',
+        '  Reads MySQL slow query logs or PostgreSQL logs written with',
+        '  log_min_duration_statement (stderr format or jsonlog) without connecting.',
+        '  The statements are grouped by fingerprint and ranked by total, mean or',
+        '  95th percentile time, calls, or rows examined per row sent (MySQL only).',
+        '  --db names the log format when it cannot be detected. --analyze-top n',
+        '  connects and analyzes the slowest sample of the top n statements.',
+        '',
+        'Exit codes:',
+        `  ${ExitCodes.SUCCESS}  analysis completed`,
+        `  ${ExitCodes.ANALYSIS_FAILED}  analysis failed`,
+        `  ${ExitCodes.USAGE}  invalid or missing options`,
+        `  ${ExitCodes.CONNECTION_FAILED}  could not connect to the database`,
+        `  ${ExitCodes.INPUT_ERROR}  query file could not be read or query is empty`,
+        `  ${ExitCodes.FINDINGS}  a recommendation reached the --fail-on severity`
+    ].join('\n');
+}
+
+module.exports = { parseArgs, usage, UsageError };
@@ -0,0 +1,138 @@
+// lib/utils/config.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseConnectionUrl } = require('./connection');
+
+const USER_CONFIG_FILE = '.queryistrc';
+const PROJECT_CONFIG_FILE = 'queryist.config.json';
+
+const DB_TYPES = {
+    mysql: 'MySQL',
+    postgres: 'PostgreSQL',
+    postgresql: 'PostgreSQL'
+};
+
+const PROFILE_FIELDS = ['url', 'db', 'host', 'port', 'user', 'password', 'passwordEnv', 'database', 'schema'];
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function readConfigFile(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new ConfigError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(`Invalid JSON in ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Load ~/.queryistrc and the project-level queryist.config.json. Profiles
+ * from the project file override user profiles with the same name.
+ */
+function loadConfig({ cwd = process.cwd(), homeDir = os.homedir() } = {}) {
+    const files = [
+        path.join(homeDir, USER_CONFIG_FILE),
+        path.join(cwd, PROJECT_CONFIG_FILE)
+    ];
+
+    const config = { defaultProfile: undefined, profiles: {}, files: [] };
+
+    for (const file of files) {
+        const content = readConfigFile(file);
+        if (!content) continue;
+
+        if (typeof content !== 'object' || Array.isArray(content)) {
+            throw new ConfigError(`${file} must contain a JSON object`);
+        }
+
+        config.files.push(file);
+        if (content.defaultProfile) config.defaultProfile = content.defaultProfile;
+        Object.entries(content.profiles || {}).forEach(([name, profile]) => {
+            config.profiles[name] = profile;
+        });
+    }
+
+    return config;
+}
+
+// Replace ${VAR} references with environment values so secrets stay out of the file
+function interpolateEnv(value, profileName, env) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, name) => {
+        if (env[name] === undefined) {
+            throw new ConfigError(`Profile '${profileName}' references unset environment variable ${name}`);
+        }
+        return env[name];
+    });
+}
+
+/**
+ * Resolve a named profile into connection settings in the shape of the CLI
+ * answers ({ dbType, host, port, username, password, database, schema }).
+ */
+function resolveProfile(config, profileName, env = process.env) {
+    if (!profileName) return {};
+
+    const profile = config.profiles[profileName];
+    if (!profile) {
+        const available = Object.keys(config.profiles);
+        throw new ConfigError(`Unknown profile '${profileName}'` +
+            (available.length ? ` (available: ${available.join(', ')})` : ' (no config file found)'));
+    }
+
+    const values = {};
+    PROFILE_FIELDS.forEach(field => {
+        if (profile[field] !== undefined) {
+            values[field] = interpolateEnv(String(profile[field]), profileName, env);
+        }
+    });
+
+    const settings = values.url ? parseConnectionUrl(values.url) : {};
+
+    if (values.db) {
+        const dbType = DB_TYPES[values.db.toLowerCase()];
+        if (!dbType) {
+            throw new ConfigError(`Profile '${profileName}' has unsupported db '${values.db}'`);
+        }
+        settings.dbType = dbType;
+    }
+
+    if (values.passwordEnv) {
+        if (env[values.passwordEnv] === undefined) {
+            throw new ConfigError(`Profile '${profileName}' references unset environment variable ${values.passwordEnv}`);
+        }
+        values.password = env[values.passwordEnv];
+    }
+
+    return {
+        ...settings,
+        ...definedOnly({
+            host: values.host,
+            port: values.port,
+            username: values.user,
+            password: values.password,
+            database: values.database,
+            schema: values.schema
+        })
+    };
+}
+
+function definedOnly(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = { loadConfig, resolveProfile, ConfigError, USER_CONFIG_FILE, PROJECT_CONFIG_FILE };
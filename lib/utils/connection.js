@@ -0,0 +1,67 @@
+// lib/utils/connection.js
+
+const PROTOCOLS = {
+    'mysql:': 'MySQL',
+    'mysql2:': 'MySQL',
+    'postgres:': 'PostgreSQL',
+    'postgresql:': 'PostgreSQL'
+};
+
+const DEFAULT_PORTS = {
+    MySQL: '3306',
+    PostgreSQL: '5432'
+};
+
+/**
+ * Parse a mysql:// or postgres:// connection URL into the same shape the CLI
+ * prompts produce ({ dbType, host, port, username, password, database, schema }).
+ * Only the parts present in the URL are set.
+ */
+function parseConnectionUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Invalid connection URL: ${redactUrl(url)}`);
+    }
+
+    const dbType = PROTOCOLS[parsed.protocol];
+    if (!dbType) {
+        throw new Error(`Unsupported connection URL scheme '${parsed.protocol}' (expected mysql:// or postgres://)`);
+    }
+
+    const config = { dbType };
+    if (parsed.hostname) config.host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (parsed.port) config.port = parsed.port;
+    if (parsed.username) config.username = decodeURIComponent(parsed.username);
+    if (parsed.password) config.password = decodeURIComponent(parsed.password);
+
+    const database = decodeURIComponent(parsed.pathname.replace(/^\//, ''));
+    if (database) config.database = database;
+
+    const schema = parsed.searchParams.get('schema') || parsed.searchParams.get('currentSchema');
+    if (schema) config.schema = schema;
+
+    return config;
+}
+
+// Hide the password part of a URL before it ends up in an error message or log
+function redactUrl(url) {
+    return String(url).replace(/(\/\/[^:/@]*:)[^@/]*@/, '$1***@');
+}
+
+/**
+ * Build the options object for mysql2 / pg from the CLI connection settings.
+ */
+function toDriverConfig(dbType, config, overrides = {}) {
+    return {
+        host: config.host === 'localhost' ? '127.0.0.1' : config.host,
+        port: config.port || DEFAULT_PORTS[dbType],
+        user: config.username,
+        password: config.password,
+        database: config.database,
+        ...overrides
+    };
+}
+
+module.exports = { parseConnectionUrl, redactUrl, toDriverConfig, DEFAULT_PORTS };
@@ -0,0 +1,16 @@
+// lib/utils/exitCodes.js
+
+// Process exit codes used by the CLI so scripts and CI jobs can tell
+// failure causes apart without parsing the output.
+const ExitCodes = {
+    SUCCESS: 0,
+    ANALYSIS_FAILED: 1,
+    USAGE: 2,
+    CONNECTION_FAILED: 3,
+    INPUT_ERROR: 4,
+    // A recommendation reached the --fail-on severity
+    FINDINGS: 5,
+    INTERRUPTED: 130
+};
+
+module.exports = ExitCodes;
@@ -0,0 +1,117 @@
+// lib/utils/history.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fingerprintQuery } = require('./sqlFingerprint');
+const { normalizePlan, normalizeIteratorPlan } = require('../analyzers/planNormalizer');
+
+// Analyses are appended to a JSON Lines file, one entry per line:
+//
+// { type: 'run', id, timestamp, fingerprint, profile, target, analysis }
+// { type: 'baseline', id, timestamp, run }       // marks a run as the baseline
+//
+// Runs are grouped by query fingerprint, connection profile and target, the
+// `host:port/database` a run used or `offline` for a saved plan. The file is
+// only ever appended to, so a baseline is a separate entry pointing at a run.
+
+const DEFAULT_HISTORY_FILE = path.join('.queryist', 'history.jsonl');
+const OFFLINE_TARGET = 'offline';
+
+function dialectOf(engine) {
+    return engine === 'mysql' ? 'mysql' : 'postgresql';
+}
+
+// What a run keeps of an analyzer result; the shape of a JSON report analysis
+// without the catalog, so runs can be passed to comparePlans
+function historyAnalysis(result) {
+    return {
+        engine: result.engine,
+        analysisMode: result.analysisMode ?? null,
+        offline: Boolean(result.offline),
+        query: result.query,
+        estimatedCost: result.estimatedCost ?? null,
+        planningTimeMs: result.executionPlan?.['Planning Time'] ?? null,
+        executionTimeMs: result.executionPlan?.['Execution Time'] ?? null,
+        plan: normalizePlan(result),
+        iteratorPlan: normalizeIteratorPlan(result),
+        recommendations: (result.recommendations || []).map(rec => ({
+            type: rec.type,
+            severity: rec.severity,
+            message: rec.message,
+            source: rec.source ?? null
+        }))
+    };
+}
+
+class HistoryStore {
+    constructor(file = DEFAULT_HISTORY_FILE) {
+        this.file = file;
+    }
+
+    async append(entries) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    }
+
+    async read() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return content.split('\n')
+            .filter(line => line.trim())
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid entry on line ${index + 1} of ${this.file}: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * Append one run per analyzer result.
+     *
+     * @param {object[]} results
+     * @param {{ profile: string|null, target: string|null }} connection - where the statements ran
+     */
+    async record(results, { profile = null, target = null } = {}) {
+        const timestamp = new Date().toISOString();
+        // A saved plan without its statement has nothing to be grouped by
+        const runs = results.filter(result => result.fingerprint);
+        if (runs.length === 0) return;
+
+        await this.append(runs.map(result => ({
+            type: 'run',
+            id: crypto.randomBytes(6).toString('hex'),
+            timestamp,
+            fingerprint: result.fingerprint.hash,
+            profile,
+            target,
+            analysis: historyAnalysis(result)
+        })));
+    }
+
+    async markBaselines(runs) {
+        const timestamp = new Date().toISOString();
+        await this.append(runs.map(run => ({
+            type: 'baseline',
+            id: crypto.randomBytes(6).toString('hex'),
+            timestamp,
+            run: run.id
+        })));
+    }
+}
+
+/**
+ * Whether a run is of the statement, whatever engine it ran on.
+ */
+function matchesQuery(run, sql) {
+    return run.fingerprint === fingerprintQuery(sql, { dialect: dialectOf(run.analysis.engine) }).hash;
+}
+
+module.exports = { HistoryStore, matchesQuery, DEFAULT_HISTORY_FILE, OFFLINE_TARGET };
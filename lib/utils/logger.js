@@ -1,16 +1,33 @@
 const chalk = require('chalk');
 
 class Logger {
+  constructor() {
+    this.toStderr = false;
+  }
+
+  // Keep stdout free for machine-readable reports
+  useStderr() {
+    this.toStderr = true;
+  }
+
+  print(...args) {
+    if (this.toStderr) {
+      console.error(...args);
+    } else {
+      console.log(...args);
+    }
+  }
+
   info(message, ...args) {
-    console.log(chalk.blue('INFO:'), message, ...args);
+    this.print(chalk.blue('INFO:'), message, ...args);
   }
 
   success(message, ...args) {
-    console.log(chalk.green('SUCCESS:'), message, ...args);
+    this.print(chalk.green('SUCCESS:'), message, ...args);
   }
 
   warn(message, ...args) {
-    console.log(chalk.yellow('WARNING:'), message, ...args);
+    this.print(chalk.yellow('WARNING:'), message, ...args);
   }
 
   error(message, ...args) {
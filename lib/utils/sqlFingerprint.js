@@ -0,0 +1,146 @@
+// lib/utils/sqlFingerprint.js
+const crypto = require('crypto');
+const { tokenize } = require('./sqlStatement');
+
+// A stable identity for a statement, in the manner of pt-query-digest and
+// pg_stat_statements: literals and parameters become `?`, comments and
+// whitespace go, unquoted names are lowercased, and IN (...) lists and the
+// rows of VALUES collapse to `(?+)` whatever their length.
+//
+//   SELECT * FROM Orders WHERE id IN (1, 2, 3) -- hot
+//   select * from orders where id in (?+)
+
+// Words after which a sign belongs to the number that follows, e.g. LIMIT -1
+const SIGN_CONTEXT = ['select', 'where', 'and', 'or', 'not', 'on', 'when', 'then', 'else', 'by', 'limit', 'offset', 'in', 'between', 'values', 'set', 'having', 'return', 'like'];
+
+const PLAIN_NAME = /^[a-z_][a-z0-9_$]*$/;
+
+// Operators the tokenizer does not keep, e.g. `-`, `||` or the `@` of `@>`,
+// with their offsets; comments between two tokens are left out
+function gapSymbols(sql, start, end, dialect) {
+    const blank = comment => ' '.repeat(comment.length);
+    const code = sql.slice(start, end)
+        .replace(/--[^\n]*/g, blank)
+        .replace(/\/\*[\s\S]*?(\*\/|$)/g, blank)
+        .replace(dialect === 'mysql' ? /#[^\n]*/g : /$^/, blank);
+    return [...code.matchAll(/[^\s;]+/g)].map(match => ({
+        text: match[0],
+        start: start + match.index,
+        end: start + match.index + match[0].length,
+        operator: true
+    }));
+}
+
+function identifierText(token, dialect) {
+    const name = dialect === 'mysql' ? token.identifier.toLowerCase() : token.identifier;
+    if (PLAIN_NAME.test(name)) return name;
+    const quote = dialect === 'mysql' ? '`' : '"';
+    return quote + name.split(quote).join(quote + quote) + quote;
+}
+
+function tokenText(token, dialect) {
+    if (token.literal) return '?';
+    if (token.word) return token.word;
+    if (token.identifier !== undefined) return identifierText(token, dialect);
+    if (token.paren) return token.paren === 'open' ? '(' : ')';
+    return token.symbol;
+}
+
+function isValue(piece) {
+    if (!piece) return false;
+    return piece.text === '?' || piece.text === ')' || (/^[a-z_`"]/.test(piece.text) && !SIGN_CONTEXT.includes(piece.text));
+}
+
+function canonicalTokens(sql, dialect) {
+    const pieces = [];
+    const add = piece => {
+        const last = pieces[pieces.length - 1];
+        // `->>` or `@>` arrive as a symbol the tokenizer skipped and one it kept
+        if (piece.operator && last?.operator && last.end === piece.start) {
+            last.text += piece.text;
+            last.end = piece.end;
+        } else {
+            pieces.push(piece);
+        }
+    };
+
+    let offset = 0;
+    tokenize(sql, dialect).forEach(token => {
+        const gap = gapSymbols(sql, offset, token.start, dialect);
+        offset = token.end;
+
+        // -1 and +1 are literals like 1, a - 1 keeps its operator
+        const sign = gap[gap.length - 1];
+        const previous = gap.length > 1 ? gap[gap.length - 2] : pieces[pieces.length - 1];
+        if (token.literal === 'number' && ['-', '+'].includes(sign?.text) && sign.end === token.start && !isValue(previous)) {
+            gap.pop();
+        }
+
+        gap.forEach(add);
+        add({
+            text: tokenText(token, dialect),
+            start: token.start,
+            end: token.end,
+            operator: Boolean(token.symbol) && !['.', ',', '*'].includes(token.symbol)
+        });
+    });
+    gapSymbols(sql, offset, sql.length, dialect).forEach(add);
+
+    return collapseLists(pieces.map(piece => piece.text));
+}
+
+// The index after `( ?, ? ... )` starting at `index`, or -1 when the
+// parentheses hold anything but values
+function valueListEnd(texts, index) {
+    if (texts[index] !== '(') return -1;
+    let i = index + 1;
+    while ((texts[i] === '?' || texts[i] === 'null') && (texts[i + 1] === ',' || texts[i + 1] === ')')) {
+        if (texts[i + 1] === ')') return i + 2;
+        i += 2;
+    }
+    return -1;
+}
+
+function collapseLists(texts) {
+    const collapsed = [];
+    for (let i = 0; i < texts.length; i++) {
+        collapsed.push(texts[i]);
+        if (texts[i] !== 'in' && texts[i] !== 'values') continue;
+
+        let end = valueListEnd(texts, i + 1);
+        if (end === -1) continue;
+        // Every row of a multi-row VALUES
+        while (texts[i] === 'values' && texts[end] === ',' && valueListEnd(texts, end + 1) !== -1) {
+            end = valueListEnd(texts, end + 1);
+        }
+        collapsed.push('(', '?+', ')');
+        i = end - 1;
+    }
+    return collapsed;
+}
+
+function join(texts) {
+    return texts.reduce((text, token, index) => {
+        const previous = texts[index - 1];
+        const tight = index === 0 || token === ')' || token === ',' || token === '.' || token === '::' ||
+            previous === '(' || previous === '.' || previous === '::' ||
+            (token === '(' && /^[a-z_]/.test(previous) && !SIGN_CONTEXT.includes(previous) && !['from', 'join', 'as', 'exists'].includes(previous));
+        return text + (tight ? '' : ' ') + token;
+    }, '');
+}
+
+/**
+ * The canonical form of a statement and its hash: the last 16 hex digits of
+ * the MD5 of the canonical form, as pt-query-digest computes its checksum.
+ *
+ * @param {string} sql
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ * @returns {{ canonical: string, hash: string }}
+ */
+function fingerprintQuery(sql, { dialect = 'mysql' } = {}) {
+    const canonical = join(canonicalTokens(String(sql), dialect));
+    const hash = crypto.createHash('md5').update(canonical).digest('hex').slice(-16).toUpperCase();
+    return { canonical, hash };
+}
+
+module.exports = { fingerprintQuery };
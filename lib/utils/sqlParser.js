@@ -0,0 +1,401 @@
+// lib/utils/sqlParser.js
+const { tokenize, isName, nameOf } = require('./sqlStatement');
+
+// A light syntax tree for the static checks. A statement is split into query
+// blocks (every SELECT, and the UPDATE / DELETE / INSERT / REPLACE itself),
+// each with its clauses as token ranges. WHERE, ON and HAVING conditions are
+// split into AND / OR trees whose leaves are predicates. Expressions stay
+// token ranges, read through the helpers below.
+//
+// Block:
+// {
+//   kind,                  // select, update, delete, insert or replace
+//   keyword, end,          // token index of the keyword, index after the last token
+//   depth, parent,         // parenthesis depth, enclosing block or null
+//   clauses: { [name]: { keyword, start, end } },
+//   selectItems: [ { start, end, alias } ],
+//   conditions: [ { clause: 'where' | 'on' | 'having', tree } ]
+// }
+//
+// Condition tree: { op: 'and' | 'or', operands, operators, start, end } or
+// { op: 'predicate', start, end }
+
+// Words that are never column names
+const KEYWORDS = new Set([
+    'select', 'from', 'where', 'and', 'or', 'not', 'null', 'true', 'false', 'in', 'is', 'between',
+    'like', 'ilike', 'exists', 'case', 'when', 'then', 'else', 'end', 'as', 'distinct', 'all', 'any',
+    'some', 'asc', 'desc', 'nulls', 'first', 'last', 'interval', 'join', 'inner', 'left', 'right',
+    'full', 'outer', 'cross', 'natural', 'on', 'using', 'group', 'order', 'by', 'having', 'limit',
+    'offset', 'fetch', 'union', 'except', 'intersect', 'with', 'recursive', 'update', 'delete',
+    'insert', 'replace', 'into', 'set', 'values', 'returning', 'for', 'lateral', 'escape', 'similar',
+    'current_date', 'current_time', 'current_timestamp', 'localtime', 'localtimestamp', 'default'
+]);
+
+const AGGREGATES = new Set([
+    'count', 'sum', 'avg', 'min', 'max', 'group_concat', 'string_agg', 'array_agg', 'json_agg',
+    'jsonb_agg', 'json_object_agg', 'jsonb_object_agg', 'json_arrayagg', 'json_objectagg', 'bool_and',
+    'bool_or', 'every', 'bit_and', 'bit_or', 'bit_xor', 'stddev', 'stddev_pop', 'stddev_samp',
+    'variance', 'var_pop', 'var_samp', 'std', 'percentile_cont', 'percentile_disc', 'mode'
+]);
+
+// Keywords that start a clause of a query block
+const CLAUSES = [
+    'select', 'from', 'where', 'group', 'having', 'window', 'order', 'limit', 'offset', 'fetch',
+    'for', 'set', 'returning', 'values', 'into', 'using'
+];
+
+// Words after which a FROM clause starts its next table
+const JOIN_WORDS = ['join', 'inner', 'left', 'right', 'full', 'cross', 'natural', 'straight_join'];
+
+const SET_OPERATIONS = ['union', 'except', 'intersect', 'minus'];
+const MODIFYING = ['update', 'delete', 'insert', 'replace'];
+
+function isColumnToken(token) {
+    return isName(token) && (token.identifier !== undefined || !KEYWORDS.has(token.word));
+}
+
+// A name directly followed by an opening parenthesis, such as lower(...)
+function isCall(tokens, index) {
+    return isName(tokens[index]) && tokens[index + 1]?.paren === 'open' &&
+        (tokens[index].identifier !== undefined || !KEYWORDS.has(tokens[index].word));
+}
+
+// Index of the parenthesis that closes the one opened at `index`
+function closingParen(tokens, index) {
+    const depth = tokens[index].depth;
+    let i = index + 1;
+    while (i < tokens.length && !(tokens[i].paren === 'close' && tokens[i].depth === depth)) i++;
+    return i;
+}
+
+// Whether a token sits directly inside the parentheses of a call
+function insideCall(tokens, index) {
+    const depth = tokens[index].depth;
+    for (let i = index - 1; i >= 0; i--) {
+        if (tokens[i].paren === 'open' && tokens[i].depth === depth - 1) return isCall(tokens, i - 1);
+    }
+    return false;
+}
+
+function startsBlock(tokens, index) {
+    const token = tokens[index];
+    if (token.word === 'select') return true;
+    if (!MODIFYING.includes(token.word) || tokens[index + 1]?.paren === 'open') return false;
+
+    // The statement itself, or a data-modifying CTE body: WITH x AS (DELETE ...)
+    const previous = tokens[index - 1];
+    return !previous || previous.paren !== undefined;
+}
+
+function findBlocks(tokens) {
+    const blocks = [];
+
+    tokens.forEach((token, index) => {
+        if (!token.word || !startsBlock(tokens, index)) return;
+
+        let end = index + 1;
+        // Up to the parenthesis around the block, or the next part of a UNION
+        while (end < tokens.length && tokens[end].depth >= token.depth) {
+            const next = tokens[end];
+            if (token.word === 'select' && next.depth === token.depth && SET_OPERATIONS.includes(next.word)) break;
+            end++;
+        }
+
+        blocks.push({
+            kind: token.word,
+            keyword: index,
+            end,
+            depth: token.depth,
+            parent: null,
+            clauses: {},
+            selectItems: [],
+            conditions: []
+        });
+    });
+
+    // The innermost earlier block that spans a block is its parent
+    blocks.forEach(block => {
+        block.parent = blocks
+            .filter(other => other !== block && other.keyword < block.keyword && other.end >= block.end)
+            .pop() || null;
+    });
+
+    return blocks;
+}
+
+// Token indexes that belong to the block itself, not to a block inside it
+function ownTokens(tokens, blocks, block) {
+    const children = blocks.filter(other => other.parent === block);
+    const indexes = [];
+
+    for (let i = block.keyword; i < block.end; i++) {
+        const child = children.find(other => other.keyword === i);
+        if (child) {
+            i = child.end - 1;
+            continue;
+        }
+        if (tokens[i].depth === block.depth) indexes.push(i);
+    }
+
+    return indexes;
+}
+
+function clauseName(tokens, index, block) {
+    const token = tokens[index];
+    const previous = tokens[index - 1]?.word;
+    const next = tokens[index + 1]?.word;
+
+    if (index === block.keyword) return block.kind === 'select' ? 'select' : block.kind;
+    if (!CLAUSES.includes(token.word)) return null;
+
+    switch (token.word) {
+        case 'from':
+            // IS DISTINCT FROM
+            return previous === 'distinct' ? null : 'from';
+        case 'group':
+        case 'order':
+            return next === 'by' ? token.word : null;
+        case 'for':
+            return ['update', 'share', 'no', 'key'].includes(next) ? 'for' : null;
+        case 'select':
+            return null;
+        // JOIN ... USING (columns) is part of FROM
+        case 'using':
+            return block.kind === 'delete' ? 'using' : null;
+        case 'into':
+        case 'values':
+            return ['insert', 'replace'].includes(block.kind) ? token.word : null;
+        case 'set':
+            return block.kind === 'update' ? 'set' : null;
+        default:
+            return token.word;
+    }
+}
+
+function readClauses(tokens, blocks, block) {
+    const own = ownTokens(tokens, blocks, block);
+    let current = null;
+
+    own.forEach(index => {
+        const name = clauseName(tokens, index, block);
+        if (name) {
+            if (current) current.end = index;
+            const start = ['group', 'order'].includes(name) ? index + 2 : index + 1;
+            current = { keyword: index, start, end: block.end };
+            if (!block.clauses[name]) block.clauses[name] = current;
+        }
+    });
+
+    return own;
+}
+
+// Splits a range at the commas of its own depth
+function splitList(tokens, start, end) {
+    const items = [];
+    let itemStart = start;
+    const depth = tokens[start]?.depth;
+
+    for (let i = start; i <= end; i++) {
+        if (i === end || (tokens[i].symbol === ',' && tokens[i].depth === depth)) {
+            if (i > itemStart) items.push({ start: itemStart, end: i });
+            itemStart = i + 1;
+        }
+    }
+
+    return items;
+}
+
+function readSelectItems(tokens, block, dialect) {
+    const clause = block.clauses.select;
+    if (!clause) return;
+
+    let start = clause.start;
+    while (['distinct', 'all'].includes(tokens[start]?.word)) start++;
+
+    block.selectItems = splitList(tokens, start, clause.end).map(item => {
+        const last = tokens[item.end - 1];
+        const beforeLast = tokens[item.end - 2];
+        let alias = null;
+        // expr AS alias, or expr alias
+        if (item.end - item.start > 1 && isName(last) && !isCall(tokens, item.end - 1) &&
+            (beforeLast?.word === 'as' || (beforeLast?.symbol !== '.' && beforeLast?.symbol !== '::' && !KEYWORDS.has(last.word)))) {
+            alias = nameOf(last, dialect);
+        }
+        return { ...item, alias };
+    });
+}
+
+// Strips parentheses that wrap the whole range
+function unwrap(tokens, start, end) {
+    while (end - start > 1 && tokens[start].paren === 'open' && closingParen(tokens, start) === end - 1 &&
+        !['select', 'with'].includes(tokens[start + 1]?.word)) {
+        start++;
+        end--;
+    }
+    return { start, end };
+}
+
+/**
+ * Splits a condition into its AND / OR structure.
+ */
+function parseCondition(tokens, rangeStart, rangeEnd) {
+    const { start, end } = unwrap(tokens, rangeStart, rangeEnd);
+    const depth = tokens[start]?.depth;
+
+    for (const op of ['or', 'and']) {
+        const operators = [];
+        let inBetween = false;
+        for (let i = start; i < end; i++) {
+            const token = tokens[i];
+            if (token.depth !== depth) continue;
+            if (token.word === 'between') inBetween = true;
+            if (token.word === op) {
+                // BETWEEN x AND y
+                if (op === 'and' && inBetween) {
+                    inBetween = false;
+                    continue;
+                }
+                operators.push(i);
+            }
+        }
+
+        if (operators.length > 0) {
+            const bounds = [start - 1, ...operators, end];
+            return {
+                op,
+                operators,
+                start,
+                end,
+                operands: bounds.slice(1).map((bound, n) => parseCondition(tokens, bounds[n] + 1, bound))
+            };
+        }
+    }
+
+    return { op: 'predicate', start, end };
+}
+
+// ON conditions of a FROM clause, each up to the next join
+function readJoinConditions(tokens, block, own) {
+    const from = block.clauses.from;
+    if (!from) return [];
+
+    const inFrom = own.filter(index => index >= from.start && index < from.end);
+    const conditions = [];
+
+    inFrom.forEach((index, position) => {
+        if (tokens[index].word !== 'on') return;
+        const next = inFrom.slice(position + 1).find(later =>
+            JOIN_WORDS.includes(tokens[later].word) || tokens[later].symbol === ',');
+        conditions.push({ clause: 'on', tree: parseCondition(tokens, index + 1, next ?? from.end) });
+    });
+
+    return conditions;
+}
+
+/**
+ * Parses one statement.
+ *
+ * @param {string} sql
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ * @returns {{ sql: string, dialect: string, tokens: object[], blocks: object[] }}
+ */
+function parseStatement(sql, { dialect = 'mysql' } = {}) {
+    const text = String(sql);
+    const tokens = tokenize(text, dialect);
+    const blocks = findBlocks(tokens);
+
+    blocks.forEach(block => {
+        const own = readClauses(tokens, blocks, block);
+        readSelectItems(tokens, block, dialect);
+
+        block.conditions = readJoinConditions(tokens, block, own);
+        ['where', 'having'].forEach(name => {
+            const clause = block.clauses[name];
+            if (clause && clause.end > clause.start) {
+                block.conditions.push({ clause: name, tree: parseCondition(tokens, clause.start, clause.end) });
+            }
+        });
+    });
+
+    return { sql: text, dialect, tokens, blocks };
+}
+
+/**
+ * Column references in a token range, leaving out nested query blocks,
+ * function names and type names.
+ *
+ * @returns {{ qualifier: string|null, column: string, index: number }[]}
+ */
+function columnReferences(parsed, start, end) {
+    const { tokens, blocks, dialect } = parsed;
+    const references = [];
+
+    for (let i = start; i < end; i++) {
+        const nested = blocks.find(block => block.keyword === i);
+        if (nested) {
+            i = nested.end - 1;
+            continue;
+        }
+
+        const token = tokens[i];
+        if (!isColumnToken(token) || isCall(tokens, i)) continue;
+        if (tokens[i - 1]?.symbol === '::' || tokens[i - 1]?.symbol === '.') continue;
+        // DATE '2024-01-01', EXTRACT(YEAR FROM ...), CAST(x AS type)
+        if (tokens[i + 1]?.literal === 'string' || tokens[i - 1]?.word === 'as') continue;
+        if (tokens[i + 1]?.word === 'from' && insideCall(tokens, i)) continue;
+
+        const parts = [nameOf(token, dialect)];
+        let last = i;
+        while (tokens[last + 1]?.symbol === '.' && isName(tokens[last + 2])) {
+            parts.push(nameOf(tokens[last + 2], dialect));
+            last += 2;
+        }
+        if (tokens[last + 1]?.symbol === '.' && tokens[last + 2]?.symbol === '*') {
+            i = last + 2;
+            continue;
+        }
+
+        references.push({
+            qualifier: parts.length > 1 ? parts[parts.length - 2] : null,
+            column: parts[parts.length - 1],
+            index: i
+        });
+        i = last;
+    }
+
+    return references;
+}
+
+// Whether a token range calls an aggregate function
+function containsAggregate(tokens, start, end) {
+    for (let i = start; i < end; i++) {
+        if (isCall(tokens, i) && AGGREGATES.has(tokens[i].word)) return true;
+    }
+    return false;
+}
+
+// Whether a token range holds a query block of its own
+function containsBlock(parsed, start, end) {
+    return parsed.blocks.some(block => block.keyword >= start && block.keyword < end);
+}
+
+/**
+ * 1-based line and column of an offset.
+ */
+function positionOf(sql, offset) {
+    const before = sql.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+module.exports = {
+    KEYWORDS,
+    isColumnToken,
+    isCall,
+    closingParen,
+    parseStatement,
+    parseCondition,
+    columnReferences,
+    containsAggregate,
+    containsBlock,
+    positionOf
+};
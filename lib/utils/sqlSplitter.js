@@ -0,0 +1,151 @@
+// lib/utils/sqlSplitter.js
+
+/**
+ * Split a SQL script into individual statements.
+ *
+ * Understands line comments (`--`, and `#` for MySQL), block comments, quoted
+ * strings and identifiers, PostgreSQL dollar-quoting and the MySQL client
+ * `DELIMITER` command. Comments in front of a statement are dropped; the
+ * returned entries carry the statement text and the line it starts on.
+ *
+ * @param {string} sql
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ * @returns {{ sql: string, line: number }[]}
+ */
+function splitStatements(sql, { dialect = 'mysql' } = {}) {
+    const isMySQL = dialect === 'mysql';
+    const statements = [];
+
+    let delimiter = ';';
+    let current = '';
+    let startLine = null;
+    let line = 1;
+    let i = 0;
+
+    const flush = () => {
+        const text = current.trim();
+        if (text) statements.push({ sql: text, line: startLine });
+        current = '';
+        startLine = null;
+    };
+
+    const append = text => {
+        current += text;
+        for (const char of text) {
+            if (char === '\n') line++;
+        }
+    };
+
+    // Text that is not a comment marks the beginning of a statement
+    const appendCode = text => {
+        if (startLine === null && text.trim()) {
+            startLine = line + (text.match(/^\s*/)[0].match(/\n/g) || []).length;
+        }
+        append(text);
+    };
+
+    const skip = text => {
+        for (const char of text) {
+            if (char === '\n') line++;
+        }
+    };
+
+    const delimiterCommand = /[ \t]*DELIMITER[ \t]+(\S+)[ \t]*(\r?\n|$)/iy;
+    const dollarTag = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const atLineStart = i === 0 || sql[i - 1] === '\n';
+
+        // MySQL client DELIMITER command, only valid at the start of a line
+        if (isMySQL && atLineStart && startLine === null) {
+            delimiterCommand.lastIndex = i;
+            const match = delimiterCommand.exec(sql);
+            if (match) {
+                delimiter = match[1];
+                skip(match[0]);
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        if (sql.startsWith(delimiter, i)) {
+            flush();
+            i += delimiter.length;
+            continue;
+        }
+
+        // Line comments
+        if (sql.startsWith('--', i) || (isMySQL && char === '#')) {
+            const end = sql.indexOf('\n', i);
+            const comment = sql.slice(i, end === -1 ? sql.length : end);
+            if (startLine === null) skip(comment);
+            else append(comment);
+            i += comment.length;
+            continue;
+        }
+
+        // Block comments
+        if (sql.startsWith('/*', i)) {
+            const end = sql.indexOf('*/', i + 2);
+            const comment = sql.slice(i, end === -1 ? sql.length : end + 2);
+            if (startLine === null) skip(comment);
+            else append(comment);
+            i += comment.length;
+            continue;
+        }
+
+        // Quoted strings and identifiers
+        if (char === '\'' || char === '"' || char === '`') {
+            const backslashEscapes = isMySQL || (char === '\'' && /[eE]/.test(current.slice(-1)));
+            const literal = readQuoted(sql, i, char, backslashEscapes);
+            appendCode(literal);
+            i += literal.length;
+            continue;
+        }
+
+        // PostgreSQL dollar-quoted strings: $$...$$ or $tag$...$tag$
+        if (!isMySQL && char === '$') {
+            dollarTag.lastIndex = i;
+            const match = dollarTag.exec(sql);
+            // $1 style parameters and identifiers containing $ are not quotes
+            if (match && !/[A-Za-z0-9_]/.test(current.slice(-1))) {
+                const tag = match[0];
+                const end = sql.indexOf(tag, i + tag.length);
+                const literal = sql.slice(i, end === -1 ? sql.length : end + tag.length);
+                appendCode(literal);
+                i += literal.length;
+                continue;
+            }
+        }
+
+        appendCode(char);
+        i++;
+    }
+
+    flush();
+    return statements;
+}
+
+function readQuoted(sql, start, quote, backslashEscapes) {
+    let i = start + 1;
+    while (i < sql.length) {
+        const char = sql[i];
+        if (backslashEscapes && char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === quote) {
+            // A doubled quote is an escaped quote inside the literal
+            if (sql[i + 1] === quote) {
+                i += 2;
+                continue;
+            }
+            return sql.slice(start, i + 1);
+        }
+        i++;
+    }
+    return sql.slice(start);
+}
+
+module.exports = { splitStatements, readQuoted };
@@ -0,0 +1,299 @@
+// lib/utils/sqlStatement.js
+const { readQuoted } = require('./sqlSplitter');
+
+// REPLACE is MySQL only; in PostgreSQL it is just a string function
+const DATA_MODIFYING = {
+    mysql: ['update', 'delete', 'insert', 'replace'],
+    postgresql: ['update', 'delete', 'insert']
+};
+
+/**
+ * Tokens of a statement, with comments left out: words (with their original
+ * spelling in `text`), quoted identifiers, literals (strings with their
+ * `value`, numbers and parameters), parentheses, and the symbols `.`, `,`,
+ * `*`, `::` and comparison operators. Each token records its parenthesis depth
+ * and the offsets it `start`s and `end`s at.
+ */
+function tokenize(sql, dialect) {
+    const isMySQL = dialect === 'mysql';
+    const tokens = [];
+    const word = /[A-Za-z_][A-Za-z0-9_$]*/y;
+    const dollarTag = /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y;
+    const number = /\d+(\.\d+)?([eE][+-]?\d+)?/y;
+    const parameter = isMySQL ? /\?/y : /\$\d+/y;
+    const operator = /<=|>=|<>|!=|::|=|<|>/y;
+    let depth = 0;
+    let i = 0;
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const count = tokens.length;
+
+        if (sql.startsWith('--', i) || (isMySQL && char === '#')) {
+            const end = sql.indexOf('\n', i);
+            i = end === -1 ? sql.length : end;
+        } else if (sql.startsWith('/*', i)) {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+        } else if (char === '\'' || char === '"' || char === '`') {
+            const backslashEscapes = isMySQL || (char === '\'' && /[eE]/.test(sql[i - 1] || ''));
+            const quoted = readQuoted(sql, i, char, backslashEscapes);
+            // Backticks in MySQL and double quotes in PostgreSQL delimit identifiers
+            if (char === (isMySQL ? '`' : '"')) {
+                tokens.push({ identifier: quoted.slice(1, -1).split(char + char).join(char), depth, start: i });
+            } else {
+                tokens.push({ literal: 'string', value: quoted.slice(1, -1).split(char + char).join(char), depth, start: i });
+            }
+            i += quoted.length;
+        } else if (!isMySQL && char === '$' && (dollarTag.lastIndex = i, dollarTag.test(sql))) {
+            const tag = sql.slice(i, dollarTag.lastIndex);
+            const end = sql.indexOf(tag, dollarTag.lastIndex);
+            tokens.push({ literal: 'string', value: sql.slice(dollarTag.lastIndex, end === -1 ? sql.length : end), depth, start: i });
+            i = end === -1 ? sql.length : end + tag.length;
+        } else if (char === '(') {
+            tokens.push({ paren: 'open', depth, start: i });
+            depth++;
+            i++;
+        } else if (char === ')') {
+            depth = Math.max(depth - 1, 0);
+            tokens.push({ paren: 'close', depth, start: i });
+            i++;
+        } else if (char === '.' || char === ',' || char === '*') {
+            tokens.push({ symbol: char, depth, start: i });
+            i++;
+        } else if ((operator.lastIndex = i, operator.test(sql))) {
+            tokens.push({ symbol: sql.slice(i, operator.lastIndex), depth, start: i });
+            i = operator.lastIndex;
+        } else if ((number.lastIndex = i, number.test(sql))) {
+            tokens.push({ literal: 'number', depth, start: i });
+            i = number.lastIndex;
+        } else if ((parameter.lastIndex = i, parameter.test(sql))) {
+            tokens.push({ literal: 'parameter', depth, start: i });
+            i = parameter.lastIndex;
+        } else if ((word.lastIndex = i, word.test(sql))) {
+            const text = sql.slice(i, word.lastIndex);
+            tokens.push({ word: text.toLowerCase(), text, depth, start: i });
+            i = word.lastIndex;
+        } else {
+            i++;
+        }
+
+        if (tokens.length > count) tokens[count].end = i;
+    }
+
+    return tokens;
+}
+
+/**
+ * Work out what kind of statement a query is, looking past leading comments,
+ * opening parentheses and WITH clauses.
+ *
+ * `type` is SELECT, UPDATE, DELETE, INSERT or (MySQL) REPLACE, or null for
+ * anything else. `supported` is false for statements that cannot be analyzed, such as
+ * INSERT ... VALUES. `modifiesData` is also set for a SELECT whose WITH clause
+ * holds a data-modifying statement (PostgreSQL).
+ *
+ * @param {string} sql
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ * @returns {{ type: string|null, supported: boolean, modifiesData: boolean }}
+ */
+function classifyStatement(sql, { dialect = 'mysql' } = {}) {
+    const tokens = tokenize(String(sql), dialect);
+    const modifying = DATA_MODIFYING[dialect] || DATA_MODIFYING.mysql;
+    const keywords = ['select', ...modifying];
+
+    // Skip the parentheses around a statement such as (SELECT ...) UNION (SELECT ...)
+    let start = 0;
+    while (tokens[start]?.paren === 'open') start++;
+
+    const first = tokens[start];
+    const depth = first?.depth;
+    let main = first;
+
+    // The statement behind a WITH clause is its first keyword outside the CTE bodies
+    if (first?.word === 'with') {
+        main = tokens.slice(start + 1).find(token =>
+            token.depth === depth && keywords.includes(token.word));
+    }
+
+    const type = main && keywords.includes(main.word) ? main.word.toUpperCase() : null;
+    let supported = type !== null;
+
+    // INSERT ... VALUES / SET has no plan worth analyzing; only INSERT ... SELECT
+    // (or TABLE) is accepted
+    if (type === 'INSERT') {
+        const source = tokens.slice(tokens.indexOf(main) + 1).find(token =>
+            (token.depth === depth && ['values', 'value', 'set', 'select', 'table', 'with'].includes(token.word)) ||
+            (token.depth === depth + 1 && ['select', 'with'].includes(token.word)));
+        supported = Boolean(source) && ['select', 'table', 'with'].includes(source.word);
+    }
+
+    // A nested statement that starts right after an opening parenthesis,
+    // e.g. WITH moved AS (DELETE FROM ... RETURNING *) SELECT ...
+    const nestedModification = tokens.some((token, index) =>
+        token.paren === 'open' && modifying.includes(tokens[index + 1]?.word));
+
+    return {
+        type,
+        supported,
+        modifiesData: (type !== null && type !== 'SELECT') || nestedModification
+    };
+}
+
+// Keywords after which a list of tables follows
+const TABLE_LIST_KEYWORDS = ['from', 'join', 'update', 'into', 'using'];
+
+// Words that end a table reference instead of naming its alias
+const NOT_AN_ALIAS = new Set([
+    'where', 'on', 'using', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'natural',
+    'straight_join', 'lateral', 'group', 'order', 'having', 'window', 'limit', 'offset', 'fetch',
+    'union', 'except', 'intersect', 'minus', 'set', 'values', 'select', 'returning', 'for', 'lock',
+    'into', 'partition', 'tablesample', 'use', 'ignore', 'force', 'with', 'from', 'as', 'do',
+    'default', 'when', 'then', 'else', 'end'
+]);
+
+// Clauses whose table list may go on after a comma: FROM a, b / UPDATE a, b (MySQL)
+const TABLE_LIST_CLAUSES = ['from', 'join', 'update', 'using'];
+
+// Keywords that end a table list
+const CLAUSE_KEYWORDS = [
+    'where', 'set', 'group', 'order', 'having', 'window', 'limit', 'union', 'except',
+    'intersect', 'returning', 'values', 'select', 'for', 'duplicate', 'conflict'
+];
+
+// UPDATE that does not start a table list: FOR UPDATE, ON DUPLICATE KEY UPDATE, DO UPDATE
+const NOT_A_TABLE_UPDATE = ['for', 'key', 'do'];
+
+function isName(token) {
+    return Boolean(token) && (token.word !== undefined || token.identifier !== undefined);
+}
+
+// Unquoted PostgreSQL names fold to lower case; MySQL keeps them as written
+function nameOf(token, dialect) {
+    if (token.identifier !== undefined) return token.identifier;
+    return dialect === 'mysql' ? token.text : token.word;
+}
+
+// Index of the token after the parenthesis opened at `index`
+function skipParentheses(tokens, index) {
+    const depth = tokens[index].depth;
+    let i = index + 1;
+    while (i < tokens.length && !(tokens[i].paren === 'close' && tokens[i].depth === depth)) i++;
+    return i + 1;
+}
+
+// Names defined by WITH name [(columns)] AS (...), which are not tables
+function cteNames(tokens, dialect) {
+    const names = new Set();
+
+    tokens.forEach((token, index) => {
+        const previous = tokens[index - 1];
+        if (!isName(token) || !previous) return;
+        if (!['with', 'recursive'].includes(previous.word) && previous.symbol !== ',') return;
+
+        let next = index + 1;
+        if (tokens[next]?.paren === 'open') next = skipParentheses(tokens, next);
+        if (tokens[next]?.word === 'as') names.add(nameOf(token, dialect));
+    });
+
+    return names;
+}
+
+/**
+ * The tables a statement reads or writes, from its FROM, JOIN, UPDATE, INTO
+ * and USING clauses, including those of subqueries and CTE bodies. CTE names
+ * and table functions are left out. Views are returned like tables.
+ *
+ * @param {string} sql
+ * @param {{ dialect?: 'mysql' | 'postgresql' }} [options]
+ * @returns {{ schema: string|null, table: string, aliases: string[] }[]}
+ */
+function extractTableReferences(sql, { dialect = 'mysql' } = {}) {
+    const tokens = tokenize(String(sql), dialect);
+    const modifying = DATA_MODIFYING[dialect] || DATA_MODIFYING.mysql;
+    const keywords = ['select', ...modifying];
+    const ctes = cteNames(tokens, dialect);
+    const references = new Map();
+
+    // Whether each token sits directly inside a function call, where FROM is
+    // part of the syntax: EXTRACT(YEAR FROM ...), SUBSTRING(... FROM 2)
+    const inCall = [];
+    const stack = [];
+    tokens.forEach((token, index) => {
+        if (token.paren === 'close') stack.pop();
+        inCall[index] = stack[stack.length - 1] === true;
+        if (token.paren === 'open') {
+            const next = tokens[index + 1]?.word;
+            const isQuery = ['select', 'with', 'values', 'table'].includes(next);
+            stack.push(!isQuery && isName(tokens[index - 1]) && !TABLE_LIST_KEYWORDS.includes(tokens[index - 1].word));
+        }
+    });
+
+    const readReference = (start, { columnList = false } = {}) => {
+        let reference = null;
+        let i = start;
+        while (['only', 'lateral'].includes(tokens[i]?.word)) i++;
+
+        // Derived table: its body is read on its own, only the alias is skipped here
+        if (tokens[i]?.paren === 'open') {
+            i = skipParentheses(tokens, i);
+        } else {
+            if (!isName(tokens[i])) return null;
+
+            const parts = [nameOf(tokens[i], dialect)];
+            i++;
+            while (tokens[i]?.symbol === '.' && isName(tokens[i + 1])) {
+                parts.push(nameOf(tokens[i + 1], dialect));
+                i += 2;
+            }
+
+            // INSERT INTO t (columns); anywhere else a call such as generate_series(...) is not a table
+            if (tokens[i]?.paren === 'open' && !columnList) return null;
+
+            const table = parts[parts.length - 1];
+            const schema = parts.length > 1 ? parts[parts.length - 2] : null;
+            if (schema !== null || !ctes.has(table)) {
+                const key = `${schema}.${table}`;
+                if (!references.has(key)) references.set(key, { schema, table, aliases: [] });
+                reference = references.get(key);
+            }
+        }
+
+        if (tokens[i]?.word === 'as') i++;
+        if (isName(tokens[i]) && !NOT_AN_ALIAS.has(tokens[i].word)) {
+            const alias = nameOf(tokens[i], dialect);
+            if (reference && !reference.aliases.includes(alias)) reference.aliases.push(alias);
+            i++;
+        }
+
+        return i;
+    };
+
+    // The clause each depth is in, so a comma in FROM a, b continues the table list
+    const clauses = [];
+
+    tokens.forEach((token, index) => {
+        if (inCall[index]) return;
+
+        if (token.paren === 'open') {
+            clauses[token.depth + 1] = null;
+        } else if (token.symbol === ',' && TABLE_LIST_CLAUSES.includes(clauses[token.depth])) {
+            readReference(index + 1);
+        } else if (CLAUSE_KEYWORDS.includes(token.word)) {
+            clauses[token.depth] = null;
+        } else if (TABLE_LIST_KEYWORDS.includes(token.word)) {
+            const previous = tokens[index - 1]?.word;
+            if (token.word === 'from' && previous === 'distinct') return;
+            if (token.word === 'update' && NOT_A_TABLE_UPDATE.includes(previous)) return;
+            // JOIN ... USING (column, ...)
+            if (token.word === 'using' && tokens[index + 1]?.paren === 'open') return;
+
+            clauses[token.depth] = token.word;
+            readReference(index + 1, { columnList: token.word === 'into' });
+        }
+    });
+
+    return [...references.values()];
+}
+
+module.exports = { tokenize, isName, nameOf, classifyStatement, extractTableReferences };
@@ -0,0 +1,101 @@
+// lib/visualizers/formatters.js
+
+// Formatting shared by the terminal, HTML and Markdown reports
+
+function formatBytes(bytes) {
+    if (!bytes || isNaN(bytes)) return '0 B';
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+}
+
+// Where in the plan or the statement a recommendation was found. Positions in
+// the statement are given in the input, whose `line` the statement starts on;
+// as in SARIF, the column of its first line is only known when that is line 1.
+function formatSource(source, line = 1) {
+    const parts = [];
+    if (source.iterator) parts.push(source.iterator);
+    if (source.table) parts.push(`table ${source.table}`);
+    if (source.selectId !== undefined && source.selectId !== null) parts.push(`select #${source.selectId}`);
+    if (source.nodeType) parts.push(source.relation ? `${source.nodeType} on ${source.relation}` : source.nodeType);
+    else if (source.relation) parts.push(`table ${source.relation}`);
+    if (source.subplan) parts.push(source.subplan);
+    if (source.path) parts.push(source.path);
+    if (source.line) {
+        const inputLine = line + source.line - 1;
+        parts.push(source.line > 1 || line === 1 ? `line ${inputLine}, column ${source.column}` : `line ${inputLine}`);
+    }
+    return parts.join(', ') || 'N/A';
+}
+
+// Column headers (visualization.table.*) of the statistics and index tables
+const TABLE_STATISTIC_COLUMNS = ['table', 'rows', 'size', 'indexSize', 'totalSize'];
+const INDEX_COLUMNS = ['table', 'indexName', 'columns', 'type', 'method', 'details', 'size'];
+
+function formatSize(bytes) {
+    return bytes === null || bytes === undefined ? 'N/A' : formatBytes(bytes);
+}
+
+// Rows of the normalized table statistics and indexes (see catalogNormalizer)
+function tableStatisticRow(stat) {
+    return [
+        stat.table || 'N/A',
+        stat.rows ?? 'N/A',
+        formatSize(stat.dataBytes),
+        formatSize(stat.indexBytes),
+        formatSize(stat.totalBytes)
+    ];
+}
+
+function indexRow(index) {
+    const details = [];
+    if (index.predicate) details.push(`WHERE ${index.predicate}`);
+    if (index.includedColumns.length > 0) details.push(`INCLUDE (${index.includedColumns.join(', ')})`);
+
+    let type = index.unique ? 'Unique' : 'Non-Unique';
+    if (index.primary) type = 'Primary';
+
+    return [
+        index.table || 'N/A',
+        index.name || 'N/A',
+        index.columns.join(', ') || 'N/A',
+        type,
+        index.method || 'N/A',
+        details.join('; ') || '-',
+        formatSize(index.sizeBytes)
+    ];
+}
+
+// Columns (visualization.table.*) of the workload statistics and the fields they show
+const WORKLOAD_COLUMNS = {
+    source: 'source',
+    calls: 'calls',
+    totalTime: 'totalTimeMs',
+    meanTime: 'meanTimeMs',
+    maxTime: 'maxTimeMs',
+    rowsSent: 'rowsSent',
+    rowsExamined: 'rowsExamined',
+    noIndexUsed: 'noIndexUsed',
+    blocksRead: 'sharedBlocksRead',
+    blocksHit: 'sharedBlocksHit'
+};
+
+// The columns a source records; pg_stat_statements has no rows examined, the slow log no index use
+function workloadColumns(workload) {
+    return Object.keys(WORKLOAD_COLUMNS).filter(column => workload[WORKLOAD_COLUMNS[column]] !== null && workload[WORKLOAD_COLUMNS[column]] !== undefined);
+}
+
+function workloadRow(workload, columns) {
+    return columns.map(column => workload[WORKLOAD_COLUMNS[column]]);
+}
+
+module.exports = {
+    TABLE_STATISTIC_COLUMNS,
+    INDEX_COLUMNS,
+    formatBytes,
+    formatSource,
+    tableStatisticRow,
+    indexRow,
+    workloadColumns,
+    workloadRow
+};
@@ -0,0 +1,313 @@
+// lib/visualizers/htmlVisualizer.js
+const fs = require('fs');
+const { normalizePlan, normalizeIteratorPlan } = require('../analyzers/planNormalizer');
+const { TABLE_STATISTIC_COLUMNS, INDEX_COLUMNS, formatSource, tableStatisticRow, indexRow, workloadColumns, workloadRow } = require('./formatters');
+const { version } = require('../../package.json');
+
+const SEVERITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+const SQL_KEYWORDS = new Set([
+    'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'as', 'on', 'join', 'inner', 'left',
+    'right', 'full', 'outer', 'cross', 'lateral', 'group', 'by', 'order', 'having', 'limit', 'offset', 'union',
+    'all', 'distinct', 'with', 'recursive', 'insert', 'into', 'values', 'update', 'set', 'delete', 'replace',
+    'case', 'when', 'then', 'else', 'end', 'exists', 'between', 'like', 'ilike', 'asc', 'desc', 'returning',
+    'using', 'over', 'partition', 'window', 'true', 'false', 'for', 'materialized', 'interval', 'cast'
+]);
+
+const SQL_TOKEN = /(--[^\n]*|#[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\.|'')*'?)|(`[^`]*`?|"(?:[^"]|"")*"?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_$]*)/g;
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; padding: 24px; color: #1f2933; background: #f5f7fa; }
+h1 { margin-top: 0; }
+h2 { border-bottom: 2px solid #d9e2ec; padding-bottom: 4px; margin-top: 32px; }
+section.statement { background: #fff; border-radius: 6px; padding: 16px 24px; margin-bottom: 24px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+.meta { color: #627d98; font-size: 14px; }
+pre.sql { background: #102a43; color: #d9e2ec; padding: 12px; border-radius: 4px; overflow-x: auto; }
+.sql .kw { color: #7cc4fa; font-weight: bold; }
+.sql .str { color: #8ded8e; }
+.sql .num { color: #f9c74f; }
+.sql .cmt { color: #829ab1; font-style: italic; }
+.sql .id { color: #f0b4ff; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border: 1px solid #d9e2ec; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f4f8; }
+.tree details { margin-left: 18px; }
+.tree > details { margin-left: 0; }
+.tree summary { cursor: pointer; padding: 2px 0; }
+.tree .leaf { margin-left: 18px; padding: 2px 0 2px 14px; }
+.op { font-weight: bold; }
+.rel { color: #486581; }
+.bars { display: inline-block; vertical-align: middle; margin-left: 8px; }
+.bar { display: inline-block; height: 8px; border-radius: 2px; margin-right: 4px; vertical-align: middle; }
+.bar.cost { background: #f0b429; }
+.bar.rows { background: #4098d7; }
+.nums { color: #627d98; font-size: 12px; margin-left: 6px; }
+.attrs { color: #829ab1; font-size: 12px; margin-left: 6px; }
+.rec { border-left: 4px solid; padding: 6px 12px; margin: 8px 0; background: #fff; }
+.rec.HIGH { border-color: #e12d39; }
+.rec.MEDIUM { border-color: #f0b429; }
+.rec.LOW { border-color: #4098d7; }
+.severity { font-weight: bold; }
+.severity.HIGH { color: #e12d39; }
+.severity.MEDIUM { color: #cb6e17; }
+.severity.LOW { color: #2680c2; }
+.legend .bar { width: 24px; }
+`;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function highlightSql(sql) {
+    let html = '';
+    let last = 0;
+
+    for (const match of sql.matchAll(SQL_TOKEN)) {
+        html += escapeHtml(sql.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        const [text, comment, string, identifier, number, word] = match;
+        let className = null;
+        if (comment) className = 'cmt';
+        else if (string) className = 'str';
+        else if (identifier) className = 'id';
+        else if (number) className = 'num';
+        else if (word && SQL_KEYWORDS.has(word.toLowerCase())) className = 'kw';
+
+        html += className ? `<span class="${className}">${escapeHtml(text)}</span>` : escapeHtml(text);
+    }
+
+    return html + escapeHtml(sql.slice(last));
+}
+
+function maxInTree(node, field) {
+    if (!node) return 0;
+    return node.children.reduce((max, child) => Math.max(max, maxInTree(child, field)), Number(node[field]) || 0);
+}
+
+/**
+ * Writes analyzer results as a single self-contained HTML page: no scripts,
+ * fonts or stylesheets are loaded from elsewhere.
+ */
+class HtmlVisualizer {
+    constructor(i18n, { output } = {}) {
+        this.i18n = i18n;
+        this.output = output;
+    }
+
+    async display(result, { line = 1 } = {}) {
+        this.write(this.renderPage([this.renderResult(result, null, line)]));
+    }
+
+    async displayBatch(batch) {
+        const total = batch.statements.length;
+
+        const sections = batch.statements.map(entry => {
+            const title = this.i18n.t('visualization.headers.statement', { index: entry.index, total, line: entry.line });
+            if (entry.result) return this.renderResult(entry.result, title, entry.line);
+
+            return `<section class="statement">
+<h2>${escapeHtml(title)}</h2>
+<pre class="sql">${highlightSql(entry.query)}</pre>
+<p class="severity HIGH">${escapeHtml(this.i18n.t('visualization.batch.failed'))} ${escapeHtml(entry.error)}</p>
+</section>`;
+        });
+
+        this.write(this.renderPage([this.renderBatchSummary(batch.summary), ...sections]));
+    }
+
+    renderPage(sections) {
+        const title = this.i18n.t('visualization.headers.results');
+
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(this.i18n.currentLang)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">queryist ${escapeHtml(version)} &middot; ${escapeHtml(new Date().toISOString())}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+    }
+
+    renderResult(result, title, line = 1) {
+        const parts = [];
+
+        if (title) parts.push(`<h2>${escapeHtml(title)}</h2>`);
+
+        const meta = [result.engine, result.serverVersion].filter(Boolean).map(escapeHtml);
+        if (result.analysisMode) {
+            const mode = this.i18n.t(result.offline ? 'visualization.mode.offline' : `visualization.mode.${result.analysisMode}`);
+            meta.push(`${escapeHtml(this.i18n.t('visualization.mode.label'))} ${escapeHtml(mode)}`);
+        }
+        parts.push(`<p class="meta">${meta.join(' &middot; ')}</p>`);
+
+        parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.query'))}</h2>`);
+        parts.push(`<pre class="sql">${highlightSql(result.query)}</pre>`);
+        if (result.fingerprint) {
+            parts.push(`<p class="meta">${escapeHtml(this.i18n.t('visualization.fingerprint.label'))} <code>${escapeHtml(result.fingerprint.hash)}</code>` +
+                ` &middot; ${escapeHtml(this.i18n.t('visualization.fingerprint.canonical'))} <code>${escapeHtml(result.fingerprint.canonical)}</code></p>`);
+        }
+
+        if (result.workload) {
+            const columns = workloadColumns(result.workload);
+            parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.workload'))}</h2>`);
+            parts.push(this.renderTable(columns, [workloadRow(result.workload, columns)]));
+        }
+
+        parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.plan'))}</h2>`);
+        parts.push(this.renderPlanTree(normalizePlan(result), this.i18n.t('visualization.noData.plan')));
+
+        const iteratorPlan = normalizeIteratorPlan(result);
+        if (iteratorPlan) {
+            parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.iterators'))}</h2>`);
+            parts.push(this.renderPlanTree(iteratorPlan));
+        }
+
+        parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.stats'))}</h2>`);
+        parts.push(this.renderTableStatistics(result.tableStatistics));
+
+        parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.indexes'))}</h2>`);
+        parts.push(this.renderIndexes(result.indexes));
+
+        parts.push(`<h2>${escapeHtml(this.i18n.t('visualization.headers.recommendations'))}</h2>`);
+        parts.push(this.renderRecommendations(result.recommendations, line));
+
+        return `<section class="statement">\n${parts.join('\n')}\n</section>`;
+    }
+
+    renderPlanTree(root, emptyText) {
+        if (!root) return `<p>${escapeHtml(emptyText)}</p>`;
+
+        const scale = {
+            cost: maxInTree(root, 'estimatedCost'),
+            rows: Math.max(maxInTree(root, 'estimatedRows'), maxInTree(root, 'actualRows'))
+        };
+
+        const legend = `<p class="meta legend"><span class="bar cost"></span>${escapeHtml(this.i18n.t('visualization.table.cost'))}
+<span class="bar rows"></span>${escapeHtml(this.i18n.t('visualization.table.rows'))}</p>`;
+
+        return `${legend}<div class="tree">${this.renderPlanNode(root, scale)}</div>`;
+    }
+
+    renderPlanNode(node, scale) {
+        const rows = node.actualRows ?? node.estimatedRows;
+        const bar = (value, max, className) => {
+            if (!max || value === null || value === undefined) return '';
+            const width = Math.max(Math.round((Number(value) / max) * 120), 1);
+            return `<span class="bar ${className}" style="width:${width}px"></span>`;
+        };
+
+        const numbers = [];
+        if (node.estimatedCost !== null) numbers.push(`${this.i18n.t('visualization.table.cost')}: ${node.estimatedCost}`);
+        if (node.estimatedRows !== null) numbers.push(`${this.i18n.t('visualization.table.rows')}: ${node.estimatedRows}`);
+        if (node.actualRows !== null) numbers.push(`${this.i18n.t('visualization.table.actualRows')}: ${node.actualRows}`);
+        if (node.loops !== null) numbers.push(`${this.i18n.t('visualization.table.loops')}: ${node.loops}`);
+        if (node.actualTimeMs !== null) numbers.push(`${this.i18n.t('visualization.table.actualTime')}: ${node.actualTimeMs}`);
+
+        const attributes = Object.entries(node.attributes)
+            .filter(([, value]) => typeof value !== 'object')
+            .map(([key, value]) => `${key}=${value}`);
+
+        const label = [
+            `<span class="op">${escapeHtml(node.operation)}</span>`,
+            node.relation ? ` <span class="rel">${escapeHtml(node.relation)}${node.index ? ` (${escapeHtml(node.index)})` : ''}</span>` : '',
+            `<span class="bars">${bar(node.estimatedCost, scale.cost, 'cost')}${bar(rows, scale.rows, 'rows')}</span>`,
+            numbers.length ? `<span class="nums">${escapeHtml(numbers.join(' · '))}</span>` : '',
+            attributes.length ? `<span class="attrs">${escapeHtml(attributes.join(', '))}</span>` : ''
+        ].join('');
+
+        if (node.children.length === 0) {
+            return `<div class="leaf">${label}</div>`;
+        }
+
+        const children = node.children.map(child => this.renderPlanNode(child, scale)).join('\n');
+        return `<details open><summary>${label}</summary>\n${children}\n</details>`;
+    }
+
+    renderTable(headers, rows, emptyText) {
+        const head = headers.map(header => `<th>${escapeHtml(this.i18n.t(`visualization.table.${header}`))}</th>`).join('');
+        const body = rows.length > 0
+            ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')
+            : `<tr><td colspan="${headers.length}">${escapeHtml(emptyText)}</td></tr>`;
+
+        return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+    }
+
+    renderTableStatistics(stats) {
+        const rows = (stats || []).filter(Boolean).map(tableStatisticRow);
+
+        return this.renderTable(TABLE_STATISTIC_COLUMNS, rows, this.i18n.t('visualization.noData.stats'));
+    }
+
+    renderIndexes(indexes) {
+        const rows = (indexes || []).filter(Boolean).map(indexRow);
+
+        return this.renderTable(INDEX_COLUMNS, rows, this.i18n.t('visualization.noData.indexes'));
+    }
+
+    renderRecommendations(recommendations, line = 1) {
+        if (!Array.isArray(recommendations) || recommendations.length === 0) {
+            return `<p>${escapeHtml(this.i18n.t('visualization.noData.recommendations'))}</p>`;
+        }
+
+        return SEVERITIES
+            .map(severity => {
+                const group = recommendations.filter(rec => rec.severity === severity);
+                if (group.length === 0) return '';
+
+                const items = group.map(rec => {
+                    const steps = (rec.details?.implementation || []).map(step => `<li>${escapeHtml(step)}</li>`).join('');
+                    return `<div class="rec ${severity}">
+<div><strong>${escapeHtml(rec.type)}</strong>${rec.source ? ` <span class="meta">${escapeHtml(formatSource(rec.source, line))}</span>` : ''}</div>
+<div>${escapeHtml(rec.message)}</div>
+<div>${escapeHtml(this.i18n.t('visualization.recommendation.suggestion'))} ${escapeHtml(rec.suggestion)}</div>
+${rec.details?.impact ? `<div>${escapeHtml(this.i18n.t('visualization.recommendation.impact'))} ${escapeHtml(rec.details.impact)}</div>` : ''}
+${steps ? `<ul>${steps}</ul>` : ''}
+</div>`;
+                }).join('\n');
+
+                return `<h3 class="severity ${severity}">${severity} (${group.length})</h3>\n${items}`;
+            })
+            .join('\n');
+    }
+
+    renderBatchSummary(summary) {
+        const rows = summary.ranking.map((item, position) => [
+            position + 1,
+            `#${item.index}`,
+            item.line,
+            item.worstSeverity || '-',
+            item.estimatedCost ?? 'N/A',
+            item.recommendationCount,
+            item.query.replace(/\s+/g, ' ')
+        ]);
+
+        return `<section class="statement">
+<h2>${escapeHtml(this.i18n.t('visualization.headers.batchSummary'))}</h2>
+${this.renderTable(['rank', 'statement', 'line', 'worstSeverity', 'estimatedCost', 'recommendations', 'query'], rows, '-')}
+<p class="meta">${escapeHtml(this.i18n.t('visualization.batch.counts', summary))}</p>
+</section>`;
+    }
+
+    write(html) {
+        if (this.output) {
+            fs.writeFileSync(this.output, html);
+        } else {
+            process.stdout.write(html);
+        }
+    }
+}
+
+module.exports = HtmlVisualizer;
@@ -0,0 +1,140 @@
+// lib/visualizers/jsonVisualizer.js
+const fs = require('fs');
+const { normalizePlan, normalizeIteratorPlan } = require('../analyzers/planNormalizer');
+const { version } = require('../../package.json');
+
+// Bump whenever a field is renamed, removed or changes meaning; see docs/json-report.md
+const SCHEMA_VERSION = 2;
+
+/**
+ * Writes analyzer results as a JSON document, to a file or to stdout.
+ */
+class JsonVisualizer {
+    constructor(i18n, { output } = {}) {
+        this.i18n = i18n;
+        this.output = output;
+    }
+
+    async display(result) {
+        this.write({
+            ...this.envelope('analysis'),
+            analysis: this.formatResult(result)
+        });
+    }
+
+    async displayBatch(batch) {
+        this.write({
+            ...this.envelope('batch'),
+            statements: batch.statements.map(entry => ({
+                index: entry.index,
+                line: entry.line,
+                query: entry.query,
+                analysis: entry.result ? this.formatResult(entry.result) : null,
+                error: entry.error ?? null
+            })),
+            summary: batch.summary
+        });
+    }
+
+    envelope(kind) {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            generator: { name: 'queryist', version },
+            generatedAt: new Date().toISOString(),
+            language: this.i18n.currentLang,
+            kind
+        };
+    }
+
+    formatResult(result) {
+        return {
+            engine: result.engine,
+            serverVersion: result.serverVersion ?? null,
+            analysisMode: result.analysisMode ?? null,
+            offline: Boolean(result.offline),
+            statementType: result.statementType ?? null,
+            query: result.query,
+            fingerprint: result.fingerprint ?? null,
+            workload: result.workload ?? null,
+            estimatedCost: result.estimatedCost ?? null,
+            planningTimeMs: result.executionPlan?.['Planning Time'] ?? null,
+            executionTimeMs: result.executionPlan?.['Execution Time'] ?? null,
+            plan: normalizePlan(result),
+            iteratorPlan: normalizeIteratorPlan(result),
+            tableStatistics: result.tableStatistics || [],
+            indexes: result.indexes || [],
+            recommendations: (result.recommendations || []).map(rec => this.formatRecommendation(rec))
+        };
+    }
+
+    // Also accepts recommendations read back from a JSON report, which have no `details`
+    formatRecommendation(rec) {
+        return {
+            type: rec.type,
+            severity: rec.severity,
+            message: rec.message,
+            suggestion: rec.suggestion,
+            impact: rec.details?.impact ?? rec.impact ?? null,
+            implementation: rec.details?.implementation || rec.implementation || [],
+            ddl: rec.ddl ?? null,
+            verification: rec.verification ? {
+                method: rec.verification.method,
+                costBefore: rec.verification.costBefore,
+                costAfter: rec.verification.costAfter,
+                costDelta: rec.verification.costDelta
+            } : null,
+            source: rec.source ?? null
+        };
+    }
+
+    async displayComparison(comparison) {
+        this.write({
+            ...this.envelope('comparison'),
+            comparison: {
+                ...comparison,
+                recommendations: {
+                    appeared: comparison.recommendations.appeared.map(rec => this.formatRecommendation(rec)),
+                    disappeared: comparison.recommendations.disappeared.map(rec => this.formatRecommendation(rec)),
+                    unchanged: comparison.recommendations.unchanged
+                }
+            }
+        });
+    }
+
+    async displayHistory(history) {
+        this.write({
+            ...this.envelope('history'),
+            history: {
+                file: history.file,
+                query: history.query,
+                queries: history.queries
+            }
+        });
+    }
+
+    async displaySlowLog(report) {
+        this.write({
+            ...this.envelope('slowlog'),
+            slowLog: {
+                ...report,
+                // analysis and error are only there for the statements --analyze-top ran
+                statements: report.statements.map(statement => (statement.analysis === undefined ? statement : {
+                    ...statement,
+                    analysis: statement.analysis ? this.formatResult(statement.analysis) : null
+                }))
+            }
+        });
+    }
+
+    write(document) {
+        const json = JSON.stringify(document, null, 2) + '\n';
+
+        if (this.output) {
+            fs.writeFileSync(this.output, json);
+        } else {
+            process.stdout.write(json);
+        }
+    }
+}
+
+module.exports = JsonVisualizer;
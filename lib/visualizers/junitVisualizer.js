@@ -0,0 +1,125 @@
+// lib/visualizers/junitVisualizer.js
+const fs = require('fs');
+const { meetsThreshold } = require('../analyzers/severity');
+const { formatSource } = require('./formatters');
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Writes a JUnit XML report: one test suite per statement and one test case
+ * per recommendation. Recommendations at or above the --fail-on threshold
+ * (HIGH by default) are failures, statements that could not be analyzed are
+ * errors.
+ */
+class JunitVisualizer {
+    constructor(i18n, { output, queryFile, failOn = 'HIGH' } = {}) {
+        this.i18n = i18n;
+        this.output = output;
+        this.queryFile = queryFile;
+        this.failOn = failOn;
+    }
+
+    async display(result, { line = 1 } = {}) {
+        this.write([{ index: 1, line, query: result.query, result }]);
+    }
+
+    async displayBatch(batch) {
+        this.write(batch.statements);
+    }
+
+    buildSuite(entry) {
+        const name = `${this.queryFile || 'query'}:${entry.line || 1}`;
+        const classname = `queryist.${entry.result?.engine || 'statement'}`;
+        const cases = [];
+        let failures = 0;
+        let errors = 0;
+
+        if (!entry.result) {
+            errors++;
+            cases.push(
+                `    <testcase name="${escapeXml(`statement ${entry.index}`)}" classname="${escapeXml(classname)}">\n` +
+                `      <error message="${escapeXml(entry.error)}">${escapeXml(entry.query)}</error>\n` +
+                '    </testcase>'
+            );
+        } else if (!entry.result.recommendations?.length) {
+            cases.push(`    <testcase name="${escapeXml(`statement ${entry.index}`)}" classname="${escapeXml(classname)}"/>`);
+        } else {
+            entry.result.recommendations.forEach(rec => {
+                const caseName = escapeXml(`${rec.type}: ${rec.message}`);
+
+                if (!meetsThreshold(rec.severity, this.failOn)) {
+                    cases.push(`    <testcase name="${caseName}" classname="${escapeXml(classname)}"/>`);
+                    return;
+                }
+
+                failures++;
+                cases.push(
+                    `    <testcase name="${caseName}" classname="${escapeXml(classname)}">\n` +
+                    `      <failure type="${escapeXml(rec.type)}" message="${escapeXml(`[${rec.severity}] ${rec.message}`)}">${escapeXml(this.failureText(rec, entry))}</failure>\n` +
+                    '    </testcase>'
+                );
+            });
+        }
+
+        const properties = entry.result?.fingerprint
+            ? '    <properties>\n' +
+              `      <property name="fingerprint" value="${escapeXml(entry.result.fingerprint.hash)}"/>\n` +
+              '    </properties>\n'
+            : '';
+
+        return {
+            tests: cases.length,
+            failures,
+            errors,
+            xml: `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="${errors}">\n` +
+                properties +
+                `${cases.join('\n')}\n` +
+                '  </testsuite>'
+        };
+    }
+
+    failureText(rec, entry) {
+        const lines = [];
+
+        if (rec.source) {
+            lines.push(`${this.i18n.t('visualization.recommendation.source')} ${formatSource(rec.source, entry.line || 1)}`);
+        }
+        lines.push(`${this.i18n.t('visualization.recommendation.suggestion')} ${rec.suggestion}`);
+        if (rec.details?.impact) {
+            lines.push(`${this.i18n.t('visualization.recommendation.impact')} ${rec.details.impact}`);
+        }
+        lines.push('', entry.query);
+
+        return lines.join('\n');
+    }
+
+    write(entries) {
+        const suites = entries.map(entry => this.buildSuite(entry));
+        const total = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+
+        const xml = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="queryist" tests="${total('tests')}" failures="${total('failures')}" errors="${total('errors')}">`,
+            ...suites.map(suite => suite.xml),
+            '</testsuites>',
+            ''
+        ].join('\n');
+
+        if (this.output) {
+            fs.writeFileSync(this.output, xml);
+        } else {
+            process.stdout.write(xml);
+        }
+    }
+}
+
+module.exports = JunitVisualizer;
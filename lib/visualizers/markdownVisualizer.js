@@ -0,0 +1,220 @@
+// lib/visualizers/markdownVisualizer.js
+const fs = require('fs');
+const { normalizePlan, normalizeIteratorPlan } = require('../analyzers/planNormalizer');
+const { TABLE_STATISTIC_COLUMNS, INDEX_COLUMNS, formatSource, tableStatisticRow, indexRow, workloadColumns, workloadRow } = require('./formatters');
+
+const SEVERITY_BADGES = {
+    HIGH: '🔴 **HIGH**',
+    MEDIUM: '🟠 **MEDIUM**',
+    LOW: '🔵 **LOW**'
+};
+
+// Table cells cannot hold pipes or line breaks
+function cell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\r?\n\s*/g, ' ');
+}
+
+// Plan text such as `Filter: (a * b)` must not turn into emphasis
+function escapeText(value) {
+    return String(value ?? '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+function inlineCode(value) {
+    const text = String(value);
+    const fence = text.includes('`') ? '``' : '`';
+    return `${fence}${text}${fence}`;
+}
+
+// A fence longer than any backtick run inside the SQL
+function codeBlock(sql, language) {
+    const longestRun = Math.max(0, ...(sql.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${sql}\n${fence}`;
+}
+
+/**
+ * Renders analyzer results as GitHub-flavoured Markdown, with the same
+ * sections as the terminal report, to paste into pull requests and wikis.
+ */
+class MarkdownVisualizer {
+    constructor(i18n, { output } = {}) {
+        this.i18n = i18n;
+        this.output = output;
+    }
+
+    async display(result, { line = 1 } = {}) {
+        this.write([
+            `# ${this.i18n.t('visualization.headers.results')}`,
+            this.renderResult(result, 2, line)
+        ].join('\n\n'));
+    }
+
+    async displayBatch(batch) {
+        const total = batch.statements.length;
+        const sections = [
+            `# ${this.i18n.t('visualization.headers.results')}`,
+            this.renderBatchSummary(batch.summary)
+        ];
+
+        batch.statements.forEach(entry => {
+            sections.push(`## ${this.i18n.t('visualization.headers.statement', { index: entry.index, total, line: entry.line })}`);
+
+            if (entry.result) {
+                sections.push(this.renderResult(entry.result, 3, entry.line));
+            } else {
+                sections.push(codeBlock(entry.query, 'sql'));
+                sections.push(`> ${this.i18n.t('visualization.batch.failed')} ${entry.error}`);
+            }
+        });
+
+        this.write(sections.join('\n\n'));
+    }
+
+    renderResult(result, level, line = 1) {
+        const heading = text => `${'#'.repeat(level)} ${text}`;
+        const sections = [];
+
+        if (result.analysisMode) {
+            const mode = this.i18n.t(result.offline ? 'visualization.mode.offline' : `visualization.mode.${result.analysisMode}`);
+            sections.push(`_${this.i18n.t('visualization.mode.label')} ${mode}_`);
+        }
+
+        sections.push(heading(this.i18n.t('visualization.headers.query')));
+        sections.push(codeBlock(result.query, 'sql'));
+        if (result.fingerprint) {
+            sections.push(`${this.i18n.t('visualization.fingerprint.label')} ${inlineCode(result.fingerprint.hash)}  \n` +
+                `${this.i18n.t('visualization.fingerprint.canonical')} ${inlineCode(result.fingerprint.canonical)}`);
+        }
+
+        if (result.workload) {
+            const columns = workloadColumns(result.workload);
+            sections.push(heading(this.i18n.t('visualization.headers.workload')));
+            sections.push(this.renderTable(columns, [workloadRow(result.workload, columns)]));
+        }
+
+        sections.push(heading(this.i18n.t('visualization.headers.plan')));
+        sections.push(this.renderPlan(normalizePlan(result)));
+
+        const iteratorPlan = normalizeIteratorPlan(result);
+        if (iteratorPlan) {
+            sections.push(heading(this.i18n.t('visualization.headers.iterators')));
+            sections.push(this.renderPlan(iteratorPlan));
+        }
+
+        sections.push(heading(this.i18n.t('visualization.headers.stats')));
+        sections.push(this.renderTable(
+            TABLE_STATISTIC_COLUMNS,
+            (result.tableStatistics || []).filter(Boolean).map(tableStatisticRow),
+            this.i18n.t('visualization.noData.stats')
+        ));
+
+        sections.push(heading(this.i18n.t('visualization.headers.indexes')));
+        sections.push(this.renderTable(
+            INDEX_COLUMNS,
+            (result.indexes || []).filter(Boolean).map(indexRow),
+            this.i18n.t('visualization.noData.indexes')
+        ));
+
+        sections.push(heading(this.i18n.t('visualization.headers.recommendations')));
+        sections.push(this.renderRecommendations(result.recommendations, line));
+
+        return sections.join('\n\n');
+    }
+
+    // The plan as a nested list, one node per item
+    renderPlan(root) {
+        if (!root) return `_${this.i18n.t('visualization.noData.plan')}_`;
+
+        const lines = [];
+        const visit = (node, level) => {
+            const details = [];
+            if (node.estimatedCost !== null) details.push(`${this.i18n.t('visualization.table.cost')}: ${node.estimatedCost}`);
+            if (node.estimatedRows !== null) details.push(`${this.i18n.t('visualization.table.rows')}: ${node.estimatedRows}`);
+            if (node.actualRows !== null) details.push(`${this.i18n.t('visualization.table.actualRows')}: ${node.actualRows}`);
+            if (node.loops !== null) details.push(`${this.i18n.t('visualization.table.loops')}: ${node.loops}`);
+            if (node.actualTimeMs !== null) details.push(`${this.i18n.t('visualization.table.actualTime')}: ${node.actualTimeMs}`);
+
+            let item = `**${escapeText(node.operation)}**`;
+            if (node.relation) item += ` ${inlineCode(node.relation)}`;
+            if (node.index) item += ` (${inlineCode(node.index)})`;
+            if (details.length) item += ` (${details.join(', ')})`;
+
+            const extra = node.attributes.extra;
+            if (extra) item += ` — ${escapeText(extra)}`;
+
+            lines.push(`${'  '.repeat(level)}- ${item}`);
+            node.children.forEach(child => visit(child, level + 1));
+        };
+        visit(root, 0);
+
+        return lines.join('\n');
+    }
+
+    renderTable(headers, rows, emptyText) {
+        const head = headers.map(header => cell(this.i18n.t(`visualization.table.${header}`)));
+        const body = rows.length > 0
+            ? rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+            : [`| ${cell(emptyText)} |${' |'.repeat(headers.length - 1)}`];
+
+        return [
+            `| ${head.join(' | ')} |`,
+            `|${' --- |'.repeat(headers.length)}`,
+            ...body
+        ].join('\n');
+    }
+
+    renderRecommendations(recommendations, line = 1) {
+        if (!Array.isArray(recommendations) || recommendations.length === 0) {
+            return `_${this.i18n.t('visualization.noData.recommendations')}_`;
+        }
+
+        return recommendations.map(rec => {
+            const lines = [`- ${SEVERITY_BADGES[rec.severity] || rec.severity} ${inlineCode(rec.type)} ${rec.message}`];
+
+            if (rec.source) {
+                lines.push(`  - ${this.i18n.t('visualization.recommendation.source')} ${formatSource(rec.source, line)}`);
+            }
+            lines.push(`  - ${this.i18n.t('visualization.recommendation.suggestion')} ${rec.suggestion}`);
+
+            if (rec.details) {
+                lines.push(`  - ${this.i18n.t('visualization.recommendation.impact')} ${rec.details.impact}`);
+                if (rec.details.implementation) {
+                    lines.push(`  - ${this.i18n.t('visualization.recommendation.implementation')}`);
+                    rec.details.implementation.forEach(step => lines.push(`    - ${step}`));
+                }
+            }
+
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    renderBatchSummary(summary) {
+        const rows = summary.ranking.map((item, position) => [
+            position + 1,
+            `#${item.index}`,
+            item.line,
+            item.worstSeverity ? SEVERITY_BADGES[item.worstSeverity] : '-',
+            item.estimatedCost ?? 'N/A',
+            item.recommendationCount,
+            inlineCode(item.query.replace(/\s+/g, ' '))
+        ]);
+
+        return [
+            `## ${this.i18n.t('visualization.headers.batchSummary')}`,
+            this.renderTable(['rank', 'statement', 'line', 'worstSeverity', 'estimatedCost', 'recommendations', 'query'], rows, '-'),
+            this.i18n.t('visualization.batch.counts', summary)
+        ].join('\n\n');
+    }
+
+    write(markdown) {
+        const text = markdown + '\n';
+
+        if (this.output) {
+            fs.writeFileSync(this.output, text);
+        } else {
+            process.stdout.write(text);
+        }
+    }
+}
+
+module.exports = MarkdownVisualizer;
@@ -0,0 +1,161 @@
+// lib/visualizers/sarifVisualizer.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { version } = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+    HIGH: 'error',
+    MEDIUM: 'warning',
+    LOW: 'note'
+};
+
+/**
+ * Writes recommendations as a SARIF 2.1.0 log for code scanning dashboards.
+ * Each recommendation type becomes a rule and each recommendation a result
+ * located at the statement in the query file.
+ */
+class SarifVisualizer {
+    constructor(i18n, { output, queryFile } = {}) {
+        this.i18n = i18n;
+        this.output = output;
+        this.queryFile = queryFile;
+    }
+
+    async display(result, { line = 1 } = {}) {
+        this.write(this.buildLog([{ index: 1, line, query: result.query, result }]));
+    }
+
+    async displayBatch(batch) {
+        this.write(this.buildLog(batch.statements));
+    }
+
+    buildLog(entries) {
+        const rules = [];
+        const ruleIndexes = new Map();
+        const results = [];
+        const notifications = [];
+
+        entries.forEach(entry => {
+            if (!entry.result) {
+                notifications.push({
+                    level: 'error',
+                    message: { text: `${this.i18n.t('visualization.batch.failed')} ${entry.error}` },
+                    locations: [this.location(entry)]
+                });
+                return;
+            }
+
+            (entry.result.recommendations || []).forEach(rec => {
+                if (!ruleIndexes.has(rec.type)) {
+                    ruleIndexes.set(rec.type, rules.length);
+                    rules.push(this.rule(rec));
+                }
+
+                results.push({
+                    ruleId: rec.type,
+                    ruleIndex: ruleIndexes.get(rec.type),
+                    level: SARIF_LEVELS[rec.severity] || 'note',
+                    message: { text: `${rec.message}. ${rec.suggestion}` },
+                    locations: [this.location(entry, rec.source)],
+                    partialFingerprints: {
+                        'queryist/v1': this.fingerprint(rec, entry.query)
+                    },
+                    properties: {
+                        severity: rec.severity,
+                        engine: entry.result.engine,
+                        query: entry.query,
+                        queryFingerprint: entry.result.fingerprint?.hash ?? null,
+                        source: rec.source ?? null,
+                        ddl: rec.ddl ?? null
+                    }
+                });
+            });
+        });
+
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'queryist',
+                        version,
+                        rules
+                    }
+                },
+                invocations: [{
+                    executionSuccessful: notifications.length === 0,
+                    toolExecutionNotifications: notifications
+                }],
+                results
+            }]
+        };
+    }
+
+    rule(rec) {
+        const implementation = rec.details?.implementation || [];
+        return {
+            id: rec.type,
+            name: rec.type,
+            shortDescription: { text: rec.suggestion },
+            fullDescription: { text: rec.details?.impact || rec.suggestion },
+            help: { text: implementation.map(step => `- ${step}`).join('\n') || rec.suggestion },
+            defaultConfiguration: { level: SARIF_LEVELS[rec.severity] || 'note' }
+        };
+    }
+
+    // Without a query file there is nothing to point at but the statement number
+    // Static findings carry a position within the statement
+    location(entry, source = null) {
+        if (!this.queryFile) {
+            return { logicalLocations: [{ name: `statement ${entry.index}` }] };
+        }
+
+        const uri = path.isAbsolute(this.queryFile)
+            ? pathToFileURL(this.queryFile).href
+            : this.queryFile.split(path.sep).join('/');
+
+        const region = { startLine: entry.line || 1 };
+        if (source?.line) {
+            region.startLine += source.line - 1;
+            // The column of the statement's first line depends on where the statement starts
+            if (source.line > 1) region.startColumn = source.column;
+        }
+
+        return {
+            physicalLocation: {
+                artifactLocation: { uri },
+                region
+            }
+        };
+    }
+
+    // Stable across runs and line moves, so dashboards can track a finding
+    fingerprint(rec, query) {
+        return crypto.createHash('sha256')
+            .update([
+                rec.type,
+                JSON.stringify(rec.source ?? null),
+                query.replace(/\s+/g, ' ').trim(),
+                // Several index suggestions can share a table
+                ...(rec.ddl ? [rec.ddl] : [])
+            ].join('\n'))
+            .digest('hex');
+    }
+
+    write(log) {
+        const json = JSON.stringify(log, null, 2) + '\n';
+
+        if (this.output) {
+            fs.writeFileSync(this.output, json);
+        } else {
+            process.stdout.write(json);
+        }
+    }
+}
+
+module.exports = SarifVisualizer;
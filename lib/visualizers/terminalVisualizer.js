@@ -2,21 +2,65 @@
 const chalk = require('chalk');
 const Table = require('cli-table3');
 const logger = require('../utils/logger');
+const { TABLE_STATISTIC_COLUMNS, INDEX_COLUMNS, formatSource, tableStatisticRow, indexRow, workloadColumns, workloadRow } = require('./formatters');
+const { normalizePlan } = require('../analyzers/planNormalizer');
+const { OFFLINE_TARGET } = require('../utils/history');
+
+// PostgreSQL conditions shown in the plan details
+const POSTGRES_CONDITIONS = [
+    'Index Cond',
+    'Recheck Cond',
+    'Hash Cond',
+    'Merge Cond',
+    'Join Filter',
+    'Filter'
+];
+
+// How many of the most expensive nodes are highlighted
+const HIGHLIGHTED_NODES = 3;
+
+// Markers and colors of the plan diff statuses
+const DIFF_STATUSES = {
+    unchanged: { marker: ' ', color: chalk.white },
+    changed: { marker: '~', color: chalk.yellow },
+    added: { marker: '+', color: chalk.green },
+    removed: { marker: '-', color: chalk.red }
+};
 
 class TerminalVisualizer {
     constructor(i18n) {
         this.i18n = i18n;
     }
 
-    async display(result) {
+    async display(result, { line = 1 } = {}) {
         try {
             this.displayHeader(this.i18n.t('visualization.headers.results'));
 
+            // Display how the plan was obtained
+            if (result.analysisMode) {
+                this.displayAnalysisMode(result.analysisMode, result.offline);
+            }
+
             // Display query
-            this.displayQuery(result.query);
+            this.displayQuery(result.query, result.fingerprint);
+
+            // Display what discover read about the statement
+            if (result.workload) {
+                this.displayWorkload(result.workload);
+            }
 
             // Display execution plan
-            this.displayExecutionPlan(result.executionPlan);
+            if (result.engine === 'postgresql') {
+                this.displayPostgresPlan(result.executionPlan);
+            } else if (result.executionPlan || !result.iteratorPlan) {
+                // A saved EXPLAIN FORMAT=TREE has only the iterator tree
+                this.displayExecutionPlan(result.executionPlan);
+            }
+
+            // Display MySQL iterator tree (EXPLAIN FORMAT=TREE / EXPLAIN ANALYZE)
+            if (result.iteratorPlan) {
+                this.displayIteratorPlan(result.iteratorPlan);
+            }
 
             // Display table statistics
             this.displayTableStatistics(result.tableStatistics);
@@ -26,22 +70,440 @@ class TerminalVisualizer {
 
             // Display recommendations if any
             if (result.recommendations && result.recommendations.length > 0) {
-                this.displayRecommendations(result.recommendations);
+                this.displayRecommendations(result.recommendations, line);
+            }
+        } catch (error) {
+            logger.error(this.i18n.t('errors.display'), error.message);
+        }
+    }
+
+    async displayBatch(batch) {
+        try {
+            const total = batch.statements.length;
+
+            for (const entry of batch.statements) {
+                this.displayHeader(this.i18n.t('visualization.headers.statement', {
+                    index: entry.index,
+                    total,
+                    line: entry.line
+                }));
+
+                if (entry.result) {
+                    await this.display(entry.result, { line: entry.line });
+                } else {
+                    console.log(chalk.white(entry.query) + '\n');
+                    console.log(chalk.red(`${this.i18n.t('visualization.batch.failed')} ${entry.error}`));
+                }
+            }
+
+            this.displayBatchSummary(batch.summary);
+        } catch (error) {
+            logger.error(this.i18n.t('errors.display'), error.message);
+        }
+    }
+
+    displayBatchSummary(summary) {
+        this.displayHeader(this.i18n.t('visualization.headers.batchSummary'));
+
+        const table = new Table({
+            head: [
+                this.i18n.t('visualization.table.rank'),
+                this.i18n.t('visualization.table.statement'),
+                this.i18n.t('visualization.table.line'),
+                this.i18n.t('visualization.table.worstSeverity'),
+                this.i18n.t('visualization.table.estimatedCost'),
+                this.i18n.t('visualization.table.recommendations'),
+                this.i18n.t('visualization.table.query')
+            ].map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        summary.ranking.forEach((item, position) => {
+            const severity = item.worstSeverity || '-';
+            table.push([
+                position + 1,
+                `#${item.index}`,
+                item.line,
+                this.getSeverityColor(item.worstSeverity)(severity),
+                item.estimatedCost ?? 'N/A',
+                item.recommendationCount,
+                this.truncate(item.query.replace(/\s+/g, ' '), 60)
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.white(this.i18n.t('visualization.batch.counts', summary)));
+    }
+
+    async displayComparison(comparison) {
+        try {
+            this.displayHeader(this.i18n.t('visualization.comparison.title'));
+            console.log(chalk.gray(`${this.i18n.t('visualization.comparison.before')}: ${comparison.before.label}`));
+            console.log(chalk.gray(`${this.i18n.t('visualization.comparison.after')}: ${comparison.after.label}\n`));
+
+            this.displayComparisonSummary(comparison);
+            this.displayAccessMethodChanges(comparison.accessMethods);
+            this.displayJoinChanges(comparison.joins);
+
+            if (comparison.plan) {
+                this.displayPlanDiff(this.i18n.t('visualization.comparison.planTree'), comparison.plan);
+            }
+            if (comparison.iteratorPlan) {
+                this.displayPlanDiff(this.i18n.t('visualization.comparison.iteratorTree'), comparison.iteratorPlan);
             }
+
+            this.displayRecommendationChanges(comparison.recommendations);
         } catch (error) {
             logger.error(this.i18n.t('errors.display'), error.message);
         }
     }
 
+    displayComparisonSummary(comparison) {
+        const table = new Table({
+            head: [
+                this.i18n.t('visualization.comparison.metric'),
+                this.i18n.t('visualization.comparison.before'),
+                this.i18n.t('visualization.comparison.after'),
+                this.i18n.t('visualization.comparison.change')
+            ].map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        const metrics = [
+            ['estimatedCost', comparison.estimatedCost],
+            ['planningTime', comparison.planningTimeMs],
+            ['executionTime', comparison.executionTimeMs]
+        ];
+        metrics
+            .filter(([, change]) => change.before !== null || change.after !== null)
+            .forEach(([key, change]) => {
+                table.push([
+                    this.i18n.t(`visualization.comparison.${key}`),
+                    change.before ?? 'N/A',
+                    change.after ?? 'N/A',
+                    this.formatChange(change.delta, change.percent)
+                ]);
+            });
+
+        const before = comparison.before.recommendationCount;
+        const after = comparison.after.recommendationCount;
+        table.push([this.i18n.t('visualization.comparison.recommendations'), before, after, this.formatChange(after - before)]);
+
+        console.log(table.toString());
+    }
+
+    // Lower is better for every compared figure
+    formatChange(delta, percent = null) {
+        if (delta === null || delta === undefined) return 'N/A';
+        if (delta === 0) return chalk.gray('0');
+
+        const text = `${delta > 0 ? '+' : ''}${delta}${percent !== null ? ` (${percent > 0 ? '+' : ''}${percent}%)` : ''}`;
+        return delta < 0 ? chalk.green(text) : chalk.red(text);
+    }
+
+    describeAccess(methods) {
+        if (methods.length === 0) return chalk.gray(this.i18n.t('visualization.comparison.notRead'));
+        return methods.map(method => method.index ? `${method.operation} (${method.index})` : method.operation).join(', ');
+    }
+
+    displayAccessMethodChanges(accessMethods) {
+        this.displayHeader(this.i18n.t('visualization.comparison.accessMethods'));
+
+        const changed = accessMethods.filter(entry => entry.changed);
+        if (changed.length === 0) {
+            console.log(chalk.gray(this.i18n.t('visualization.comparison.noChanges')));
+            return;
+        }
+        changed.forEach(entry => {
+            console.log(`${chalk.white(entry.relation)}: ${this.describeAccess(entry.before)} ${chalk.cyan('->')} ${this.describeAccess(entry.after)}`);
+        });
+    }
+
+    displayJoinChanges(joins) {
+        this.displayHeader(this.i18n.t('visualization.comparison.joins'));
+
+        const changed = joins.filter(entry => entry.changed);
+        if (changed.length === 0) {
+            console.log(chalk.gray(this.i18n.t('visualization.comparison.noChanges')));
+            return;
+        }
+        const notRead = chalk.gray(this.i18n.t('visualization.comparison.notRead'));
+        changed.forEach(entry => {
+            console.log(`${chalk.white(entry.relations.join(', '))}: ${entry.before || notRead} ${chalk.cyan('->')} ${entry.after || notRead}`);
+        });
+    }
+
+    describeDiffNode(node) {
+        if (!node) return '';
+        let text = node.operation;
+        // MySQL iterators already name their table and index, e.g. "Index lookup on o using idx"
+        if (node.relation && !text.includes(` on ${node.relation}`)) text += ` on ${node.relation}`;
+        if (node.index && !text.includes(`using ${node.index}`)) text += ` using ${node.index}`;
+        return text;
+    }
+
+    displayPlanDiff(title, root) {
+        this.displayHeader(title);
+
+        const table = new Table({
+            head: [
+                '',
+                this.i18n.t('visualization.table.operation'),
+                this.i18n.t('visualization.table.cost'),
+                this.i18n.t('visualization.table.rows'),
+                this.i18n.t('visualization.table.actualTime')
+            ].map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        const figure = (node, field, difference) => {
+            if (node.status === 'added') return node.after[field] ?? '-';
+            if (node.status === 'removed') return node.before[field] ?? '-';
+            const before = node.before[field];
+            const after = node.after[field];
+            if (before === after || difference === null) return after ?? '-';
+            return `${before} -> ${after} (${this.formatChange(difference)})`;
+        };
+
+        const visit = (node, level) => {
+            const { marker, color } = DIFF_STATUSES[node.status];
+            let operation = this.describeDiffNode(node.after || node.before);
+            if (node.status === 'changed') {
+                operation = `${this.describeDiffNode(node.before)} -> ${operation}`;
+            }
+
+            table.push([
+                color(marker),
+                color(`${'  '.repeat(level)}${level > 0 ? '-> ' : ''}${operation}`),
+                figure(node, 'estimatedCost', node.costDelta),
+                figure(node, 'estimatedRows', node.rowsDelta),
+                figure(node, 'actualTimeMs', node.timeDeltaMs)
+            ]);
+            node.children.forEach(child => visit(child, level + 1));
+        };
+        visit(root, 0);
+
+        console.log(table.toString());
+    }
+
+    displayRecommendationChanges(changes) {
+        [['appeared', changes.appeared, chalk.red, '+'], ['disappeared', changes.disappeared, chalk.green, '-']]
+            .forEach(([key, recommendations, color, marker]) => {
+                this.displayHeader(this.i18n.t(`visualization.comparison.${key}`));
+                if (recommendations.length === 0) {
+                    console.log(chalk.gray(this.i18n.t('visualization.comparison.noChanges')));
+                    return;
+                }
+                recommendations.forEach(rec => {
+                    const source = rec.source ? chalk.gray(` (${formatSource(rec.source)})`) : '';
+                    console.log(`${color(marker)} ${this.getSeverityColor(rec.severity)(`[${rec.type}] ${rec.severity}`)} ${rec.message}${source}`);
+                });
+            });
+
+        console.log(chalk.white(`\n${this.i18n.t('visualization.comparison.unchanged', { count: changes.unchanged })}`));
+    }
+
+    /**
+     * @param {{ file: string, query: string|null, queries: object[] }} history - groups from trackHistory
+     */
+    async displayHistory(history) {
+        try {
+            this.displayHeader(this.i18n.t('visualization.history.title'));
+            if (history.queries.length === 0) {
+                console.log(chalk.gray(this.i18n.t('visualization.history.empty', { file: history.file })));
+                return;
+            }
+
+            if (history.query === null) {
+                this.displayHistoryOverview(history.queries);
+            } else {
+                history.queries.forEach(group => this.displayQueryHistory(group));
+            }
+        } catch (error) {
+            logger.error(this.i18n.t('errors.display'), error.message);
+        }
+    }
+
+    displayHistoryOverview(queries) {
+        const table = new Table({
+            head: [
+                this.i18n.t('visualization.table.query'),
+                this.i18n.t('visualization.history.profile'),
+                this.i18n.t('visualization.history.target'),
+                this.i18n.t('visualization.history.runs'),
+                this.i18n.t('visualization.history.lastRun'),
+                this.i18n.t('visualization.table.estimatedCost'),
+                this.i18n.t('visualization.history.status')
+            ].map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        queries.forEach(group => {
+            const latest = group.runs[group.runs.length - 1];
+            table.push([
+                this.truncate(group.query.replace(/\s+/g, ' '), 60),
+                group.profile ?? '-',
+                this.describeTarget(group.target),
+                group.runs.length,
+                this.formatTimestamp(latest.timestamp),
+                latest.estimatedCost ?? 'N/A',
+                this.describeRunStatus(latest)
+            ]);
+        });
+
+        console.log(table.toString());
+    }
+
+    displayQueryHistory(group) {
+        console.log(chalk.white(this.truncate(group.query.replace(/\s+/g, ' '), 100)));
+        console.log(chalk.gray(`${this.i18n.t('visualization.history.fingerprint')}: ${group.fingerprint}, ` +
+            `${this.i18n.t('visualization.history.profile')}: ${group.profile ?? '-'}, ` +
+            `${this.i18n.t('visualization.history.target')}: ${this.describeTarget(group.target)}`));
+
+        const table = new Table({
+            head: [
+                this.i18n.t('visualization.history.run'),
+                this.i18n.t('visualization.history.mode'),
+                this.i18n.t('visualization.table.estimatedCost'),
+                this.i18n.t('visualization.table.actualTime'),
+                this.i18n.t('visualization.table.recommendations'),
+                this.i18n.t('visualization.history.status')
+            ].map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        group.runs.forEach(run => {
+            table.push([
+                this.formatTimestamp(run.timestamp),
+                run.analysisMode ?? '-',
+                run.estimatedCost ?? 'N/A',
+                run.executionTimeMs ?? '-',
+                run.recommendationCount,
+                this.describeRunStatus(run)
+            ]);
+        });
+        console.log(table.toString());
+
+        const latest = group.runs[group.runs.length - 1];
+        const shape = latest.regressions.find(regression => regression.type === 'planShape');
+        if (shape) {
+            console.log(chalk.red(this.i18n.t('visualization.history.shapeChanges')));
+            shape.accessMethods.forEach(entry => {
+                console.log(`  ${chalk.white(entry.relation)}: ${this.describeAccess(entry.before)} ${chalk.cyan('->')} ${this.describeAccess(entry.after)}`);
+            });
+            const notRead = chalk.gray(this.i18n.t('visualization.comparison.notRead'));
+            shape.joins.forEach(entry => {
+                console.log(`  ${chalk.white(entry.relations.join(', '))}: ${entry.before || notRead} ${chalk.cyan('->')} ${entry.after || notRead}`);
+            });
+        }
+        console.log('');
+    }
+
+    /**
+     * @param {object} report - from rankStatements, with the files read and any analyses
+     */
+    async displaySlowLog(report) {
+        try {
+            this.displayHeader(this.i18n.t('visualization.slowLog.title'));
+            console.log(chalk.gray(this.i18n.t('visualization.slowLog.summary', {
+                format: this.i18n.t(`visualization.slowLog.formats.${report.format}`),
+                files: report.files.join(', '),
+                entries: report.entries,
+                statements: report.statementCount,
+                totalTimeMs: report.totalTimeMs
+            })) + '\n');
+
+            if (report.statements.length === 0) {
+                console.log(chalk.gray(this.i18n.t('visualization.slowLog.empty')));
+                return;
+            }
+
+            // PostgreSQL logs have no row counts
+            const rows = report.format === 'mysql';
+            const table = new Table({
+                head: [
+                    'rank', 'query', 'calls', 'totalTime', 'percent', 'meanTime', 'p95Time', 'maxTime',
+                    ...(rows ? ['rowsSent', 'rowsExamined'] : [])
+                ].map(h => chalk.yellow(this.i18n.t(`visualization.table.${h}`))),
+                style: { head: [], border: [] }
+            });
+            report.statements.forEach(statement => {
+                table.push([
+                    statement.rank,
+                    this.truncate(statement.query, 60),
+                    statement.calls,
+                    statement.totalTimeMs,
+                    statement.percent ?? '-',
+                    statement.meanTimeMs,
+                    statement.p95TimeMs,
+                    statement.maxTimeMs,
+                    ...(rows ? [statement.rowsSent ?? '-', statement.rowsExamined ?? '-'] : [])
+                ]);
+            });
+            console.log(table.toString());
+
+            for (const statement of report.statements) {
+                if (!statement.analysis && !statement.error && !statement.skipped) continue;
+
+                this.displayHeader(this.i18n.t('visualization.slowLog.statement', { rank: statement.rank }));
+                if (statement.analysis) {
+                    await this.display(statement.analysis);
+                } else if (statement.skipped) {
+                    console.log(chalk.white(statement.sample) + '\n');
+                    console.log(chalk.yellow(`${this.i18n.t('visualization.slowLog.skipped')} ${statement.skipped}`));
+                } else {
+                    console.log(chalk.white(statement.sample) + '\n');
+                    console.log(chalk.red(`${this.i18n.t('visualization.batch.failed')} ${statement.error}`));
+                }
+            }
+        } catch (error) {
+            logger.error(this.i18n.t('errors.display'), error.message);
+        }
+    }
+
+    describeTarget(target) {
+        return target === OFFLINE_TARGET ? this.i18n.t('visualization.history.offline') : target;
+    }
+
+    describeRunStatus(run) {
+        if (run.regressions.length > 0) {
+            return chalk.red(run.regressions.map(regression => regression.type === 'cost'
+                ? this.i18n.t('visualization.history.costRegression', { percent: regression.percent ?? '?' })
+                : this.i18n.t('visualization.history.planChanged')).join(', '));
+        }
+        if (run.baseline) return chalk.cyan(this.i18n.t('visualization.history.baseline'));
+        return chalk.green(this.i18n.t('visualization.history.ok'));
+    }
+
+    formatTimestamp(timestamp) {
+        return timestamp.replace('T', ' ').slice(0, 19);
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+    }
+
     displayHeader(text) {
         console.log('\n' + chalk.cyan.bold('='.repeat(50)));
         console.log(chalk.cyan.bold(text));
         console.log(chalk.cyan.bold('='.repeat(50)) + '\n');
     }
 
-    displayQuery(query) {
+    displayAnalysisMode(mode, offline) {
+        const description = this.i18n.t(offline ? 'visualization.mode.offline' : `visualization.mode.${mode}`);
+        console.log(chalk.gray(`${this.i18n.t('visualization.mode.label')} ${description}`));
+        if (mode === 'plan') {
+            console.log(chalk.gray(this.i18n.t('visualization.mode.estimateNote')));
+        }
+    }
+
+    displayQuery(query, fingerprint = null) {
         this.displayHeader(this.i18n.t('visualization.headers.query'));
         console.log(chalk.white(query));
+        if (fingerprint) {
+            console.log(chalk.gray(`\n${this.i18n.t('visualization.fingerprint.label')} ${fingerprint.hash}`));
+            console.log(chalk.gray(`${this.i18n.t('visualization.fingerprint.canonical')} ${fingerprint.canonical}`));
+        }
     }
 
     displayExecutionPlan(plan) {
@@ -71,8 +533,11 @@ class TerminalVisualizer {
 
         const indent = '  '.repeat(level);
 
-        const operation = node.select_type || 'SIMPLE';
-        const cost = node.rows ? `${node.rows} rows` : 'N/A';
+        let operation = node.select_type || 'SIMPLE';
+        if (node.kind === 'select' && node.id !== null && node.id !== undefined) {
+            operation += ` #${node.id}`;
+        }
+        const cost = node.cost ?? (node.rows ? `${node.rows} rows` : 'N/A');
         const rowsEstimate = node.rows || 'N/A';
         let details = [];
 
@@ -89,38 +554,195 @@ class TerminalVisualizer {
             details.join(', ') || 'N/A'
         ]);
 
-        const children = node.Plans || node.children || [];
-        if (Array.isArray(children)) {
-            children.forEach(child => this.formatExecutionPlan(child, level + 1, table));
+        (node.children || []).forEach(child => this.formatExecutionPlan(child, level + 1, table));
+    }
+
+    displayPostgresPlan(explainResult) {
+        this.displayHeader(this.i18n.t('visualization.headers.plan'));
+
+        const root = normalizePlan({ engine: 'postgresql', executionPlan: explainResult });
+        if (!root) {
+            console.log(chalk.yellow(this.i18n.t('visualization.noData.plan')));
+            return;
+        }
+
+        // Actual rows, loops and time only exist when the statement was executed
+        const analyzed = root.actualRows !== null;
+        const head = [
+            this.i18n.t('visualization.table.operation'),
+            this.i18n.t('visualization.table.cost'),
+            this.i18n.t('visualization.table.rows')
+        ];
+        if (analyzed) {
+            head.push(
+                this.i18n.t('visualization.table.actualRows'),
+                this.i18n.t('visualization.table.loops'),
+                this.i18n.t('visualization.table.actualTime')
+            );
+        }
+        head.push(this.i18n.t('visualization.table.details'));
+
+        const table = new Table({
+            head: head.map(h => chalk.yellow(h)),
+            style: { head: [], border: [] }
+        });
+
+        const highlighted = this.mostExpensiveNodes(root, analyzed);
+
+        const visit = (node, level) => {
+            const attributes = node.attributes;
+            const neverExecuted = analyzed && node.loops === 0;
+            const actual = value => neverExecuted ? this.i18n.t('visualization.table.neverExecuted') : value ?? 'N/A';
+
+            let operation = node.operation;
+            if (node.relation) operation += ` on ${node.relation}`;
+            if (node.index) operation += ` using ${node.index}`;
+            if (attributes['Subplan Name']) operation = `${attributes['Subplan Name']}: ${operation}`;
+            operation = (level > 0 ? `${'  '.repeat(level - 1)}-> ` : '') + operation;
+
+            const startupCost = attributes['Startup Cost'];
+            const row = [
+                operation,
+                startupCost !== undefined ? `${startupCost}..${node.estimatedCost}` : node.estimatedCost ?? 'N/A',
+                node.estimatedRows ?? 'N/A'
+            ];
+            if (analyzed) {
+                row.push(actual(node.actualRows), actual(node.loops), actual(node.actualTimeMs));
+            }
+            row.push(this.postgresNodeDetails(attributes).join('\n') || '-');
+
+            const color = highlighted.has(node) ? chalk.red.bold : chalk.white;
+            table.push(row.map(cell => color(cell)));
+
+            node.children.forEach(child => visit(child, level + 1));
+        };
+        visit(root, 0);
+
+        console.log(table.toString());
+
+        if (highlighted.size > 0) {
+            const measure = this.i18n.t(analyzed ? 'visualization.plan.time' : 'visualization.plan.cost');
+            console.log(chalk.red.bold(this.i18n.t('visualization.plan.highlightNote', { measure })));
+        }
+        if (explainResult['Planning Time'] !== undefined) {
+            console.log(chalk.gray(this.i18n.t('visualization.plan.planningTime', { ms: explainResult['Planning Time'] })));
+        }
+        if (explainResult['Execution Time'] !== undefined) {
+            console.log(chalk.gray(this.i18n.t('visualization.plan.executionTime', { ms: explainResult['Execution Time'] })));
         }
     }
 
-    displayTableStatistics(stats) {
-        this.displayHeader(this.i18n.t('visualization.headers.stats'));
+    postgresNodeDetails(attributes) {
+        const details = [];
+
+        POSTGRES_CONDITIONS.forEach(key => {
+            if (attributes[key]) details.push(`${key}: ${attributes[key]}`);
+        });
+        if (attributes['Rows Removed by Filter']) {
+            details.push(`Rows Removed by Filter: ${attributes['Rows Removed by Filter']}`);
+        }
+        if (attributes['Sort Key']) details.push(`Sort Key: ${attributes['Sort Key'].join(', ')}`);
+        if (attributes['Sort Space Type'] === 'Disk') {
+            details.push(`Sort Method: ${attributes['Sort Method']}, Disk: ${attributes['Sort Space Used']} kB`);
+        }
+        if (attributes['Hash Batches'] > 1) details.push(`Hash Batches: ${attributes['Hash Batches']}`);
+
+        const buffers = [
+            ['shared', ['hit', 'Shared Hit Blocks'], ['read', 'Shared Read Blocks'], ['dirtied', 'Shared Dirtied Blocks'], ['written', 'Shared Written Blocks']],
+            ['temp', ['read', 'Temp Read Blocks'], ['written', 'Temp Written Blocks']]
+        ].map(([kind, ...counters]) => {
+            const values = counters
+                .filter(([, key]) => attributes[key] > 0)
+                .map(([label, key]) => `${label}=${attributes[key]}`);
+            return values.length > 0 ? `${kind} ${values.join(' ')}` : null;
+        }).filter(Boolean);
+        if (buffers.length > 0) details.push(`Buffers: ${buffers.join(', ')}`);
+
+        return details;
+    }
+
+    // Nodes ranked by what they spend themselves, without their children:
+    // time across all loops when the statement ran, planner cost otherwise
+    mostExpensiveNodes(root, analyzed) {
+        const total = node => analyzed
+            ? (node.actualTimeMs ?? 0) * (node.loops ?? 1)
+            : node.estimatedCost ?? 0;
+
+        const nodes = [];
+        const visit = node => {
+            const own = total(node) - node.children.reduce((sum, child) => sum + total(child), 0);
+            if (own > 0) nodes.push({ node, own });
+            node.children.forEach(visit);
+        };
+        visit(root);
+
+        return new Set(nodes
+            .sort((a, b) => b.own - a.own)
+            .slice(0, HIGHLIGHTED_NODES)
+            .map(entry => entry.node));
+    }
+
+    displayIteratorPlan(root) {
+        this.displayHeader(this.i18n.t('visualization.headers.iterators'));
 
         const table = new Table({
             head: [
-                this.i18n.t('visualization.table.table'),
+                this.i18n.t('visualization.table.operation'),
+                this.i18n.t('visualization.table.cost'),
                 this.i18n.t('visualization.table.rows'),
-                this.i18n.t('visualization.table.size'),
-                this.i18n.t('visualization.table.indexSize')
+                this.i18n.t('visualization.table.actualRows'),
+                this.i18n.t('visualization.table.loops'),
+                this.i18n.t('visualization.table.actualTime')
             ].map(h => chalk.yellow(h)),
             style: { head: [], border: [] }
         });
 
+        const visit = (node, level) => {
+            const actual = node.neverExecuted ? this.i18n.t('visualization.table.neverExecuted') : 'N/A';
+            table.push([
+                '  '.repeat(level) + this.truncate(node.operation, 70),
+                node.estimatedCost ?? 'N/A',
+                node.estimatedRows ?? 'N/A',
+                node.actualRows ?? actual,
+                node.loops ?? actual,
+                node.actualTime ?? actual
+            ]);
+            node.children.forEach(child => visit(child, level + 1));
+        };
+        visit(root, 0);
+
+        console.log(table.toString());
+    }
+
+    displayWorkload(workload) {
+        this.displayHeader(this.i18n.t('visualization.headers.workload'));
+
+        const columns = workloadColumns(workload);
+        const table = new Table({
+            head: columns.map(h => chalk.yellow(this.i18n.t(`visualization.table.${h}`))),
+            style: { head: [], border: [] }
+        });
+        table.push(workloadRow(workload, columns));
+
+        console.log(table.toString());
+    }
+
+    displayTableStatistics(stats) {
+        this.displayHeader(this.i18n.t('visualization.headers.stats'));
+
+        const table = new Table({
+            head: TABLE_STATISTIC_COLUMNS.map(h => chalk.yellow(this.i18n.t(`visualization.table.${h}`))),
+            style: { head: [], border: [] }
+        });
+
         if (Array.isArray(stats) && stats.length > 0) {
             stats.forEach(stat => {
                 if (stat) {
-                    table.push([
-                        stat.TABLE_NAME || stat.table_name || 'N/A',
-                        stat.TABLE_ROWS || stat.table_rows || 'N/A',
-                        this.formatBytes(stat.DATA_LENGTH || stat.data_length || 0),
-                        this.formatBytes(stat.INDEX_LENGTH || stat.index_length || 0)
-                    ]);
+                    table.push(tableStatisticRow(stat));
                 }
             });
         } else {
-            table.push([this.i18n.t('visualization.noData.stats'), 'N/A', 'N/A', 'N/A']);
+            table.push([this.i18n.t('visualization.noData.stats'), ...Array(TABLE_STATISTIC_COLUMNS.length - 1).fill('N/A')]);
         }
 
         console.log(table.toString());
@@ -130,48 +752,33 @@ class TerminalVisualizer {
         this.displayHeader(this.i18n.t('visualization.headers.indexes'));
 
         const table = new Table({
-            head: [
-                this.i18n.t('visualization.table.table'),
-                this.i18n.t('visualization.table.indexName'),
-                this.i18n.t('visualization.table.columns'),
-                this.i18n.t('visualization.table.type')
-            ].map(h => chalk.yellow(h)),
+            head: INDEX_COLUMNS.map(h => chalk.yellow(this.i18n.t(`visualization.table.${h}`))),
             style: { head: [], border: [] }
         });
 
         if (Array.isArray(indexes) && indexes.length > 0) {
             indexes.forEach(index => {
                 if (index) {
-                    let columns = 'N/A';
-                    let type = 'N/A';
-
-                    columns = index.COLUMN_NAME || index.column_name || 'N/A';
-                    type = (index.NON_UNIQUE !== undefined) ?
-                        (index.NON_UNIQUE === 1 ? 'Non-Unique' : 'Unique') :
-                        (index.non_unique ? 'Non-Unique' : 'Unique');
-
-                    table.push([
-                        index.TABLE_NAME || index.table_name || 'N/A',
-                        index.INDEX_NAME || index.index_name || 'N/A',
-                        columns,
-                        type
-                    ]);
+                    table.push(indexRow(index));
                 }
             });
         } else {
-            table.push([this.i18n.t('visualization.noData.indexes'), '-', '-', '-']);
+            table.push([this.i18n.t('visualization.noData.indexes'), ...Array(INDEX_COLUMNS.length - 1).fill('-')]);
         }
 
         console.log(table.toString());
     }
 
-    displayRecommendations(recommendations) {
+    displayRecommendations(recommendations, line = 1) {
         this.displayHeader(this.i18n.t('visualization.headers.recommendations'));
 
         if (Array.isArray(recommendations) && recommendations.length > 0) {
             recommendations.forEach(rec => {
                 const color = this.getSeverityColor(rec.severity);
                 console.log(color(`[${rec.type}] Severity: ${rec.severity}`));
+                if (rec.source) {
+                    console.log(chalk.gray(`Source: ${formatSource(rec.source, line)}`));
+                }
                 console.log(chalk.white(`Message: ${rec.message}`));
                 console.log(chalk.green(`Suggestion: ${rec.suggestion}`));
 
@@ -203,12 +810,6 @@ class TerminalVisualizer {
         }
     }
 
-    formatBytes(bytes) {
-        if (!bytes || isNaN(bytes)) return '0 B';
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-    }
 }
 
 module.exports = TerminalVisualizer;
\ No newline at end of file